@@ -2,22 +2,14 @@
  * 僕の考えた最強のノート - メインアプリケーション
  */
 
-import {
-  auth,
-  db,
-  signInWithPopup,
-  googleProvider,
-  signOut,
-  onAuthStateChanged,
-  collection,
-  getDocs,
-  addDoc,
-  updateDoc,
-  deleteDoc,
-  doc,
-  query,
-  where
-} from './firebase-config.js';
+// Firebaseのモジュール（ゲストモードでは読み込まないよう、loadFirebaseで必要になった時点で設定する）
+let auth, db, storage, signInWithPopup, googleProvider, githubProvider, oidcProvider,
+  oidcProviderLabel, signOut, onAuthStateChanged, collection, getDocs, setDoc, getDoc, increment,
+  serverTimestamp, Timestamp, onSnapshot, doc, query, where, deleteField, storageRef, uploadBytesResumable,
+  getDownloadURL, deleteObject, writeBatch, orderBy, limit, startAfter, OAuthProvider,
+  EmailAuthProvider, signInWithRedirect, getRedirectResult, linkWithPopup,
+  linkWithRedirect, linkWithCredential, sendSignInLinkToEmail, isSignInWithEmailLink,
+  signInWithEmailLink, deleteDoc, documentId;
 
 // ========================================
 // 定数定義
@@ -27,7 +19,186 @@ const MAX_RETRY = 3; // 最大再試行回数
 const ERROR_DISPLAY_TIME = 5000; // エラー表示時間5秒
 const TITLE_MAX_LENGTH = 50;
 const CONTENT_MAX_LENGTH = 999;
-const STORAGE_KEY = 'notes';
+const TAG_MAX_LENGTH = 20;
+const TAG_MAX_COUNT = 10;
+const NOTEBOOK_MAX_LENGTH = 30;
+const SEARCH_CACHE_LIMIT = 5000;
+const SNIPPET_CONTEXT_LENGTH = 20;
+const BACKUP_FORMAT = 'saikyou-note-backup';
+const BACKUP_VERSION = 1;
+const NOTE_SCHEMA_VERSION = 3; // 問題のデータ構造の版（NOTE_MIGRATIONSと合わせる）
+const COLUMN_PREVIEW_ROWS = 5;
+
+// CSV/TSVで出力する列
+const TEXT_EXPORT_FIELDS = ['Title', 'Question', 'Answer', 'Explain', 'Tags'];
+const TEXT_FORMAT_LABELS = {
+  csv: 'CSV',
+  tsv: 'TSV',
+  anki: 'Anki形式'
+};
+
+// 取り込み時に見出しから項目を推測するための名前
+const COLUMN_NAME_HINTS = {
+  Title: ['title', 'タイトル', '題名'],
+  Question: ['question', 'front', '問題', '問題文', '表面'],
+  Answer: ['answer', 'back', '解答', '答え', '裏面'],
+  Explain: ['explain', 'explanation', '解説'],
+  Tags: ['tags', 'tag', 'タグ']
+};
+
+// まとめて貼り付けの区切り文字（maxColumnsがある場合は最初の区切り文字でのみ分け、解答に含まれる区切り文字は残す）
+const BULK_SEPARATORS = {
+  tab: { label: 'タブ（表計算ソフトから貼り付け）', value: '\t' },
+  comma: { label: 'カンマ', value: ',' },
+  colon: { label: 'コロン（問題:解答）', value: ':', maxColumns: 2 }
+};
+const LEGACY_STORAGE_KEY = 'notes'; // 旧バージョンのLocalStorageキャッシュ
+const OUTBOX_KEY = 'outbox';
+const RETRYABLE_ERROR_CODES = ['unavailable', 'deadline-exceeded']; // 送信待ちキューから再送するFirestoreのエラー
+const DB_NAME = 'saikyou-note';
+const DB_VERSION = 2;
+const NOTES_STORE = 'notes';
+const META_STORE = 'meta';
+const GUEST_NOTES_STORE = 'guestNotes';
+const GUEST_REVISIONS_STORE = 'guestRevisions';
+const SYNC_LOCK_NAME = 'saikyou-note-live-sync';
+const SYNC_CHANNEL_NAME = 'saikyou-note-sync';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 間隔反復（SM-2方式）の設定
+const SM2_INITIAL_EASE = 2.5;
+const SM2_MIN_EASE = 1.3;
+
+// 自己評価の定義（qualityはSM-2の0〜5段階評価に対応）
+const REVIEW_RATINGS = {
+  again: { label: 'もう一度', quality: 2 },
+  hard: { label: '難しい', quality: 3 },
+  good: { label: '正解', quality: 4 },
+  easy: { label: '簡単', quality: 5 }
+};
+
+// 選択式の問題
+const NOTE_TYPE_LABELS = {
+  text: '記述式',
+  choice: '選択式',
+  cloze: '穴埋め'
+};
+const CHOICES_MIN_COUNT = 2;
+const CHOICES_MAX_COUNT = 10;
+const CLOZE_MAX_COUNT = 20; // 1つの問題の穴の番号の数
+
+// 自動採点の設定（端末ごとに保存）
+const GRADING_OPTIONS_KEY = 'gradingOptions';
+const ALT_ANSWERS_MAX_COUNT = 10;
+const ATTEMPT_HISTORY_LIMIT = 300; // 1問あたりに残す解答履歴の件数
+
+// 数式の描画に使うKaTeX（数式を含む問題を表示したときに読み込む）
+const KATEX_MODULE_URL = 'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.mjs';
+
+// 添付ファイル
+const ATTACHMENT_MAX_COUNT = 10;
+const ATTACHMENT_MAX_SIZE = 10 * 1024 * 1024; // storage.rulesの上限と合わせる
+const UPLOAD_STALL_MS = 30000; // アップロードの進捗がこの時間止まったら中止する
+const IMAGE_MAX_DIMENSION = 1600; // 画像の長辺の最大ピクセル数
+const IMAGE_QUALITY = 0.8;
+
+// 出題セッション
+const QUIZ_SESSION_KEY = 'quizSession'; // 出題中のセッション（再読み込みしても続きから出題する）
+const QUIZ_SETTINGS_KEY = 'quizSettings'; // 前回の出題設定（端末ごとに保存）
+const QUIZ_COUNT_OPTIONS = [5, 10, 20, 50, 0]; // 0はすべて
+const QUIZ_TIME_LIMIT_OPTIONS = [0, 5, 10, 15, 30]; // 分（0は制限なし）
+const QUIZ_FILTER_LABELS = {
+  all: 'すべての問題',
+  missed: 'ミス回数が指定以上の問題',
+  'never-missed': '一度も間違えていない問題'
+};
+const QUIZ_STRATEGY_LABELS = {
+  uniform: 'ランダム',
+  weighted: 'ミス回数が多い問題ほど出やすく',
+  stale: '最近解いていない問題から'
+};
+const DEFAULT_QUIZ_SETTINGS = {
+  count: 10,
+  timeLimit: 0,
+  filter: 'all',
+  minMissCount: 1,
+  strategy: 'uniform',
+  dueFirst: true
+};
+
+// キーボードショートカット
+const SHORTCUTS_KEY = 'shortcuts'; // キーの割り当て（端末ごとに保存）
+const DEFAULT_SHORTCUTS = {
+  newNote: 'n',
+  search: '/',
+  random: 'r',
+  reveal: 'Space',
+  missMark: 'x',
+  next: 'ArrowRight',
+  palette: 'Ctrl+k',
+  help: '?'
+};
+const SHORTCUT_RESERVED_KEYS = ['Enter', 'Tab', 'Escape']; // モーダルの確定・フォーカス移動・閉じるに使うキー
+const SHORTCUT_KEY_LABELS = {
+  Space: 'Space',
+  ArrowRight: '→',
+  ArrowLeft: '←',
+  ArrowUp: '↑',
+  ArrowDown: '↓'
+};
+const PALETTE_RESULTS_LIMIT = 20;
+
+// 学習統計
+const STATS_RANGE_OPTIONS = [30, 90, 365];
+const STATS_HEATMAP_WEEKS = 52;
+const STATS_WEAK_NOTES_LIMIT = 10;
+
+// ログイン
+const PENDING_LINK_KEY = 'pendingLink'; // 連携待ちのログイン方法とメールアドレス（SessionStorage。認証情報は保存しない）
+const EMAIL_FOR_SIGN_IN_KEY = 'emailForSignIn'; // メールリンクでのログインに使うメールアドレス
+const AUTH_REDIRECT_KEY = 'authRedirect'; // リダイレクトでのログイン中（SessionStorage）
+
+// ゲストモード
+const GUEST_MODE_KEY = 'guestMode';
+const GUEST_UID = 'guest';
+const GUEST_FILE_PREFIX = 'guest/'; // 端末内に保存した添付ファイルのパスの接頭辞
+
+// 共有リンク
+const SHARE_MAX_NOTES = 100; // Firestoreの1ドキュメントの上限（1MB）に収まる件数（firestore.rulesと合わせる）
+const SHARE_RETURN_KEY = 'shareReturnId'; // ログイン後に戻る共有リンク（SessionStorage）
+const SHARE_MODE_LABELS = {
+  readonly: '閲覧のみ',
+  copyable: '取り込み可'
+};
+
+// ゴミ箱
+const TRASH_RETENTION_KEY = 'trashRetentionDays'; // アカウントの設定（users/{uid}）の端末内のキャッシュ（uidごと）
+const TRASH_RETENTION_OPTIONS = [7, 30, 90];
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const UNDO_TOAST_TIME = 8000; // 元に戻すボタンの表示時間8秒
+const FIRESTORE_BATCH_LIMIT = 500; // 1つのバッチで書き込めるドキュメント数
+const TOMBSTONE_RETENTION_DAYS = 30; // 削除済みの印を残す日数（これより前に同期した端末は全件を取得し直す）
+
+// 大量の問題の読み込み・表示
+const NOTES_PAGE_SIZE = 500; // Firestoreから1回に読み込む件数
+const LIST_ROW_HEIGHT = 72; // 一覧の1行の高さ（CSSの.list-rowと合わせる）
+const LIST_OVERSCAN_ROWS = 10; // 画面外に余分に描画する行数
+
+const DEFAULT_GRADING_OPTIONS = {
+  trim: true,
+  width: true,
+  kana: true,
+  punctuation: false,
+  numeric: false,
+  tolerance: 0
+};
+const GRADING_OPTION_LABELS = {
+  trim: '前後の空白を無視し、連続する空白を1つとみなす',
+  width: '全角/半角・大文字/小文字を区別しない',
+  kana: 'ひらがな/カタカナを区別しない',
+  punctuation: '句読点・記号を無視する',
+  numeric: '数値として比較する'
+};
 
 // エラーコード定義
 const ERROR_CODES = {
@@ -43,21 +214,125 @@ const ERROR_CODES = {
   E010: '通信がタイムアウトしました。再試行中...',
   E011: '通信に失敗しました。ページを再読み込みしてください',
   E012: 'タイトルは50文字以内で入力してください',
-  E013: '入力は999文字以内で入力してください'
+  E013: '入力は999文字以内で入力してください',
+  E014: 'オフラインのため変更を端末に保存しました。接続回復後に同期します',
+  E015: '未同期の変更の送信に失敗しました',
+  E016: '同期の競合を解決できませんでした。後で再度同期してください',
+  E017: '編集中の問題が別の端末で更新されました',
+  E018: 'タグは20文字以内で入力してください',
+  E019: 'タグは1つの問題に10個まで登録できます',
+  E020: 'ファイルの形式が正しくありません',
+  E021: '対応していないバックアップのバージョンです',
+  E022: '問題文と解答の列を指定してください',
+  E023: '取り込めるデータがありません',
+  E024: `別解は${ALT_ANSWERS_MAX_COUNT}個まで登録できます`,
+  E025: '添付ファイルのアップロードにはインターネット接続が必要です',
+  E026: '添付ファイルのアップロードに失敗しました',
+  E027: '添付できるのは画像と音声のファイルのみです',
+  E028: `添付ファイルは1問${ATTACHMENT_MAX_COUNT}個までです`,
+  E029: `添付ファイルは1つ${ATTACHMENT_MAX_SIZE / 1024 / 1024}MBまでです`,
+  E030: 'マイクを使用できません',
+  E031: 'ゴミ箱の問題が見つかりません',
+  E032: '入力した件数が一致しません',
+  E033: `ノートブック名は${NOTEBOOK_MAX_LENGTH}文字以内で入力してください`,
+  E034: 'このメールアドレスは別のログイン方法で登録されています。以前の方法でログインしてください',
+  E035: 'ログイン用のメールを送信できませんでした',
+  E036: 'ログイン用のリンクが無効か、有効期限が切れています',
+  E037: 'ログイン方法を連携できませんでした',
+  E038: 'このログイン方法は別のアカウントで使用されています',
+  E039: 'ゲストモードの問題をアカウントに移行できませんでした',
+  E040: '共有リンクを作成できませんでした',
+  E041: '共有された問題が見つかりません。公開が停止された可能性があります',
+  E042: `一度に共有できる問題は${SHARE_MAX_NOTES}件までです`,
+  E043: '共有された問題を取り込めませんでした',
+  E044: '一部の添付ファイルを取り込めませんでした',
+  E045: '共有リンクの公開を停止できませんでした',
+  E046: '登録日時の形式が正しくありません',
+  E047: 'ミス回数は0以上の整数で指定してください',
+  E048: '添付ファイルの形式が正しくありません',
+  E049: 'データの形式が正しくありません',
+  E050: `選択肢は${CHOICES_MIN_COUNT}〜${CHOICES_MAX_COUNT}個入力してください`,
+  E051: '正解の選択肢を1つ以上選んでください',
+  E052: '穴埋めの書式が正しくありません（{{c1::答え}}の形で入力してください）',
+  E053: `穴埋めは1〜${CLOZE_MAX_COUNT}個入力してください`,
+  E054: 'このキーはほかのショートカットに割り当てられています',
+  E055: 'このキーはショートカットに割り当てられません',
+  E056: '設定の保存に失敗しました',
+  E057: 'ログインしたアカウントのメールアドレスが異なるため、ログイン方法を連携しませんでした',
+  E058: '通信に時間がかかっています。変更は接続が安定したときに送信されます'
+};
+
+// 競合判定に用いる本文フィールド
+const CONTENT_FIELDS = ['Title', 'Question', 'Answer', 'Explain'];
+// 変更履歴に記録する項目
+const REVISION_FIELDS = [...CONTENT_FIELDS, 'AltAnswers', 'Format', 'Tags', 'Type', 'Choices', 'ShuffleChoices'];
+const FIELD_LABELS = {
+  Title: 'タイトル',
+  Question: '問題文',
+  Answer: '解答',
+  Explain: '解説'
+};
+
+// 変更履歴の比較で表示する項目名
+const REVISION_FIELD_LABELS = {
+  ...FIELD_LABELS,
+  AltAnswers: '別解',
+  Format: '表示形式',
+  Tags: 'タグ',
+  Type: '問題形式',
+  Choices: '選択肢',
+  ShuffleChoices: '選択肢の入れ替え'
 };
 
 // ========================================
 // グローバル状態
 // ========================================
 let currentUser = null;
+let isGuestMode = false;
+let noteBackend = null; // 問題の保存先（firestoreBackend / localBackend）
 let notesData = [];
+let trashedNotes = []; // ゴミ箱に移動した問題（notesDataには含めない）
+let invalidNotes = []; // 検証に失敗した問題 { note, error }（修復するまで一覧などに表示しない）
 let currentPage = 'login';
 let isModalOpen = false;
 let hasUnsavedChanges = false;
 let retryBlocked = false;
-let usedProblemIds = []; // ランダム出題で使用済みのID
-let currentProblemId = null;
-let missMarkUsed = false;
+let quizSession = null; // 出題中のセッション（QUIZ_SESSION_KEYに保存）
+let quizTimer = null;
+let currentAttempt = null; // 表示中の問題で保存した解答の記録
+let problemShownAt = 0;
+let reviewRated = false;
+let isReplaying = false;
+let noteDatabase = null;
+let pendingNotesLoad = null;
+let modalCloseHandler = null;
+let modalCloseWaiters = []; // モーダルが閉じるのを待っている確認の処理
+let modalSubmitHandler = null; // 開いているモーダルでEnterキーを押したときの確定処理
+let modalContext = null; // 開いているモーダルの種類と対象ノート
+let listSortBy = 'date';
+let activeTagFilter = []; // 一覧・ランダム出題で共通の絞り込みタグ
+let listSearchQuery = '';
+let activeNotebook = null; // 一覧で絞り込み中のノートブック（nullはすべて、''は未分類）
+let selectedNoteIds = new Set(); // 一覧で選択中の問題のID
+let lastSelectedNoteId = null; // Shift+クリックで範囲選択するときの起点
+let listVisibleIds = []; // 一覧に表示中の問題のID（表示順）
+let listRenderState = null; // 一覧の表の描画対象と描画済みの行の範囲
+let listRowsFrame = null;
+let randomSessionIds = null; // 選択した問題のみで出題する場合の対象ID
+let viewingShareId = null; // 表示中の共有リンクのID
+let statsRangeDays = 30;
+let katexLoader = null;
+let firebaseLoader = null;
+let pendingLinkCredential = null; // 連携待ちの認証情報（メモリ上にのみ保持する）
+let attachmentDraft = null; // 登録・編集モーダルで編集中の添付ファイル
+let audioRecorder = null;
+const searchIndexCache = new Map(); // 検索用に正規化した文字列のキャッシュ
+let isSyncLeader = false;
+let syncChannel = null;
+let syncLockController = null;
+let releaseSyncLock = null;
+let unsubscribeSnapshot = null;
+let unsubscribeSettings = null;
 
 // ========================================
 // DOM要素
@@ -81,7 +356,8 @@ function escapeHtml(text) {
   if (text === null || text === undefined) return '';
   const div = document.createElement('div');
   div.textContent = String(text);
-  return div.innerHTML;
+  // 属性値に埋め込んでも安全なよう引用符もエスケープ
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -108,6 +384,27 @@ function showError(code) {
   }, ERROR_DISPLAY_TIME);
 }
 
+/**
+ * 操作の結果を通知し、取り消しボタンを表示
+ */
+function showUndoToast(message, onUndo) {
+  const toast = document.createElement('div');
+  toast.className = 'undo-toast';
+  toast.innerHTML = `
+    <span class="undo-toast-message"></span>
+    <button class="btn btn-small undo-toast-btn">元に戻す</button>
+  `;
+  setTextContent(toast.querySelector('.undo-toast-message'), message);
+  errorContainer.appendChild(toast);
+
+  const timer = setTimeout(() => toast.remove(), UNDO_TOAST_TIME);
+  toast.querySelector('.undo-toast-btn').onclick = () => {
+    clearTimeout(timer);
+    toast.remove();
+    onUndo();
+  };
+}
+
 /**
  * ローディング表示/非表示
  */
@@ -157,28 +454,6 @@ async function withRetry(operation, retryCount = 0) {
   }
 }
 
-/**
- * LocalStorageにデータを保存
- */
-function saveToLocalStorage(data) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-}
-
-/**
- * LocalStorageからデータを取得
- */
-function getFromLocalStorage() {
-  const data = localStorage.getItem(STORAGE_KEY);
-  return data ? JSON.parse(data) : [];
-}
-
-/**
- * LocalStorageをクリア
- */
-function clearLocalStorage() {
-  localStorage.removeItem(STORAGE_KEY);
-}
-
 /**
  * 日付をフォーマット
  */
@@ -200,935 +475,9037 @@ function getCurrentDateTime() {
   return new Date().toISOString();
 }
 
+/**
+ * 文字列をファイルとしてダウンロード
+ */
+function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * ファイルをテキストとして読み込む
+ */
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
 // ========================================
-// モーダル（仮想ウインドウ）管理
+// 端末内キャッシュ（IndexedDB）
 // ========================================
+// notesストアにはサーバーで確定したノートのみを保持し、
+// 未送信の変更は送信待ちキューから都度重ねて反映する
 
 /**
- * モーダルを開く
+ * IndexedDBを開く（初回のみ）
  */
-function openModal(content) {
-  if (isModalOpen) return;
-  
-  modalContent.innerHTML = content;
-  modalOverlay.classList.remove('hidden');
-  modalContainer.classList.remove('hidden');
-  isModalOpen = true;
-  hasUnsavedChanges = false;
+function openNoteDatabase() {
+  if (!noteDatabase) {
+    noteDatabase = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(NOTES_STORE)) {
+          database.createObjectStore(NOTES_STORE, { keyPath: 'id' });
+        }
+        if (!database.objectStoreNames.contains(META_STORE)) {
+          database.createObjectStore(META_STORE, { keyPath: 'key' });
+        }
+        if (!database.objectStoreNames.contains(GUEST_NOTES_STORE)) {
+          database.createObjectStore(GUEST_NOTES_STORE, { keyPath: 'id' });
+        }
+        if (!database.objectStoreNames.contains(GUEST_REVISIONS_STORE)) {
+          database.createObjectStore(GUEST_REVISIONS_STORE, { keyPath: 'id' }).createIndex('noteId', 'noteId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return noteDatabase;
+}
 
-  // イベントリスナー設定
-  setupModalEventListeners();
+/**
+ * トランザクションを実行し、完了まで待つ
+ * callbackがIDBRequestを返した場合はその結果を返す
+ */
+async function runTransaction(storeNames, mode, callback) {
+  const database = await openNoteDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeNames, mode);
+    const request = callback(transaction);
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
 }
 
 /**
- * モーダルを閉じる
+ * キャッシュ済みのノートをすべて取得
  */
-function closeModal(force = false) {
-  if (!isModalOpen) return;
+function getCachedNotes() {
+  return runTransaction([NOTES_STORE], 'readonly', transaction =>
+    transaction.objectStore(NOTES_STORE).getAll()
+  );
+}
 
-  if (!force && hasUnsavedChanges) {
-    if (!confirm('変更が保存されていません。破棄しますか？')) {
-      return;
-    }
-  }
+/**
+ * 同期状態（対象ユーザーと同期カーソル）を取得
+ */
+async function getSyncState() {
+  const state = await runTransaction([META_STORE], 'readonly', transaction =>
+    transaction.objectStore(META_STORE).get('syncState')
+  );
+  return state || null;
+}
 
-  modalOverlay.classList.add('hidden');
-  modalContainer.classList.add('hidden');
-  modalContent.innerHTML = '';
-  isModalOpen = false;
-  hasUnsavedChanges = false;
+/**
+ * 同期結果をキャッシュへ書き込み（ノートと同期カーソルを同時に更新）
+ */
+function saveSyncResult({ notes, removedIds, replace, syncState }) {
+  return runTransaction([NOTES_STORE, META_STORE], 'readwrite', (transaction) => {
+    const store = transaction.objectStore(NOTES_STORE);
+    if (replace) store.clear();
+    notes.forEach(note => store.put(note));
+    removedIds.forEach(id => store.delete(id));
+    transaction.objectStore(META_STORE).put({ key: 'syncState', ...syncState });
+  });
 }
 
 /**
- * モーダルのイベントリスナー設定
+ * 送信済みの変更をキャッシュへ反映
  */
-function setupModalEventListeners() {
-  // オーバーレイクリックで閉じる
-  modalOverlay.onclick = () => closeModal();
+function applyMutationToCache(mutation) {
+  return runTransaction([NOTES_STORE], 'readwrite', (transaction) => {
+    const store = transaction.objectStore(NOTES_STORE);
+    const request = store.get(mutation.noteId);
+    request.onsuccess = () => {
+      const [updated] = applyMutation(request.result ? [request.result] : [], mutation);
+      if (updated) {
+        store.put(updated);
+      } else {
+        store.delete(mutation.noteId);
+      }
+    };
+  });
+}
 
-  // Escキーで閉じる
-  const escHandler = (e) => {
-    if (e.key === 'Escape' && isModalOpen) {
-      closeModal();
-      document.removeEventListener('keydown', escHandler);
-    }
-  };
-  document.addEventListener('keydown', escHandler);
+/**
+ * 端末内のキャッシュと送信待ちキューをすべて削除（ゲストモードの問題は残す）
+ */
+async function clearLocalCache() {
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  localStorage.removeItem(OUTBOX_KEY);
+  await runTransaction([NOTES_STORE, META_STORE], 'readwrite', (transaction) => {
+    transaction.objectStore(NOTES_STORE).clear();
+    transaction.objectStore(META_STORE).clear();
+  });
+}
 
-  // 閉じるボタン
-  const closeBtn = modalContent.querySelector('.modal-close');
-  if (closeBtn) {
-    closeBtn.onclick = () => closeModal();
-  }
+/**
+ * Firestoreのドキュメントを端末で扱う形式に変換
+ * updatedAtはサーバー時刻のTimestampからISO形式の文字列にする
+ */
+function toLocalNote(id, data) {
+  return {
+    id,
+    ...data,
+    updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : data.Date
+  };
+}
 
-  // フォーム変更検知
-  const inputs = modalContent.querySelectorAll('input, textarea');
-  inputs.forEach(input => {
-    input.addEventListener('input', () => {
-      hasUnsavedChanges = true;
-    });
-  });
+/**
+ * 送信するデータに更新日時（サーバー時刻）を付与
+ */
+function withUpdatedAt(data) {
+  return { ...data, updatedAt: serverTimestamp() };
 }
 
 // ========================================
-// ルーティング
+// 問題のスキーマ
 // ========================================
+// 保存されている問題はschemaVersion（未設定は第0版）から順に移行処理を適用して現在の版に揃え、
+// 登録・編集・インポート・読み込みで共通の検証を行う。
+// 読み込み時は端末上でのみ変換し、次にその問題へ書き込むときに変換後の内容と版番号も保存する
+
+// 版ごとの移行処理（NOTE_MIGRATIONS[n]は第n-1版の問題を第n版に変換する。同じ問題に繰り返し適用してもよいこと）
+const NOTE_MIGRATIONS = {
+  // 第1版：省略された項目を既定値で補い、型を揃える
+  1: note => ({
+    ...note,
+    Title: toSchemaText(note.Title).trim(),
+    Question: toSchemaText(note.Question),
+    Answer: toSchemaText(note.Answer),
+    Explain: toSchemaText(note.Explain),
+    AltAnswers: Array.isArray(note.AltAnswers) ? note.AltAnswers.filter(answer => typeof answer === 'string') : [],
+    Format: note.Format === 'markdown' ? 'markdown' : 'plain',
+    Tags: Array.isArray(note.Tags)
+      ? [...new Set(note.Tags.filter(tag => typeof tag === 'string').map(normalizeTag).filter(Boolean))]
+      : [],
+    Attachments: Array.isArray(note.Attachments) ? note.Attachments : [],
+    Notebook: typeof note.Notebook === 'string' ? note.Notebook.trim() : '',
+    Date: toSchemaDate(note.Date, note.updatedAt),
+    MissCount: Math.max(0, Math.floor(Number(note.MissCount)) || 0)
+  }),
+  // 第2版：問題形式（記述式・選択式）と選択肢を追加
+  2: note => ({
+    ...note,
+    Type: Object.hasOwn(NOTE_TYPE_LABELS, note.Type) ? note.Type : 'text',
+    Choices: Array.isArray(note.Choices)
+      ? note.Choices
+        .filter(choice => choice && typeof choice.text === 'string')
+        .map(choice => ({ text: choice.text, correct: choice.correct === true }))
+      : [],
+    ShuffleChoices: note.ShuffleChoices === true
+  }),
+  // 第3版：穴埋めの問題の穴ごとの間違い回数を追加
+  3: note => ({
+    ...note,
+    ClozeMissCount: Object.fromEntries(
+      Object.entries(note.ClozeMissCount && typeof note.ClozeMissCount === 'object' ? note.ClozeMissCount : {})
+        .filter(([key]) => /^c[1-9]\d*$/.test(key))
+        .map(([key, count]) => [key, Math.max(0, Math.floor(Number(count)) || 0)])
+    )
+  })
+};
+
+// 移行処理で変換する項目（古い版の問題を更新するときにあわせて書き込む）
+const SCHEMA_FIELDS = [
+  'Title', 'Question', 'Answer', 'Explain', 'AltAnswers', 'Format', 'Tags', 'Attachments', 'Notebook', 'Date', 'MissCount',
+  'Type', 'Choices', 'ShuffleChoices', 'ClozeMissCount'
+];
+
+// 変換・検証済みの問題（変更されていない問題は検証し直さない）
+const checkedNotes = new WeakSet();
 
 /**
- * ページ遷移
+ * 文字列の項目を揃える（数値は文字列にし、それ以外は空文字にする）
  */
-function navigateTo(page) {
-  currentPage = page;
-  history.pushState({ page }, '', `#${page}`);
-  renderPage();
+function toSchemaText(value) {
+  if (typeof value === 'string') return value;
+  return typeof value === 'number' ? String(value) : '';
 }
 
 /**
- * 初期ルーティング設定
+ * 日時の項目をISO形式に揃える（解釈できない値はそのまま残し、検証で不正とする）
  */
-function initRouter() {
-  window.addEventListener('popstate', (e) => {
-    if (e.state && e.state.page) {
-      currentPage = e.state.page;
-      renderPage();
-    }
-  });
+function toSchemaDate(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback || getCurrentDateTime();
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toISOString();
+}
 
-  // 初期ページ判定
-  const hash = window.location.hash.slice(1);
-  if (['login', 'list', 'random'].includes(hash)) {
-    currentPage = hash;
+/**
+ * 問題を現在の版に変換（元のオブジェクトは変更しない）
+ * schemaVersionは保存されている版のまま残し、書き込み時に更新する
+ */
+function upgradeNote(note) {
+  let upgraded = note;
+  for (let version = (Number(note.schemaVersion) || 0) + 1; version <= NOTE_SCHEMA_VERSION; version++) {
+    upgraded = NOTE_MIGRATIONS[version](upgraded);
   }
+  return upgraded;
 }
 
 /**
- * ページ描画
+ * 現在の版の問題を検証し、不正な場合はエラーコードを返す
  */
-function renderPage() {
-  closeModal(true);
-
-  if (!currentUser && currentPage !== 'login') {
-    navigateTo('login');
-    return;
+function validateNote(note) {
+  const hasTypes = ['Title', 'Question', 'Answer', 'Explain', 'Notebook'].every(field => typeof note[field] === 'string')
+    && ['AltAnswers', 'Tags', 'Attachments', 'Choices'].every(field => Array.isArray(note[field]));
+  if (!hasTypes || !Object.hasOwn(NOTE_TYPE_LABELS, note.Type)) return 'E049';
+  // 穴埋めの問題は解答を穴から作るため、穴の書式を先に確認する
+  if (isClozeNote(note) && note.Question.trim()) {
+    const clozeError = validateCloze(note.Question);
+    if (clozeError) return clozeError;
   }
+  if (!note.Title || !note.Question.trim() || !note.Answer.trim()) return 'E007';
+  if (note.Title.length > TITLE_MAX_LENGTH) return 'E012';
+  if ([note.Question, note.Answer, note.Explain].some(text => text.length > CONTENT_MAX_LENGTH)) return 'E013';
+
+  const fieldError = validateAltAnswers(note.AltAnswers) || validateTags(note.Tags)
+    || (isChoiceNote(note) ? validateChoices(note.Choices) : null);
+  if (fieldError) return fieldError;
+
+  if (note.Notebook.length > NOTEBOOK_MAX_LENGTH) return 'E033';
+  if (typeof note.Date !== 'string' || Number.isNaN(Date.parse(note.Date))) return 'E046';
+  if (!Number.isInteger(note.MissCount) || note.MissCount < 0) return 'E047';
+
+  const isAttachment = item => item && typeof item === 'object'
+    && ['image', 'audio'].includes(item.kind) && typeof item.path === 'string' && isSafeUrl(item.url);
+  if (!note.Attachments.every(isAttachment)) return 'E048';
+  return null;
+}
 
-  switch (currentPage) {
-    case 'login':
-      renderLoginPage();
-      break;
-    case 'list':
-      renderListPage();
-      break;
-    case 'random':
-      renderRandomPage();
-      break;
-    default:
-      navigateTo('login');
+/**
+ * 書き込む内容を現在の版にする
+ * 登録には版番号を付け、古い版の問題を更新するときは変換後の項目もあわせて書き込む
+ */
+function withSchemaVersion(type, noteId, data) {
+  if (type === 'create') {
+    const { schemaVersion, ...fields } = data;
+    return { ...upgradeNote(fields), schemaVersion: NOTE_SCHEMA_VERSION };
   }
+  if (type !== 'update') return data;
+
+  const note = getAllLocalNotes().find(n => n.id === noteId);
+  if (!note || (Number(note.schemaVersion) || 0) >= NOTE_SCHEMA_VERSION) return data;
+  return { ...pickFields(upgradeNote(note), SCHEMA_FIELDS), ...data, schemaVersion: NOTE_SCHEMA_VERSION };
 }
 
 // ========================================
-// ログイン画面
+// 間隔反復スケジューラ（SM-2方式）
 // ========================================
 
-function renderLoginPage() {
-  pageContent.innerHTML = `
-    <div class="login-page">
-      <div class="login-container">
-        <h1 class="login-title">僕の考えた最強のノート</h1>
-        <p class="login-subtitle">間違えた問題を管理して効率的に学習しよう</p>
-        <button id="google-login-btn" class="btn btn-primary login-btn btn-large">
-          <svg width="20" height="20" viewBox="0 0 24 24">
-            <path fill="currentColor" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
-            <path fill="currentColor" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
-            <path fill="currentColor" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"/>
-            <path fill="currentColor" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"/>
-          </svg>
-          Googleでログイン
-        </button>
-      </div>
-    </div>
-  `;
+/**
+ * ノートの復習状態を取得（未設定の旧データは初期値で補完）
+ */
+function getReviewState(note) {
+  return {
+    EaseFactor: typeof note.EaseFactor === 'number' ? note.EaseFactor : SM2_INITIAL_EASE,
+    Interval: typeof note.Interval === 'number' ? note.Interval : 0,
+    Repetition: typeof note.Repetition === 'number' ? note.Repetition : 0,
+    DueDate: note.DueDate || note.Date
+  };
+}
 
-  document.getElementById('google-login-btn').onclick = handleGoogleLogin;
+/**
+ * 新規登録時の復習状態（登録直後から出題対象）
+ */
+function createInitialReviewState(now = new Date()) {
+  return {
+    EaseFactor: SM2_INITIAL_EASE,
+    Interval: 0,
+    Repetition: 0,
+    DueDate: now.toISOString()
+  };
 }
 
 /**
- * Googleログイン処理
+ * 自己評価から次回の復習状態を計算
  */
-async function handleGoogleLogin() {
-  showLoading('ログイン中...');
-  try {
-    await withRetry(() => signInWithPopup(auth, googleProvider));
-    // onAuthStateChangedで処理される
-  } catch (error) {
-    console.error('Login error:', error);
-    showError('E001');
-    hideLoading();
+function calculateNextReview(note, rating, now = new Date()) {
+  const state = getReviewState(note);
+  const quality = REVIEW_RATINGS[rating].quality;
+
+  let repetition;
+  let interval;
+  if (quality < 3) {
+    // 思い出せなかった場合は最初からやり直し
+    repetition = 0;
+    interval = 1;
+  } else {
+    repetition = state.Repetition + 1;
+    if (repetition === 1) {
+      interval = 1;
+    } else if (repetition === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(state.Interval * state.EaseFactor);
+    }
   }
+
+  const easeFactor = Math.max(
+    SM2_MIN_EASE,
+    state.EaseFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    EaseFactor: Math.round(easeFactor * 100) / 100,
+    Interval: interval,
+    Repetition: repetition,
+    DueDate: new Date(now.getTime() + interval * DAY_MS).toISOString()
+  };
+}
+
+/**
+ * 今日中に復習期限を迎えるか判定
+ */
+function isDueToday(note, now = new Date()) {
+  const endOfToday = new Date(now);
+  endOfToday.setHours(23, 59, 59, 999);
+  return new Date(getReviewState(note).DueDate) <= endOfToday;
 }
 
 // ========================================
-// 一覧画面
+// オフライン送信キュー
 // ========================================
 
-async function renderListPage() {
-  showLoading('データを読み込み中...');
+/**
+ * 送信待ちキューを取得
+ */
+function getOutbox() {
+  const data = localStorage.getItem(OUTBOX_KEY);
+  return data ? JSON.parse(data) : [];
+}
 
-  // Firestoreからデータを取得
-  try {
-    await loadNotesFromFirestore();
-  } catch (error) {
-    console.error('Failed to load notes:', error);
-    // LocalStorageのデータを使用
-    notesData = getFromLocalStorage();
-  }
+/**
+ * 送信待ちキューを保存
+ */
+function saveOutbox(outbox) {
+  localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+}
 
-  hideLoading();
-  renderListContent();
+/**
+ * 送信待ちの変更があるノートIDの集合を取得
+ */
+function getPendingNoteIds() {
+  return new Set(getOutbox().map(mutation => mutation.noteId));
 }
 
 /**
- * Firestoreからノートを読み込み
+ * 変更操作を生成
+ * type: create / update / delete / increment / attempt
+ * base: 競合判定用に、変更前の値を保持しておくフィールド
  */
-async function loadNotesFromFirestore() {
-  const notesRef = collection(db, 'notes');
-  const q = query(notesRef, where('uid', '==', currentUser.uid));
-  
-  const snapshot = await withRetry(() => getDocs(q));
-  
-  notesData = snapshot.docs.map(doc => ({
-    id: doc.id,
-    ...doc.data()
-  }));
+function createMutation(type, noteId, data = {}, base = {}) {
+  return {
+    opId: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    noteId,
+    data: withSchemaVersion(type, noteId, data),
+    base,
+    queuedAt: getCurrentDateTime()
+  };
+}
 
-  saveToLocalStorage(notesData);
+/**
+ * ノートから指定フィールドだけを取り出す
+ */
+function pickFields(note, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    picked[field] = note[field] === undefined ? '' : note[field];
+  });
+  return picked;
 }
 
 /**
- * 一覧コンテンツ描画
+ * ノート配列を現在の版に変換・検証し、表示用の問題・ゴミ箱の問題・修復が必要な問題に分けて保持
  */
-function renderListContent(sortBy = 'date') {
-  // ソート処理
-  const sortedData = [...notesData].sort((a, b) => {
-    switch (sortBy) {
-      case 'date':
-        return new Date(b.Date) - new Date(a.Date);
-      case 'title':
-        return a.Title.localeCompare(b.Title, 'ja');
-      case 'miss':
-        return b.MissCount - a.MissCount;
-      default:
-        return 0;
+function setNotes(notes) {
+  const validNotes = [];
+  invalidNotes = [];
+  notes.forEach(note => {
+    if (checkedNotes.has(note)) {
+      validNotes.push(note);
+      return;
+    }
+    const upgraded = upgradeNote(note);
+    const error = validateNote(upgraded);
+    if (error) {
+      invalidNotes.push({ note: upgraded, error });
+      return;
     }
+    checkedNotes.add(upgraded);
+    validNotes.push(upgraded);
   });
+  notesData = validNotes.filter(n => !n.TrashedAt);
+  trashedNotes = validNotes.filter(n => n.TrashedAt);
+}
 
-  pageContent.innerHTML = `
-    <div class="list-page">
-      <div class="list-header">
-        <h1>問題一覧</h1>
-        <div class="header-actions">
-          <button id="add-btn" class="btn btn-primary">+ 新規登録</button>
-          <select id="sort-select" class="sort-select">
-            <option value="date" ${sortBy === 'date' ? 'selected' : ''}>登録日時順</option>
-            <option value="title" ${sortBy === 'title' ? 'selected' : ''}>タイトル順</option>
-            <option value="miss" ${sortBy === 'miss' ? 'selected' : ''}>ミス回数順</option>
-          </select>
-          <button id="random-btn" class="btn btn-outline">ランダム出題</button>
-          <button id="logout-btn" class="btn btn-secondary">ログアウト</button>
-        </div>
-      </div>
+/**
+ * ゴミ箱の問題・修復が必要な問題も含めたすべてのノートを取得
+ */
+function getAllLocalNotes() {
+  return [...notesData, ...trashedNotes, ...invalidNotes.map(({ note }) => note)];
+}
 
-      <div class="data-table-container">
-        ${sortedData.length > 0 ? `
-          <table class="data-table">
-            <thead>
-              <tr>
-                <th>タイトル</th>
-                <th>登録日時</th>
-                <th>ミス回数</th>
-                <th>操作</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${sortedData.map(note => `
-                <tr>
-                  <td class="title-cell" data-id="${escapeHtml(note.id)}">${escapeHtml(note.Title)}</td>
-                  <td>${escapeHtml(formatDate(note.Date))}</td>
-                  <td>${escapeHtml(String(note.MissCount))}</td>
-                  <td class="action-cell">
-                    <button class="btn btn-small btn-outline edit-btn" data-id="${escapeHtml(note.id)}">編集/削除</button>
-                  </td>
-                </tr>
-              `).join('')}
-            </tbody>
-          </table>
-        ` : `
-          <div class="empty-message">
-            <p>まだ問題が登録されていません</p>
-            <button id="first-add-btn" class="btn btn-primary">最初の問題を登録する</button>
-          </div>
-        `}
-      </div>
-
-      <div class="sync-area">
-        <button id="sync-btn" class="btn btn-outline">🔄 サーバーと同期</button>
-      </div>
-    </div>
-  `;
+/**
+ * 変更操作を端末のノートへ反映
+ */
+function applyLocalMutation(mutation) {
+  setNotes(applyMutation(getAllLocalNotes(), mutation));
+}
 
-  // イベントリスナー設定
-  setupListEventListeners(sortBy);
+/**
+ * 変更操作をノート配列に適用（元の配列は変更しない）
+ */
+function applyMutation(notes, mutation) {
+  switch (mutation.type) {
+    case 'create':
+      return [
+        ...notes.filter(n => n.id !== mutation.noteId),
+        { id: mutation.noteId, ...mutation.data, updatedAt: mutation.queuedAt }
+      ];
+    case 'update':
+      return notes.map(n => n.id === mutation.noteId ? { ...n, ...mutation.data, updatedAt: mutation.queuedAt } : n);
+    case 'delete':
+      return notes.filter(n => n.id !== mutation.noteId);
+    case 'increment':
+      return notes.map(n => {
+        if (n.id !== mutation.noteId) return n;
+        const updated = { ...n, updatedAt: mutation.queuedAt };
+        Object.entries(mutation.data).forEach(([field, amount]) => {
+          updated[field] = (Number(updated[field]) || 0) + amount;
+        });
+        return updated;
+      });
+    case 'attempt':
+      return notes.map(n => {
+        if (n.id !== mutation.noteId) return n;
+        const { attempt, missDelta, removeIds } = mutation.data;
+        const attempts = { ...(n.Attempts || {}), [attempt.id]: attempt };
+        removeIds.forEach(id => { delete attempts[id]; });
+        return {
+          ...n,
+          Attempts: attempts,
+          MissCount: (Number(n.MissCount) || 0) + missDelta,
+          // 穴埋めの問題は穴ごとの間違い回数も更新
+          ...(attempt.cloze ? {
+            ClozeMissCount: { ...n.ClozeMissCount, [attempt.cloze]: getClozeMissCount(n, attempt.cloze) + missDelta }
+          } : {}),
+          updatedAt: mutation.queuedAt
+        };
+      });
+    default:
+      return notes;
+  }
 }
 
 /**
- * 一覧画面のイベントリスナー設定
+ * 削除の変更操作を生成（添付ファイルは削除の送信後にStorageから削除する）
+ * keepPaths: 他の問題で引き続き使うため削除しないファイルのパス
  */
-function setupListEventListeners(currentSort) {
-  // 新規登録ボタン
-  const addBtn = document.getElementById('add-btn');
-  if (addBtn) addBtn.onclick = () => openRegisterModal();
+function createDeleteMutation(note, keepPaths = new Set()) {
+  return {
+    ...createMutation('delete', note.id, {}, pickFields(note, CONTENT_FIELDS)),
+    cleanupPaths: getNoteAttachments(note).map(item => item.path).filter(path => !keepPaths.has(path))
+  };
+}
 
-  const firstAddBtn = document.getElementById('first-add-btn');
-  if (firstAddBtn) firstAddBtn.onclick = () => openRegisterModal();
+/**
+ * 完全に削除する問題以外が使っている添付ファイルのパス
+ * （置き換えのインポートでゴミ箱に移動した問題と、取り込んだ問題が同じファイルを使う場合がある）
+ */
+function getAttachmentPathsInUse(excludeNotes) {
+  const excludeIds = new Set(excludeNotes.map(note => note.id));
+  return new Set(getAllLocalNotes()
+    .filter(note => !excludeIds.has(note.id))
+    .flatMap(note => getNoteAttachments(note).map(item => item.path)));
+}
 
-  // ソート変更
-  const sortSelect = document.getElementById('sort-select');
-  if (sortSelect) {
-    sortSelect.onchange = (e) => renderListContent(e.target.value);
+/**
+ * 変更操作をFirestoreへ送信し、不要になった添付ファイルを削除
+ */
+async function sendMutation(mutation) {
+  await writeMutation(mutation);
+  if (mutation.cleanupPaths && mutation.cleanupPaths.length > 0) {
+    await deleteStorageFiles(mutation.cleanupPaths);
   }
+}
 
-  // ランダム出題
-  const randomBtn = document.getElementById('random-btn');
-  if (randomBtn) randomBtn.onclick = () => navigateTo('random');
-
-  // ログアウト
-  const logoutBtn = document.getElementById('logout-btn');
-  if (logoutBtn) logoutBtn.onclick = handleLogout;
+/**
+ * 変更操作をFirestoreへ書き込み
+ * 削除は他の端末へ差分同期で伝わるよう、ドキュメントを削除済みの印（tombstone）に置き換える
+ */
+function writeMutation(mutation) {
+  if (mutation.type === 'delete') {
+    return writePurge(doc(db, 'notes', mutation.noteId), mutation.noteId);
+  }
+  const batch = writeBatch(db);
+  addMutationToBatch(batch, mutation);
+  return batch.commit();
+}
 
-  // 同期ボタン
-  const syncBtn = document.getElementById('sync-btn');
-  if (syncBtn) syncBtn.onclick = () => renderListPage();
+/**
+ * 登録・更新などの変更操作をバッチに追加（変更履歴の版も同じバッチで書き込む）
+ * 完全な削除は変更履歴の読み込みが必要なため対象外
+ */
+function addMutationToBatch(batch, mutation) {
+  const noteRef = doc(db, 'notes', mutation.noteId);
+  switch (mutation.type) {
+    case 'create':
+      batch.set(noteRef, withUpdatedAt(mutation.data));
+      break;
+    case 'update':
+      batch.update(noteRef, withUpdatedAt(mutation.data));
+      break;
+    case 'increment': {
+      const fields = {};
+      Object.entries(mutation.data).forEach(([field, amount]) => {
+        fields[field] = increment(amount);
+      });
+      batch.update(noteRef, withUpdatedAt(fields));
+      break;
+    }
+    case 'attempt': {
+      // 他の記録を上書きしないよう、記録ごとのフィールドパスで更新
+      const { attempt, missDelta, removeIds } = mutation.data;
+      const fields = {
+        [`Attempts.${attempt.id}`]: attempt,
+        MissCount: increment(missDelta)
+      };
+      if (attempt.cloze) fields[`ClozeMissCount.${attempt.cloze}`] = increment(missDelta);
+      removeIds.forEach(id => { fields[`Attempts.${id}`] = deleteField(); });
+      batch.update(noteRef, withUpdatedAt(fields));
+      break;
+    }
+    default:
+      throw new Error(`Unknown mutation type: ${mutation.type}`);
+  }
 
-  // タイトルクリック（詳細表示）
-  document.querySelectorAll('.title-cell').forEach(cell => {
-    cell.onclick = () => {
-      const id = cell.dataset.id;
-      const note = notesData.find(n => n.id === id);
-      if (note) openDetailModal(note);
-    };
+  (mutation.revisions || []).forEach(revision => {
+    batch.set(doc(db, 'notes', mutation.noteId, 'revisions', revision.id), revision);
   });
+}
 
-  // 編集/削除ボタン
-  document.querySelectorAll('.edit-btn').forEach(btn => {
-    btn.onclick = () => {
-      const id = btn.dataset.id;
-      const note = notesData.find(n => n.id === id);
-      if (note) openEditModal(note);
-    };
+/**
+ * 1つのバッチで書き込めるよう変更操作を分割
+ */
+function chunkMutations(mutations) {
+  const chunks = [];
+  let chunk = [];
+  let writeCount = 0;
+  mutations.forEach(mutation => {
+    const writes = 1 + (mutation.revisions ? mutation.revisions.length : 0);
+    if (chunk.length > 0 && writeCount + writes > FIRESTORE_BATCH_LIMIT) {
+      chunks.push(chunk);
+      chunk = [];
+      writeCount = 0;
+    }
+    chunk.push(mutation);
+    writeCount += writes;
   });
+  if (chunk.length > 0) chunks.push(chunk);
+  return chunks;
 }
 
-// ========================================
-// 登録モーダル
-// ========================================
+/**
+ * 複数の変更操作をバッチでまとめて送信し、不要になった添付ファイルを削除
+ */
+async function sendMutationChunk(chunk) {
+  const batch = writeBatch(db);
+  chunk.forEach(mutation => addMutationToBatch(batch, mutation));
+  await batch.commit();
+
+  const cleanupPaths = chunk.flatMap(mutation => mutation.cleanupPaths || []);
+  if (cleanupPaths.length > 0) {
+    await deleteStorageFiles(cleanupPaths);
+  }
+}
 
-function openRegisterModal() {
-  const modalHtml = `
-    <div class="modal-header">
-      <h2>問題を登録</h2>
-      <button class="modal-close">&times;</button>
-    </div>
-    <div class="modal-body">
-      <div class="form-group">
-        <label>タイトル<span class="required">*</span></label>
-        <input type="text" id="reg-title" class="form-control" maxlength="${TITLE_MAX_LENGTH}" placeholder="問題のタイトル">
-        <div class="char-count"><span id="title-count">0</span>/${TITLE_MAX_LENGTH}</div>
-        <div id="title-error" class="form-error hidden"></div>
-      </div>
-      <div class="form-group">
-        <label>問題文<span class="required">*</span></label>
-        <textarea id="reg-question" class="form-control" maxlength="${CONTENT_MAX_LENGTH}" placeholder="問題の内容"></textarea>
-        <div class="char-count"><span id="question-count">0</span>/${CONTENT_MAX_LENGTH}</div>
-      </div>
-      <div class="form-group">
-        <label>解答<span class="required">*</span></label>
-        <textarea id="reg-answer" class="form-control" maxlength="${CONTENT_MAX_LENGTH}" placeholder="正しい解答"></textarea>
-        <div class="char-count"><span id="answer-count">0</span>/${CONTENT_MAX_LENGTH}</div>
-      </div>
-      <div class="form-group">
-        <label>解説（任意）</label>
-        <textarea id="reg-explain" class="form-control" maxlength="${CONTENT_MAX_LENGTH}" placeholder="解説やポイントなど"></textarea>
-        <div class="char-count"><span id="explain-count">0</span>/${CONTENT_MAX_LENGTH}</div>
-      </div>
-    </div>
-    <div class="modal-footer">
-      <button id="reg-cancel-btn" class="btn btn-secondary">キャンセル</button>
-      <button id="reg-submit-btn" class="btn btn-primary">登録</button>
-    </div>
-  `;
+/**
+ * 変更の書き込みを送信（タイムアウトしても再送しない）
+ * タイムアウトした書き込みはFirestoreのSDKが保持して後で確定させるため、再送やキューへの追加をすると二重に書き込まれる。
+ * 送信済みとして扱い、SDKに残した場合はtrueを返す
+ */
+async function sendWrite(write) {
+  if (retryBlocked) throw new Error('Retry blocked');
 
-  openModal(modalHtml);
-  setupRegisterModalListeners();
+  const pending = write();
+  try {
+    await fetchWithTimeout(pending);
+    return false;
+  } catch (error) {
+    if (error.message !== 'timeout') throw error;
+    showError('E058');
+    pending.catch(writeError => {
+      console.error('Write error:', writeError);
+      showError('E015');
+    });
+    return true;
+  }
 }
 
-function setupRegisterModalListeners() {
-  const titleInput = document.getElementById('reg-title');
-  const questionInput = document.getElementById('reg-question');
-  const answerInput = document.getElementById('reg-answer');
-  const explainInput = document.getElementById('reg-explain');
+/**
+ * 問題の変更履歴を削除してから、問題を削除済みの印に置き換える
+ */
+async function writePurge(noteRef, noteId) {
+  // セキュリティルールで版ごとに所有者を確認するため、自分の版のみを対象にする
+  const snapshot = await getDocs(query(collection(db, 'notes', noteId, 'revisions'), where('uid', '==', currentUser.uid)));
+  for (let i = 0; i < snapshot.docs.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    snapshot.docs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(d => batch.delete(d.ref));
+    await batch.commit();
+  }
+  await setDoc(noteRef, withUpdatedAt({ uid: currentUser.uid, deleted: true }));
+}
 
-  // 文字数カウント
-  const setupCounter = (input, counterId) => {
-    const counter = document.getElementById(counterId);
-    input.addEventListener('input', () => {
-      counter.textContent = input.value.length;
-    });
-  };
+/**
+ * 変更をFirestoreへ送信（オフライン時や未送信の変更がある場合はキューに追加）
+ * キューに追加した場合はtrueを返す
+ */
+async function submitFirestoreMutation(mutation) {
+  if (navigator.onLine && getOutbox().length === 0) {
+    let held;
+    try {
+      held = await sendWrite(() => sendMutation(mutation));
+    } catch (error) {
+      if (!isRetryableError(error)) throw error;
+      // 通信の失敗では変更を失わないよう、キューに追加して後で再送する
+      console.error('Send error:', error);
+      queueMutations([mutation]);
+      return true;
+    }
+    // SDKが保持している書き込みは、確定後にスナップショットからキャッシュへ反映する
+    if (!held) applyMutationToCache(mutation).catch(error => console.error('Cache error:', error));
+    return false;
+  }
 
-  setupCounter(titleInput, 'title-count');
-  setupCounter(questionInput, 'question-count');
-  setupCounter(answerInput, 'answer-count');
-  setupCounter(explainInput, 'explain-count');
+  queueMutations([mutation]);
+  return true;
+}
 
-  // キャンセル
-  document.getElementById('reg-cancel-btn').onclick = () => closeModal();
+/**
+ * 複数の変更をFirestoreへバッチでまとめて送信（完全な削除は含めない）
+ * キューに追加した場合はtrueを返す。送信に失敗した場合、送信済みの変更操作をerror.committedに入れて例外を投げる
+ */
+async function submitFirestoreMutations(mutations) {
+  if (!navigator.onLine || getOutbox().length > 0) {
+    queueMutations(mutations);
+    return true;
+  }
 
-  // Enterキーで登録
-  modalContent.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      handleRegister();
+  const committed = [];
+  for (const chunk of chunkMutations(mutations)) {
+    let held;
+    try {
+      held = await sendWrite(() => sendMutationChunk(chunk));
+    } catch (error) {
+      // 通信の失敗では送信できなかった変更をキューに追加して後で再送する
+      if (isRetryableError(error)) {
+        console.error('Send error:', error);
+        queueMutations(mutations.filter(mutation => !committed.includes(mutation)));
+        return true;
+      }
+      error.committed = committed;
+      throw error;
     }
-  });
-
-  // 登録
-  document.getElementById('reg-submit-btn').onclick = handleRegister;
+    committed.push(...chunk);
+    if (held) continue;
+    chunk.forEach(mutation => {
+      applyMutationToCache(mutation).catch(error => console.error('Cache error:', error));
+    });
+  }
+  return false;
 }
 
-async function handleRegister() {
-  const title = document.getElementById('reg-title').value.trim();
-  const question = document.getElementById('reg-question').value.trim();
-  const answer = document.getElementById('reg-answer').value.trim();
-  const explain = document.getElementById('reg-explain').value.trim();
-  const titleError = document.getElementById('title-error');
+/**
+ * 接続の失敗など、後で再送すれば成功しうるエラーか判定
+ * タイムアウトした書き込みはSDKが保持しているため対象外（sendWriteを参照）
+ */
+function isRetryableError(error) {
+  return error.message === 'Retry blocked' || RETRYABLE_ERROR_CODES.includes(error.code);
+}
 
-  // バリデーション
-  titleError.classList.add('hidden');
+/**
+ * 変更を送信待ちキューに追加し、オンラインであれば再送を始める
+ */
+function queueMutations(mutations) {
+  saveOutbox([...getOutbox(), ...mutations]);
+  if (navigator.onLine) replayOutbox();
+}
 
-  if (!title || !question || !answer) {
-    showError('E007');
-    return;
+/**
+ * 送信前にサーバー側の状態と比較して競合を検出
+ * 競合がなければnull、あればその内容を返す
+ */
+async function detectConflict(mutation) {
+  if (mutation.type === 'create') {
+    const q = query(
+      collection(db, 'notes'),
+      where('uid', '==', currentUser.uid),
+      where('Title', '==', mutation.data.Title)
+    );
+    const snapshot = await getDocs(q);
+    // ゴミ箱の問題とはタイトルが重複してもよい
+    const duplicate = snapshot.docs.find(d => d.id !== mutation.noteId && !d.data().TrashedAt);
+    return duplicate ? { kind: 'duplicate', server: toLocalNote(duplicate.id, duplicate.data()) } : null;
   }
 
-  if (title.length > TITLE_MAX_LENGTH) {
-    showError('E012');
-    return;
+  const snapshot = await getDoc(doc(db, 'notes', mutation.noteId));
+  if (!snapshot.exists() || snapshot.data().deleted) {
+    // 削除済みのノートを削除する場合は競合ではない
+    return mutation.type === 'delete' ? null : { kind: 'deleted', server: null };
   }
 
-  if (question.length > CONTENT_MAX_LENGTH || answer.length > CONTENT_MAX_LENGTH || explain.length > CONTENT_MAX_LENGTH) {
-    showError('E013');
-    return;
-  }
+  const server = toLocalNote(snapshot.id, snapshot.data());
+  const changedFields = Object.keys(mutation.base).filter(field => (server[field] || '') !== mutation.base[field]);
+  return changedFields.length > 0 ? { kind: 'modified', server, changedFields } : null;
+}
 
-  // タイトル重複チェック
-  if (notesData.some(n => n.Title === title)) {
-    titleError.textContent = 'このタイトルは既に存在します';
-    titleError.classList.remove('hidden');
-    showError('E008');
+/**
+ * 送信待ちキューを先頭から順に再送
+ */
+async function replayOutbox() {
+  // 再送は同期担当のタブのみが行い、他のタブからは依頼だけを送る
+  if (!isSyncLeader) {
+    notifyOutboxChanged();
     return;
   }
+  if (isReplaying || !currentUser || !navigator.onLine) return;
+  if (getOutbox().length === 0) return;
 
-  showLoading('登録中...');
-
-  const newNote = {
-    Title: title,
-    Question: question,
-    Answer: answer,
-    Explain: explain,
-    Date: getCurrentDateTime(),
-    MissCount: 0,
-    uid: currentUser.uid
-  };
+  isReplaying = true;
+  let processed = false;
 
   try {
-    const docRef = await withRetry(() => addDoc(collection(db, 'notes'), newNote));
-    newNote.id = docRef.id;
-    notesData.push(newNote);
-    saveToLocalStorage(notesData);
-    
-    hideLoading();
-    closeModal(true);
-    renderListContent();
+    let outbox = getOutbox();
+    while (outbox.length > 0) {
+      const mutation = outbox[0];
+      const conflict = await withRetry(() => detectConflict(mutation));
+
+      if (conflict) {
+        const resolution = await askConflictResolution(mutation, conflict);
+        if (resolution === null) {
+          showError('E016');
+          break;
+        }
+        await applyConflictResolution(mutation, conflict, resolution);
+      } else {
+        await sendWrite(() => sendMutation(mutation));
+      }
+
+      processed = true;
+      saveOutbox(getOutbox().filter(m => m.opId !== mutation.opId));
+      updateSyncBadges();
+      outbox = getOutbox();
+    }
   } catch (error) {
-    console.error('Register error:', error);
-    showError('E004');
-    hideLoading();
+    console.error('Replay error:', error);
+    showError('E015');
+  } finally {
+    isReplaying = false;
+  }
+
+  // 送信した変更はupdatedAtが更新されているため、差分同期でキャッシュへ取り込む
+  if (processed) {
+    try {
+      await loadNotesFromFirestore();
+    } catch (error) {
+      console.error('Failed to load notes:', error);
+    }
+    refreshListIfVisible();
+  }
+}
+
+/**
+ * 一覧画面の未同期バッジを更新
+ */
+function updateSyncBadges() {
+  const pendingIds = getPendingNoteIds();
+  document.querySelectorAll('.sync-badge').forEach(badge => {
+    badge.classList.toggle('hidden', !pendingIds.has(badge.dataset.id));
+  });
+}
+
+/**
+ * 一覧画面を表示中であれば現在のソートとスクロール位置のまま再描画
+ */
+function refreshListIfVisible() {
+  if (currentPage !== 'list') return;
+  const scrollY = window.scrollY;
+  const searchInput = document.getElementById('search-input');
+  const isSearching = searchInput && document.activeElement === searchInput;
+  const selection = isSearching ? [searchInput.selectionStart, searchInput.selectionEnd] : null;
+
+  renderListContent(listSortBy);
+  window.scrollTo(0, scrollY);
+  renderVisibleListRows();
+
+  // 検索語の入力中であればフォーカスとカーソル位置を戻す
+  if (isSearching) {
+    const newInput = document.getElementById('search-input');
+    newInput.focus();
+    newInput.setSelectionRange(selection[0], selection[1]);
   }
 }
 
 // ========================================
-// 編集モーダル
+// 問題の保存先（バックエンド）
 // ========================================
+// 問題の読み書きはnoteBackendを経由して行い、ログイン中はFirestore、ゲストモードでは端末内（IndexedDB）に保存する。
+// バックエンドは次の関数を持つ
+//   createId()                                 新しい問題・版のID
+//   loadNotes()                                問題を読み込んでnotesData・trashedNotesに反映
+//   readLocalNotes()                           端末に保持している問題（未送信の変更を反映済み）
+//   submitMutation(mutation)                   変更を保存（キューに追加した場合はtrue）
+//   submitMutations(mutations)                 複数の変更をまとめて保存（完全な削除は含めない）
+//   fetchRevisions(noteId)                     問題の版の一覧
+//   uploadFile(noteId, fileName, blob, type)   添付ファイルを保存し、{ path, url } を返す
+//   deleteFiles(paths)                         添付ファイルを削除（失敗しても例外は投げない）
+//   start() / stop()                           同期の開始・停止
+
+const firestoreBackend = {
+  createId: () => doc(collection(db, 'notes')).id,
+  loadNotes: loadNotesWithFallback,
+  readLocalNotes: async () => getOutbox().reduce(applyMutation, await getCachedNotes()),
+  submitMutation: submitFirestoreMutation,
+  submitMutations: submitFirestoreMutations,
+  fetchRevisions: fetchFirestoreRevisions,
+  uploadFile: uploadStorageFile,
+  deleteFiles: deleteStorageFiles,
+  start: startLiveSync,
+  stop: stopLiveSync
+};
 
-function openEditModal(note) {
-  const modalHtml = `
-    <div class="modal-header">
-      <h2>問題を編集</h2>
-      <button class="modal-close">&times;</button>
-    </div>
-    <div class="modal-body">
-      <div class="form-group">
-        <label>タイトル<span class="required">*</span></label>
-        <input type="text" id="edit-title" class="form-control" maxlength="${TITLE_MAX_LENGTH}" value="${escapeHtml(note.Title)}">
-        <div class="char-count"><span id="title-count">${note.Title.length}</span>/${TITLE_MAX_LENGTH}</div>
-        <div id="title-error" class="form-error hidden"></div>
-      </div>
-      <div class="form-group">
-        <label>問題文<span class="required">*</span></label>
-        <textarea id="edit-question" class="form-control" maxlength="${CONTENT_MAX_LENGTH}">${escapeHtml(note.Question)}</textarea>
-        <div class="char-count"><span id="question-count">${note.Question.length}</span>/${CONTENT_MAX_LENGTH}</div>
-      </div>
-      <div class="form-group">
-        <label>解答<span class="required">*</span></label>
-        <textarea id="edit-answer" class="form-control" maxlength="${CONTENT_MAX_LENGTH}">${escapeHtml(note.Answer)}</textarea>
-        <div class="char-count"><span id="answer-count">${note.Answer.length}</span>/${CONTENT_MAX_LENGTH}</div>
-      </div>
-      <div class="form-group">
-        <label>解説（任意）</label>
-        <textarea id="edit-explain" class="form-control" maxlength="${CONTENT_MAX_LENGTH}">${escapeHtml(note.Explain || '')}</textarea>
-        <div class="char-count"><span id="explain-count">${(note.Explain || '').length}</span>/${CONTENT_MAX_LENGTH}</div>
+const localBackend = {
+  createId: createLocalId,
+  loadNotes: async () => setNotes(await getGuestNotes()),
+  readLocalNotes: () => getGuestNotes(),
+  submitMutation: mutation => saveGuestMutations([mutation]),
+  submitMutations: saveGuestMutations,
+  fetchRevisions: fetchGuestRevisions,
+  uploadFile: storeGuestFile,
+  deleteFiles: () => Promise.resolve(),
+  start: startGuestSync,
+  stop: () => {}
+};
+
+/**
+ * 変更を保存（オフライン時や未送信の変更がある場合はキューに追加）
+ * キューに追加した場合はtrueを返す
+ */
+function submitMutation(mutation) {
+  return noteBackend.submitMutation(mutation);
+}
+
+/**
+ * 複数の変更をまとめて保存（完全な削除は含めない）
+ * キューに追加した場合はtrueを返す。保存に失敗した場合、保存済みの変更操作をerror.committedに入れて例外を投げる
+ */
+function submitMutations(mutations) {
+  return noteBackend.submitMutations(mutations);
+}
+
+/**
+ * 問題に記録するユーザーID（ゲストモードでは固定値）
+ */
+function getSessionUid() {
+  return currentUser ? currentUser.uid : GUEST_UID;
+}
+
+/**
+ * 変更履歴に記録するユーザー名
+ */
+function getSessionUserName() {
+  return currentUser ? currentUser.displayName || currentUser.email || '' : 'ゲスト';
+}
+
+// ========================================
+// リアルタイム同期（複数タブ連携）
+// ========================================
+// 同じブラウザのタブのうちロックを取得した1つだけがスナップショットリスナーを持ち、
+// 受信した変更はBroadcastChannelで他のタブへ通知する
+
+/**
+ * リアルタイム同期を開始（ログイン時）
+ */
+function startLiveSync() {
+  stopLiveSync();
+  const uid = currentUser.uid;
+  openSyncChannel();
+
+  // Web Locks APIが使えない環境では各タブがそれぞれリスナーを持つ
+  if (!navigator.locks) {
+    becomeSyncLeader(uid);
+    return;
+  }
+
+  syncLockController = new AbortController();
+  navigator.locks.request(SYNC_LOCK_NAME, { signal: syncLockController.signal }, () => (
+    // ログアウトまたはタブを閉じるまでロックを保持する
+    new Promise(resolve => {
+      releaseSyncLock = resolve;
+      becomeSyncLeader(uid);
+    })
+  )).catch(error => {
+    if (error.name !== 'AbortError') console.error('Lock error:', error);
+  });
+}
+
+/**
+ * 他のタブとの連絡用のチャンネルを開く（初回のみ）
+ */
+function openSyncChannel() {
+  if (!syncChannel && 'BroadcastChannel' in window) {
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    syncChannel.onmessage = (e) => {
+      handleSyncMessage(e.data).catch(error => console.error('Sync message error:', error));
+    };
+  }
+}
+
+/**
+ * リアルタイム同期を停止（ログアウト時）
+ */
+function stopLiveSync() {
+  if (unsubscribeSnapshot) {
+    unsubscribeSnapshot();
+    unsubscribeSnapshot = null;
+  }
+  if (unsubscribeSettings) {
+    unsubscribeSettings();
+    unsubscribeSettings = null;
+  }
+  if (syncLockController) {
+    syncLockController.abort();
+    syncLockController = null;
+  }
+  if (releaseSyncLock) {
+    releaseSyncLock();
+    releaseSyncLock = null;
+  }
+  isSyncLeader = false;
+}
+
+/**
+ * 同期担当のタブとしてスナップショットリスナーを開始
+ */
+async function becomeSyncLeader(uid) {
+  isSyncLeader = true;
+
+  let notesLoaded = false;
+  try {
+    await loadNotesFromFirestore();
+    notesLoaded = true;
+  } catch (error) {
+    console.error('Failed to load notes:', error);
+  }
+  if (!isSyncLeader || !currentUser || currentUser.uid !== uid) return;
+  purgeExpiredTrash();
+  purgeExpiredTombstones(uid);
+  // 読み込みに失敗した場合はタイトルの重複を確認できないため、次にアプリを開いたときに移行する
+  if (notesLoaded) migrateGuestNotes();
+
+  // 同期カーソル以降の変更のみを購読する（同じ時刻の変更を取りこぼさないよう、カーソルの時刻も含める）
+  const syncState = await getSyncState();
+  const cursor = syncState && syncState.uid === uid ? syncState.cursor : 0;
+  const q = query(
+    collection(db, 'notes'),
+    where('uid', '==', uid),
+    where('updatedAt', '>=', Timestamp.fromMillis(cursor))
+  );
+
+  unsubscribeSnapshot = onSnapshot(q, (snapshot) => {
+    handleNoteSnapshot(snapshot, uid).catch(error => console.error('Snapshot error:', error));
+  }, (error) => {
+    console.error('Snapshot listener error:', error);
+    showError('E003');
+  });
+
+  // ゴミ箱の保存期間など、アカウントの設定の変更を受け取る
+  unsubscribeSettings = onSnapshot(doc(db, 'users', uid), (snapshot) => {
+    applyAccountSettings(snapshot.data() || {});
+  }, (error) => {
+    console.error('Settings listener error:', error);
+  });
+
+  replayOutbox();
+}
+
+/**
+ * スナップショットの変更をキャッシュへ反映し、他のタブへ通知
+ */
+async function handleNoteSnapshot(snapshot, uid) {
+  // サーバー時刻が未確定の送信中の書き込みは、確定後の通知で反映する
+  const docSnapshots = snapshot.docChanges()
+    .filter(change => change.type !== 'removed' && !change.doc.metadata.hasPendingWrites)
+    .map(change => change.doc);
+  if (docSnapshots.length === 0) return;
+
+  const changedIds = await mergeServerDocs(docSnapshots, uid, false);
+  if (changedIds.length === 0) return;
+  if (syncChannel) {
+    syncChannel.postMessage({ type: 'notes-changed', uid, changedIds });
+  }
+  applyLiveUpdate(changedIds);
+  purgeExpiredTrash();
+}
+
+/**
+ * 他のタブからの通知を処理
+ */
+async function handleSyncMessage(message) {
+  if (!noteBackend || message.uid !== getSessionUid()) return;
+
+  switch (message.type) {
+    case 'notes-changed':
+      setNotes(await noteBackend.readLocalNotes());
+      applyLiveUpdate(message.changedIds);
+      break;
+    case 'outbox-changed':
+      if (isSyncLeader) replayOutbox();
+      break;
+    case 'settings-changed':
+      if (isSyncLeader) purgeExpiredTrash();
+      if (currentPage === 'trash') renderTrashContent();
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * 同期担当のタブへ送信待ちキューの再送を依頼
+ */
+function notifyOutboxChanged() {
+  if (syncChannel && currentUser) {
+    syncChannel.postMessage({ type: 'outbox-changed', uid: currentUser.uid });
+  }
+}
+
+/**
+ * 受信した変更を表示中の画面へ反映
+ */
+function applyLiveUpdate(changedIds) {
+  refreshListIfVisible();
+
+  if (!modalContext || !changedIds.includes(modalContext.noteId)) return;
+
+  const latestNote = notesData.find(n => n.id === modalContext.noteId);
+  if (modalContext.type === 'detail') {
+    if (latestNote) {
+      refreshDetailModal(latestNote);
+    } else {
+      closeModal(true);
+    }
+  } else if (modalContext.type === 'edit') {
+    const original = modalContext.note;
+    const changed = !latestNote
+      || CONTENT_FIELDS.some(field => (latestNote[field] || '') !== (original[field] || ''));
+    if (changed) showEditConflictWarning(latestNote);
+  }
+}
+
+/**
+ * 既存のタイトルと重複しないよう末尾に連番を付与
+ */
+function makeUniqueTitle(title, existingTitles) {
+  const taken = new Set(existingTitles);
+  if (!taken.has(title)) return title;
+
+  for (let n = 2; ; n++) {
+    const suffix = ` (${n})`;
+    const candidate = title.slice(0, TITLE_MAX_LENGTH - suffix.length) + suffix;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
+
+// ========================================
+// モーダル（仮想ウインドウ）管理
+// ========================================
+
+/**
+ * モーダルを開く
+ */
+function openModal(content, onClose = null) {
+  if (isModalOpen) return;
+  
+  modalContent.innerHTML = content;
+  modalCloseHandler = onClose;
+  modalOverlay.classList.remove('hidden');
+  modalContainer.classList.remove('hidden');
+  isModalOpen = true;
+  hasUnsavedChanges = false;
+
+  // イベントリスナー設定
+  setupModalEventListeners();
+}
+
+/**
+ * モーダルを閉じる
+ */
+function closeModal(force = false) {
+  if (!isModalOpen) return;
+
+  if (!force && hasUnsavedChanges) {
+    if (!confirm('変更が保存されていません。破棄しますか？')) {
+      return;
+    }
+  }
+
+  modalOverlay.classList.add('hidden');
+  modalContainer.classList.add('hidden');
+  modalContent.innerHTML = '';
+  isModalOpen = false;
+  hasUnsavedChanges = false;
+  modalContext = null;
+  modalSubmitHandler = null;
+
+  if (modalCloseHandler) {
+    const handler = modalCloseHandler;
+    modalCloseHandler = null;
+    handler();
+  }
+
+  const waiters = modalCloseWaiters;
+  modalCloseWaiters = [];
+  waiters.forEach(resolve => resolve());
+}
+
+/**
+ * 開いているモーダルが閉じるまで待つ（閉じた直後に別のモーダルが開いた場合はそれも待つ）
+ */
+async function waitForModalClose() {
+  while (isModalOpen) {
+    await new Promise(resolve => modalCloseWaiters.push(resolve));
+  }
+}
+
+/**
+ * モーダルのイベントリスナー設定
+ */
+function setupModalEventListeners() {
+  // オーバーレイクリックで閉じる
+  modalOverlay.onclick = () => closeModal();
+
+  // 閉じるボタン
+  const closeBtn = modalContent.querySelector('.modal-close');
+  if (closeBtn) {
+    closeBtn.onclick = () => closeModal();
+  }
+
+  // フォーム変更検知
+  const inputs = modalContent.querySelectorAll('input, textarea');
+  inputs.forEach(input => {
+    input.addEventListener('input', () => {
+      hasUnsavedChanges = true;
+    });
+  });
+}
+
+/**
+ * モーダルでEnterキーを押したときの確定処理を設定（モーダルを閉じると解除）
+ */
+function setModalSubmitHandler(handler) {
+  modalSubmitHandler = handler;
+}
+
+/**
+ * 開いているモーダルの下部を確認の表示に切り替え、確定したらonConfirmを呼ぶ
+ * キャンセルすると元のボタン（登録済みの処理ごと）とEnterキーの確定処理に戻す
+ */
+function confirmInModal(message, confirmLabel, onConfirm) {
+  const footer = modalContent.querySelector('.modal-footer');
+  if (!footer || footer.classList.contains('modal-confirm')) return;
+
+  const originalNodes = [...footer.childNodes];
+  const originalSubmitHandler = modalSubmitHandler;
+  footer.classList.add('modal-confirm');
+  footer.innerHTML = `
+    <p class="modal-confirm-message">${escapeHtml(message)}</p>
+    <button class="btn btn-secondary modal-confirm-cancel-btn">キャンセル</button>
+    <button class="btn btn-danger modal-confirm-submit-btn">${escapeHtml(confirmLabel)}</button>
+  `;
+  modalSubmitHandler = null;
+
+  const restore = () => {
+    footer.classList.remove('modal-confirm');
+    footer.replaceChildren(...originalNodes);
+    modalSubmitHandler = originalSubmitHandler;
+  };
+  footer.querySelector('.modal-confirm-cancel-btn').onclick = restore;
+  footer.querySelector('.modal-confirm-submit-btn').onclick = () => {
+    restore();
+    onConfirm();
+  };
+}
+
+/**
+ * 確認用のモーダルを開き、確定したらモーダルを閉じてonConfirmを呼ぶ
+ * 別のモーダルを開いている間は confirmInModal を使う
+ */
+function openConfirmModal(title, message, confirmLabel, onConfirm) {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>${escapeHtml(title)}</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <div class="delete-warning">
+        <p>${escapeHtml(message)}</p>
       </div>
     </div>
     <div class="modal-footer">
-      <button id="delete-mode-btn" class="btn btn-danger">データを削除...</button>
-      <button id="edit-cancel-btn" class="btn btn-secondary">キャンセル</button>
-      <button id="edit-submit-btn" class="btn btn-primary">保存</button>
+      <button id="confirm-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="confirm-submit-btn" class="btn btn-danger">${escapeHtml(confirmLabel)}</button>
     </div>
   `;
 
-  openModal(modalHtml);
-  setupEditModalListeners(note);
+  openModal(modalHtml);
+  document.getElementById('confirm-cancel-btn').onclick = () => closeModal();
+  document.getElementById('confirm-submit-btn').onclick = () => {
+    closeModal(true);
+    onConfirm();
+  };
+}
+
+/**
+ * モーダルのキー操作（Escキーで閉じる・Enterキーで確定）
+ * モーダルを開くたびに登録すると重複するため、初期化時に一度だけ登録する
+ * 日本語入力の変換中と、複数行の入力欄（Ctrl+Enterを除く）・ボタン上のEnterキーでは確定しない
+ */
+function handleModalKeydown(e) {
+  if (!isModalOpen || e.isComposing || e.defaultPrevented) return;
+
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeModal();
+    return;
+  }
+
+  if (e.key !== 'Enter' || e.shiftKey || !modalSubmitHandler) return;
+  const tagName = e.target.tagName;
+  if (tagName === 'TEXTAREA' && !e.ctrlKey && !e.metaKey) return;
+  if (tagName === 'BUTTON' || tagName === 'SELECT' || tagName === 'A') return;
+
+  e.preventDefault();
+  modalSubmitHandler();
+}
+
+// ========================================
+// ルーティング
+// ========================================
+
+/**
+ * ページ遷移
+ */
+function navigateTo(page) {
+  currentPage = page;
+  history.pushState({ page, shareId: viewingShareId }, '', page === 'share' ? `#share/${viewingShareId}` : `#${page}`);
+  renderPage();
+}
+
+/**
+ * ログイン・ゲストモードの開始後の遷移（共有リンクから来た場合はその画面へ戻る）
+ */
+function navigateAfterSignIn() {
+  const shareId = sessionStorage.getItem(SHARE_RETURN_KEY);
+  sessionStorage.removeItem(SHARE_RETURN_KEY);
+  if (shareId) {
+    viewingShareId = shareId;
+    navigateTo('share');
+  } else {
+    navigateTo('list');
+  }
+}
+
+/**
+ * 初期ルーティング設定
+ */
+function initRouter() {
+  window.addEventListener('popstate', (e) => {
+    if (e.state && e.state.page) {
+      currentPage = e.state.page;
+      viewingShareId = e.state.shareId || null;
+      renderPage();
+    }
+  });
+
+  // 初期ページ判定
+  const hash = window.location.hash.slice(1);
+  const shareMatch = hash.match(/^share\/([A-Za-z0-9]+)$/);
+  if (['login', 'list', 'random', 'stats', 'trash'].includes(hash)) {
+    currentPage = hash;
+  } else if (shareMatch) {
+    // 共有リンクはログインしていなくても開ける
+    currentPage = 'share';
+    viewingShareId = shareMatch[1];
+  }
+}
+
+/**
+ * ページ描画
+ */
+function renderPage() {
+  closeModal(true);
+
+  // ゲストモードで使う画面以外はFirebaseを読み込んでから表示する
+  if (!auth && (!isGuestMode || ['login', 'share'].includes(currentPage))) {
+    showLoading();
+    loadFirebase().then(renderPage, error => {
+      console.error('Firebase load error:', error);
+      hideLoading();
+      showError('E011');
+    });
+    return;
+  }
+
+  if (!noteBackend && !['login', 'share'].includes(currentPage)) {
+    navigateTo('login');
+    return;
+  }
+
+  switch (currentPage) {
+    case 'login':
+      renderLoginPage();
+      break;
+    case 'list':
+      renderListPage();
+      break;
+    case 'random':
+      renderRandomPage();
+      break;
+    case 'stats':
+      renderStatsPage();
+      break;
+    case 'trash':
+      renderTrashPage();
+      break;
+    case 'share':
+      renderSharePage();
+      break;
+    default:
+      navigateTo('login');
+  }
+}
+
+// ========================================
+// ログイン画面
+// ========================================
+
+function renderLoginPage() {
+  const pendingLink = getPendingLink();
+
+  pageContent.innerHTML = `
+    <div class="login-page">
+      <div class="login-container">
+        <h1 class="login-title">僕の考えた最強のノート</h1>
+        <p class="login-subtitle">間違えた問題を管理して効率的に学習しよう</p>
+        ${pendingLink ? `
+          <div class="form-warning login-link-notice">
+            <p id="login-link-message"></p>
+            <button id="login-link-cancel-btn" class="btn btn-small btn-outline">連携をやめる</button>
+          </div>
+        ` : ''}
+        <div class="login-providers">
+          <button class="btn btn-primary login-btn btn-large provider-login-btn" data-provider="google">
+            <svg width="20" height="20" viewBox="0 0 24 24">
+              <path fill="currentColor" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
+              <path fill="currentColor" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
+              <path fill="currentColor" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"/>
+              <path fill="currentColor" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"/>
+            </svg>
+            Googleでログイン
+          </button>
+          ${getAuthProviders().filter(p => p.key !== 'google').map(p => `
+            <button class="btn btn-outline login-btn btn-large provider-login-btn" data-provider="${p.key}">${escapeHtml(p.label)}でログイン</button>
+          `).join('')}
+        </div>
+        <div class="login-divider">または</div>
+        <div class="login-email">
+          <input type="email" id="login-email-input" class="form-control" placeholder="メールアドレス" autocomplete="email">
+          <button id="login-email-btn" class="btn btn-outline login-btn">ログイン用のリンクをメールで受け取る</button>
+          <p id="login-email-sent" class="text-muted hidden"></p>
+        </div>
+        <div class="login-divider">または</div>
+        <div class="login-guest">
+          <button id="guest-btn" class="btn btn-outline login-btn">${isGuestMode ? 'ゲストモードに戻る' : 'アカウントなしで試す'}</button>
+          <p class="text-muted">ゲストモードの問題はこの端末にのみ保存されます。ログインするとアカウントへ移行できます。</p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  if (pendingLink) {
+    setTextContent(
+      document.getElementById('login-link-message'),
+      `${pendingLink.email || 'このメールアドレス'}は別のログイン方法で登録されています。以前の方法でログインすると、${pendingLink.label}のアカウントが連携されます。`
+    );
+    document.getElementById('login-link-cancel-btn').onclick = () => {
+      sessionStorage.removeItem(PENDING_LINK_KEY);
+      pendingLinkCredential = null;
+      renderLoginPage();
+    };
+  }
+
+  document.querySelectorAll('.provider-login-btn').forEach(btn => {
+    btn.onclick = () => handleProviderLogin(btn.dataset.provider);
+  });
+  document.getElementById('login-email-btn').onclick = () => handleEmailLinkRequest(false);
+  document.getElementById('guest-btn').onclick = () => {
+    if (isGuestMode) {
+      navigateTo('list');
+    } else {
+      startGuestMode();
+    }
+  };
+}
+
+// ========================================
+// ログイン・アカウント連携
+// ========================================
+// 別のログイン方法で作成済みのアカウントと同じメールアドレスでログインした場合は、
+// 新しい方法の認証情報を保留し、以前の方法でログインした後にそのアカウントへ連携する（uidは変わらない）
+
+/**
+ * 利用できるログイン方法（OIDCはプロバイダを設定した場合のみ）
+ */
+function getAuthProviders() {
+  const providers = [
+    { key: 'google', label: 'Google', provider: googleProvider },
+    { key: 'github', label: 'GitHub', provider: githubProvider }
+  ];
+  if (oidcProvider) {
+    providers.push({ key: 'oidc', label: oidcProviderLabel || 'OIDC', provider: oidcProvider });
+  }
+  return providers;
+}
+
+/**
+ * ポップアップが使えず、リダイレクトでのログインに切り替えるべきエラーか判定
+ */
+function isPopupUnavailable(error) {
+  return ['auth/popup-blocked', 'auth/operation-not-supported-in-environment'].includes(error.code);
+}
+
+/**
+ * 連携待ちの認証情報を取得
+ */
+function getPendingLink() {
+  const data = sessionStorage.getItem(PENDING_LINK_KEY);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * OAuthプロバイダでログイン（ポップアップがブロックされた場合はリダイレクト）
+ */
+async function handleProviderLogin(key) {
+  const entry = getAuthProviders().find(p => p.key === key);
+  if (!entry) return;
+
+  showLoading('ログイン中...');
+  try {
+    await withRetry(() => signInWithPopup(auth, entry.provider));
+    // onAuthStateChangedで処理される
+  } catch (error) {
+    if (isPopupUnavailable(error)) {
+      sessionStorage.setItem(AUTH_REDIRECT_KEY, '1');
+      signInWithRedirect(auth, entry.provider).catch(redirectError => {
+        sessionStorage.removeItem(AUTH_REDIRECT_KEY);
+        handleSignInError(redirectError);
+      });
+      return;
+    }
+    handleSignInError(error);
+  }
+}
+
+/**
+ * ログイン失敗時の処理
+ * 別の方法で登録済みのメールアドレスの場合は、認証情報を保留して以前の方法でのログインを促す
+ */
+function handleSignInError(error) {
+  console.error('Login error:', error);
+  hideLoading();
+
+  if (error.code === 'auth/account-exists-with-different-credential') {
+    const credential = OAuthProvider.credentialFromError(error);
+    if (credential) {
+      const entry = getAuthProviders().find(p => p.provider.providerId === credential.providerId);
+      pendingLinkCredential = credential;
+      sessionStorage.setItem(PENDING_LINK_KEY, JSON.stringify({
+        label: entry ? entry.label : credential.providerId,
+        email: error.customData?.email || ''
+      }));
+    }
+    showError('E034');
+    if (currentPage === 'login') renderLoginPage();
+    return;
+  }
+  // ポップアップを閉じた場合はエラーにしない
+  if (['auth/popup-closed-by-user', 'auth/cancelled-popup-request'].includes(error.code)) return;
+
+  showError('E001');
+}
+
+/**
+ * ログイン用のリンクをメールで送信
+ * forLink: ログイン中のアカウントにメールアドレスでのログインを連携する場合はtrue
+ */
+async function handleEmailLinkRequest(forLink) {
+  const input = document.getElementById(forLink ? 'link-email-input' : 'login-email-input');
+  const email = input.value.trim();
+  if (!email) {
+    showError('E007');
+    return;
+  }
+
+  showLoading('メールを送信中...');
+  try {
+    await withRetry(() => sendSignInLinkToEmail(auth, email, {
+      url: `${location.origin}${location.pathname}${location.search}`,
+      handleCodeInApp: true
+    }));
+    localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, JSON.stringify({ email, forLink }));
+
+    const sent = document.getElementById(forLink ? 'link-email-sent' : 'login-email-sent');
+    setTextContent(sent, `${email} にログイン用のリンクを送信しました。メールのリンクを開いてください。`);
+    sent.classList.remove('hidden');
+  } catch (error) {
+    console.error('Email link error:', error);
+    showError('E035');
+  }
+  hideLoading();
+}
+
+/**
+ * メールのリンクから開いた場合にログイン（または連携）を完了
+ */
+async function completeEmailLinkSignIn() {
+  if (!isSignInWithEmailLink(auth, location.href)) return;
+
+  const saved = JSON.parse(localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || 'null');
+  // 別の端末でリンクを開いた場合はメールアドレスを確認する
+  const email = saved ? saved.email : prompt('確認のため、ログインに使うメールアドレスを入力してください');
+  const link = location.href;
+
+  // リンクは1回しか使えないため、URLからログイン用のパラメータを取り除く
+  const params = new URLSearchParams(location.search);
+  ['apiKey', 'oobCode', 'mode', 'lang', 'continueUrl'].forEach(name => params.delete(name));
+  history.replaceState(history.state, '', `${location.pathname}${params.toString() ? `?${params}` : ''}${location.hash}`);
+  if (!email) return;
+
+  try {
+    await auth.authStateReady();
+    if (saved && saved.forLink && auth.currentUser) {
+      await withRetry(() => linkWithCredential(auth.currentUser, EmailAuthProvider.credentialWithLink(email, link)));
+    } else {
+      await withRetry(() => signInWithEmailLink(auth, email, link));
+    }
+    localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  } catch (error) {
+    console.error('Email link sign-in error:', error);
+    showError(error.code === 'auth/credential-already-in-use' ? 'E038' : 'E036');
+  }
+}
+
+/**
+ * リダイレクトでのログイン・連携の結果を処理
+ */
+async function completeRedirectSignIn() {
+  sessionStorage.removeItem(AUTH_REDIRECT_KEY);
+  try {
+    await getRedirectResult(auth);
+  } catch (error) {
+    if (error.code === 'auth/credential-already-in-use') {
+      showError('E038');
+    } else {
+      handleSignInError(error);
+    }
+  }
+}
+
+/**
+ * 保留中の認証情報をログインしたアカウントに連携
+ */
+async function linkPendingCredential(user) {
+  const pendingLink = getPendingLink();
+  const credential = pendingLinkCredential;
+  sessionStorage.removeItem(PENDING_LINK_KEY);
+  pendingLinkCredential = null;
+  if (!pendingLink) return;
+
+  // 保留したときと同じメールアドレスのアカウントにのみ連携する
+  if (!pendingLink.email || !user.email || pendingLink.email.toLowerCase() !== user.email.toLowerCase()) {
+    showError('E057');
+    return;
+  }
+  // リダイレクトでのログインなどで再読み込みした場合は認証情報が残らないため、連携の画面から改めて連携する
+  if (!credential) {
+    openAccountLinkModal();
+    return;
+  }
+
+  try {
+    await withRetry(() => linkWithCredential(user, credential));
+  } catch (error) {
+    console.error('Link error:', error);
+    showError(error.code === 'auth/credential-already-in-use' ? 'E038' : 'E037');
+  }
+}
+
+/**
+ * ログイン方法の連携モーダル
+ */
+function openAccountLinkModal() {
+  const linkedIds = currentUser.providerData.map(info => info.providerId);
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>ログイン方法の連携</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="text-muted mb-4">連携したどの方法でログインしても、同じアカウントの問題を使えます。</p>
+      <ul class="account-link-list">
+        ${getAuthProviders().map(p => `
+          <li class="account-link-item">
+            <span>${escapeHtml(p.label)}</span>
+            ${linkedIds.includes(p.provider.providerId)
+              ? '<span class="text-muted">連携済み</span>'
+              : `<button class="btn btn-small btn-outline account-link-btn" data-provider="${p.key}">連携する</button>`}
+          </li>
+        `).join('')}
+        <li class="account-link-item">
+          <span>メールアドレス</span>
+          ${linkedIds.includes('password') || linkedIds.includes('emailLink')
+            ? '<span class="text-muted">連携済み</span>'
+            : `
+              <span class="account-link-email">
+                <input type="email" id="link-email-input" class="form-control" placeholder="メールアドレス" value="${escapeHtml(currentUser.email || '')}">
+                <button id="link-email-btn" class="btn btn-small btn-outline">リンクを送信</button>
+              </span>
+            `}
+        </li>
+      </ul>
+      <p id="link-email-sent" class="text-muted hidden"></p>
+    </div>
+    <div class="modal-footer">
+      <button id="account-link-close-btn" class="btn btn-primary">閉じる</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  document.getElementById('account-link-close-btn').onclick = () => closeModal();
+  document.querySelectorAll('.account-link-btn').forEach(btn => {
+    btn.onclick = () => handleLinkProvider(btn.dataset.provider);
+  });
+  const linkEmailBtn = document.getElementById('link-email-btn');
+  if (linkEmailBtn) linkEmailBtn.onclick = () => handleEmailLinkRequest(true);
+}
+
+/**
+ * ログイン中のアカウントにOAuthプロバイダを連携（ポップアップがブロックされた場合はリダイレクト）
+ */
+async function handleLinkProvider(key) {
+  const entry = getAuthProviders().find(p => p.key === key);
+  if (!entry) return;
+
+  showLoading('連携中...');
+  try {
+    await withRetry(() => linkWithPopup(auth.currentUser, entry.provider));
+    hideLoading();
+    closeModal(true);
+    openAccountLinkModal();
+  } catch (error) {
+    hideLoading();
+    if (isPopupUnavailable(error)) {
+      linkWithRedirect(auth.currentUser, entry.provider).catch(redirectError => {
+        console.error('Link error:', redirectError);
+        showError('E037');
+      });
+      return;
+    }
+    console.error('Link error:', error);
+    if (['auth/popup-closed-by-user', 'auth/cancelled-popup-request'].includes(error.code)) return;
+    showError(error.code === 'auth/credential-already-in-use' ? 'E038' : 'E037');
+  }
+}
+
+// ========================================
+// ゲストモード
+// ========================================
+// ログインせずに使う場合は、問題・変更履歴を端末内（IndexedDB）にのみ保存する。
+// 添付ファイルはdata URLとして問題に含め、ログインした際にStorageへアップロードしてアカウントへ移行する
+
+/**
+ * ゲストモードを開始
+ */
+function startGuestMode() {
+  isGuestMode = true;
+  localStorage.setItem(GUEST_MODE_KEY, '1');
+  noteBackend = localBackend;
+  noteBackend.start();
+  if (currentPage === 'login') {
+    navigateAfterSignIn();
+  } else {
+    renderPage();
+  }
+}
+
+/**
+ * ゲストモードを終了（端末内の問題は次にゲストモードを開始したとき・ログインしたときのために残す）
+ */
+function endGuestMode() {
+  isGuestMode = false;
+  localStorage.removeItem(GUEST_MODE_KEY);
+  noteBackend.stop();
+  noteBackend = null;
+  resetSessionState();
+  navigateTo('login');
+}
+
+/**
+ * Firestoreの自動IDと同じ形式のIDを端末で生成（アカウントへ移行してもそのまま使える）
+ */
+function createLocalId() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  return Array.from(crypto.getRandomValues(new Uint8Array(20)), n => chars[n % chars.length]).join('');
+}
+
+/**
+ * ゲストモードの問題をすべて取得
+ */
+function getGuestNotes() {
+  return runTransaction([GUEST_NOTES_STORE], 'readonly', transaction =>
+    transaction.objectStore(GUEST_NOTES_STORE).getAll()
+  );
+}
+
+/**
+ * ゲストモードの問題の版の一覧を取得
+ */
+function fetchGuestRevisions(noteId) {
+  return runTransaction([GUEST_REVISIONS_STORE], 'readonly', transaction =>
+    transaction.objectStore(GUEST_REVISIONS_STORE).index('noteId').getAll(noteId)
+  );
+}
+
+/**
+ * ゲストモードの変更を端末内に保存し、他のタブへ通知
+ */
+async function saveGuestMutations(mutations) {
+  const notes = mutations.reduce(applyMutation, await getGuestNotes());
+  const changedIds = [...new Set(mutations.map(mutation => mutation.noteId))];
+
+  await runTransaction([GUEST_NOTES_STORE, GUEST_REVISIONS_STORE], 'readwrite', (transaction) => {
+    const noteStore = transaction.objectStore(GUEST_NOTES_STORE);
+    const revisionStore = transaction.objectStore(GUEST_REVISIONS_STORE);
+    changedIds.forEach(id => {
+      const note = notes.find(n => n.id === id);
+      if (note) {
+        noteStore.put(note);
+      } else {
+        removeGuestNote(transaction, id);
+      }
+    });
+    mutations.forEach(mutation => {
+      (mutation.revisions || []).forEach(revision => revisionStore.put({ ...revision, noteId: mutation.noteId }));
+    });
+  });
+
+  if (syncChannel) {
+    syncChannel.postMessage({ type: 'notes-changed', uid: GUEST_UID, changedIds });
+  }
+  return false;
+}
+
+/**
+ * ゲストモードの問題とその版を削除（トランザクション内で呼ぶ）
+ */
+function removeGuestNote(transaction, noteId) {
+  const revisionStore = transaction.objectStore(GUEST_REVISIONS_STORE);
+  transaction.objectStore(GUEST_NOTES_STORE).delete(noteId);
+  revisionStore.index('noteId').getAllKeys(noteId).onsuccess = (e) => {
+    e.target.result.forEach(key => revisionStore.delete(key));
+  };
+}
+
+/**
+ * ゲストモードの問題を削除
+ */
+function deleteGuestNotes(noteIds) {
+  return runTransaction([GUEST_NOTES_STORE, GUEST_REVISIONS_STORE], 'readwrite', (transaction) => {
+    noteIds.forEach(id => removeGuestNote(transaction, id));
+  });
+}
+
+/**
+ * 添付ファイルをdata URLに変換して返す（ゲストモード）
+ */
+function storeGuestFile(noteId, fileName, blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({ path: `${GUEST_FILE_PREFIX}notes/${noteId}/${fileName}`, url: reader.result });
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * ゲストモードの問題を読み込み、他のタブでの変更を受け取れるようにする
+ */
+async function startGuestSync() {
+  openSyncChannel();
+  try {
+    await localBackend.loadNotes();
+  } catch (error) {
+    console.error('Failed to read guest notes:', error);
+    showError('E003');
+  }
+  purgeExpiredTrash();
+}
+
+/**
+ * ゲストモードの問題をログインしたアカウントへ移行
+ * 同期担当のタブがFirestoreから問題を読み込めた後に呼ぶ
+ */
+async function migrateGuestNotes() {
+  let guestNotes;
+  try {
+    guestNotes = await getGuestNotes();
+  } catch (error) {
+    console.error('Failed to read guest notes:', error);
+    return;
+  }
+  // オフライン時はタイトルの重複を確認できないため、次にアプリを開いたときに移行する
+  if (guestNotes.length === 0 || !navigator.onLine) return;
+
+  const accountNotes = new Map(notesData.map(note => [note.Title, note]));
+  const conflicts = guestNotes.filter(note => !note.TrashedAt && accountNotes.has(note.Title));
+  const resolution = await askGuestMigration(guestNotes.length, conflicts);
+  if (resolution === null) return;
+
+  showLoading('ゲストモードの問題を移行中...');
+  const entries = [];
+  try {
+    const takenTitles = [...accountNotes.keys(), ...guestNotes.map(note => note.Title)];
+    for (const note of guestNotes) {
+      const existing = conflicts.includes(note) ? accountNotes.get(note.Title) : null;
+      if (existing && resolution === 'skip') {
+        entries.push({ guestId: note.id, mutation: null, uploadedPaths: [] });
+        continue;
+      }
+      const entry = { guestId: note.id, mutation: null, uploadedPaths: [] };
+      entries.push(entry);
+      entry.mutation = await createMigrationMutation(note, existing, resolution, takenTitles, entry.uploadedPaths);
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+    await deleteStorageFiles(entries.flatMap(entry => entry.uploadedPaths));
+    showError('E039');
+    hideLoading();
+    return;
+  }
+
+  const mutations = entries.filter(entry => entry.mutation).map(entry => entry.mutation);
+  let committed = mutations;
+  try {
+    const queued = await submitMutations(mutations);
+    if (queued) showError('E014');
+  } catch (error) {
+    console.error('Migration error:', error);
+    committed = error.committed || [];
+    showError('E039');
+  }
+  committed.forEach(applyLocalMutation);
+
+  // 移行できなかった問題は次にアプリを開いたときに改めて移行する
+  const migrated = entries.filter(entry => !entry.mutation || committed.includes(entry.mutation));
+  await deleteStorageFiles(entries.filter(entry => !migrated.includes(entry)).flatMap(entry => entry.uploadedPaths));
+  try {
+    await deleteGuestNotes(migrated.map(entry => entry.guestId));
+  } catch (error) {
+    console.error('Cache error:', error);
+  }
+  hideLoading();
+  refreshListIfVisible();
+}
+
+/**
+ * ゲストモードの問題1件をアカウントへ移行する変更操作を生成
+ * existing: タイトルが重複するアカウントの問題（上書きする場合は版を付けて更新する）
+ */
+async function createMigrationMutation(note, existing, resolution, takenTitles, uploadedPaths) {
+  const attachments = [];
+  for (const item of getNoteAttachments(note)) {
+    if (!item.path.startsWith(GUEST_FILE_PREFIX)) {
+      attachments.push(item);
+      continue;
+    }
+    const blob = await (await fetch(item.url)).blob();
+    const { path, url } = await uploadStorageFile(note.id, item.path.split('/').pop(), blob, item.contentType);
+    uploadedPaths.push(path);
+    attachments.push({ ...item, path, url });
+  }
+
+  if (existing && resolution === 'overwrite') {
+    const data = { ...pickFields(note, REVISION_FIELDS), Attachments: attachments };
+    return {
+      ...createRevisionedMutation('update', existing.id, existing, data, pickFields(existing, CONTENT_FIELDS)),
+      cleanupPaths: getRemovedAttachmentPaths(existing, data)
+    };
+  }
+
+  const { id, updatedAt, ...data } = note;
+  if (existing) {
+    data.Title = makeUniqueTitle(note.Title, takenTitles);
+    takenTitles.push(data.Title);
+  }
+  const revisions = (await fetchGuestRevisions(note.id)).map(({ noteId, ...revision }) => ({
+    ...revision,
+    uid: currentUser.uid,
+    savedBy: revision.savedBy ? { ...revision.savedBy, uid: currentUser.uid } : null
+  }));
+  return {
+    ...createMutation('create', id, { ...data, Attachments: attachments, uid: currentUser.uid }),
+    revisions
+  };
+}
+
+/**
+ * ゲストモードの問題を移行するか確認し、タイトルが重複する問題の扱いを選択させる
+ * 'rename' / 'overwrite' / 'skip' を返し、移行しない場合はnullを返す
+ */
+function askGuestMigration(count, conflicts) {
+  if (isModalOpen) return Promise.resolve(null);
+
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>ゲストモードの問題の移行</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="mb-4">この端末にゲストモードで作成した問題が${count}件あります。ログインしたアカウントに移行しますか？</p>
+      ${conflicts.length > 0 ? `
+        <p>次の${conflicts.length}件は、アカウントに同じタイトルの問題があります。</p>
+        <ul class="migration-conflict-list">
+          ${conflicts.map(note => `<li>${escapeHtml(note.Title)}</li>`).join('')}
+        </ul>
+        <div class="form-group">
+          <label class="import-mode">
+            <input type="radio" name="migration-resolution" value="rename" checked>
+            両方残す（ゲストモードの問題のタイトルに連番を付ける）
+          </label>
+          <label class="import-mode">
+            <input type="radio" name="migration-resolution" value="overwrite">
+            ゲストモードの問題で上書きする
+          </label>
+          <label class="import-mode">
+            <input type="radio" name="migration-resolution" value="skip">
+            アカウントの問題を残す（ゲストモードの問題は移行しない）
+          </label>
+        </div>
+      ` : ''}
+      <p class="text-muted">移行しない場合、ゲストモードの問題はこの端末に残り、次にアプリを開いたときに改めて確認します。</p>
+    </div>
+    <div class="modal-footer">
+      <button id="migration-later-btn" class="btn btn-secondary">今はしない</button>
+      <button id="migration-start-btn" class="btn btn-primary">移行する</button>
+    </div>
+  `;
+
+  return new Promise(resolve => {
+    let settled = false;
+    const settle = (choice) => {
+      if (settled) return;
+      settled = true;
+      resolve(choice);
+    };
+
+    openModal(modalHtml, () => settle(null));
+    document.getElementById('migration-later-btn').onclick = () => closeModal(true);
+    document.getElementById('migration-start-btn').onclick = () => {
+      const checked = document.querySelector('input[name="migration-resolution"]:checked');
+      settle(checked ? checked.value : 'rename');
+      closeModal(true);
+    };
+  });
+}
+
+// ========================================
+// タグ
+// ========================================
+
+/**
+ * タグ文字列を正規化（前後の空白と先頭の#を除去し、連続する空白を1つにする）
+ */
+function normalizeTag(tag) {
+  return String(tag).replace(/^[#＃]+/, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * ノートのタグ一覧を取得（未設定の旧データは空配列）
+ */
+function getNoteTags(note) {
+  return Array.isArray(note.Tags) ? note.Tags : [];
+}
+
+/**
+ * 登録済みのタグと件数を取得（件数の多い順）
+ */
+function getAllTags() {
+  const counts = new Map();
+  notesData.forEach(note => {
+    getNoteTags(note).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'ja'))
+    .map(([tag, count]) => ({ tag, count }));
+}
+
+/**
+ * 選択中のタグのいずれかを持つノートに絞り込む（未選択の場合はすべて）
+ */
+function filterNotesByTags(notes, tags) {
+  if (tags.length === 0) return notes;
+  return notes.filter(note => getNoteTags(note).some(tag => tags.includes(tag)));
+}
+
+/**
+ * タグのバリデーション（エラーがあればエラーコードを返す）
+ */
+function validateTags(tags) {
+  if (tags.some(tag => tag.length > TAG_MAX_LENGTH)) return 'E018';
+  if (tags.length > TAG_MAX_COUNT) return 'E019';
+  return null;
+}
+
+/**
+ * タグのチップ表示用HTMLを生成
+ */
+function buildTagChipsHtml(tags) {
+  return tags.map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).join('');
+}
+
+/**
+ * タグ絞り込みバーのHTMLを生成
+ */
+function buildTagFilterHtml() {
+  const allTags = getAllTags();
+  if (allTags.length === 0) return '';
+
+  return `
+    <div class="tag-filter">
+      <span class="tag-filter-label">タグ:</span>
+      <button class="tag-filter-btn ${activeTagFilter.length === 0 ? 'active' : ''}" data-tag="">すべて</button>
+      ${allTags.map(({ tag, count }) => `
+        <button class="tag-filter-btn ${activeTagFilter.includes(tag) ? 'active' : ''}" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)} (${count})</button>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * タグ絞り込みバーのイベントリスナー設定
+ */
+function setupTagFilterListeners(onChange) {
+  document.querySelectorAll('.tag-filter-btn').forEach(btn => {
+    btn.onclick = () => {
+      const tag = btn.dataset.tag;
+      if (!tag) {
+        activeTagFilter = [];
+      } else if (activeTagFilter.includes(tag)) {
+        activeTagFilter = activeTagFilter.filter(t => t !== tag);
+      } else {
+        activeTagFilter = [...activeTagFilter, tag];
+      }
+      onChange();
+    };
+  });
+}
+
+/**
+ * タグ入力欄のHTMLを生成（候補は登録済みのタグから補完）
+ */
+function buildTagInputHtml(id, tags = []) {
+  return `
+    <div class="form-group">
+      <label>タグ（任意）</label>
+      <div class="tag-input" id="${id}">
+        <span class="tag-input-chips">
+          ${tags.map(tag => buildTagInputChipHtml(tag)).join('')}
+        </span>
+        <input type="text" class="tag-input-field" list="${id}-suggestions" maxlength="${TAG_MAX_LENGTH}" placeholder="タグを入力してEnter">
+      </div>
+      <datalist id="${id}-suggestions">
+        ${getAllTags().map(({ tag }) => `<option value="${escapeHtml(tag)}"></option>`).join('')}
+      </datalist>
+    </div>
+  `;
+}
+
+function buildTagInputChipHtml(tag) {
+  return `
+    <span class="tag-chip" data-tag="${escapeHtml(tag)}">
+      ${escapeHtml(tag)}<button type="button" class="tag-remove" title="タグを外す">&times;</button>
+    </span>
+  `;
+}
+
+/**
+ * タグ入力欄のイベントリスナー設定
+ */
+function setupTagInput(id) {
+  const container = document.getElementById(id);
+  const chips = container.querySelector('.tag-input-chips');
+  const input = container.querySelector('.tag-input-field');
+
+  const addTag = () => {
+    const tag = normalizeTag(input.value);
+    input.value = '';
+    if (!tag || getTagInputValue(id).includes(tag)) return;
+    chips.insertAdjacentHTML('beforeend', buildTagInputChipHtml(tag));
+    hasUnsavedChanges = true;
+  };
+
+  input.addEventListener('keydown', (e) => {
+    // モーダルのEnterキー確定より先に処理し、タグの追加として扱う
+    if ((e.key === 'Enter' || e.key === ',') && !e.isComposing) {
+      e.preventDefault();
+      e.stopPropagation();
+      addTag();
+    } else if (e.key === 'Backspace' && input.value === '' && chips.lastElementChild) {
+      chips.lastElementChild.remove();
+      hasUnsavedChanges = true;
+    }
+  });
+  // 候補リストから選択した場合
+  input.addEventListener('change', addTag);
+
+  chips.addEventListener('click', (e) => {
+    if (e.target.classList.contains('tag-remove')) {
+      e.target.closest('.tag-chip').remove();
+      hasUnsavedChanges = true;
+    }
+  });
+}
+
+/**
+ * タグ入力欄の値を取得（確定前の入力中の文字列も含む）
+ */
+function getTagInputValue(id) {
+  const container = document.getElementById(id);
+  const tags = [...container.querySelectorAll('.tag-chip')].map(chip => chip.dataset.tag);
+  const pending = normalizeTag(container.querySelector('.tag-input-field').value);
+  if (pending && !tags.includes(pending)) tags.push(pending);
+  return tags;
+}
+
+/**
+ * タグ管理モーダルを開く
+ */
+function openTagManagerModal() {
+  const allTags = getAllTags();
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>タグの管理</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="text-muted mb-4">タグ名を変更すると、そのタグが付いたすべての問題が更新されます。既存のタグ名に変更すると統合されます。</p>
+      ${allTags.length > 0 ? `
+        <ul class="tag-manager-list">
+          ${allTags.map(({ tag, count }) => `
+            <li class="tag-manager-item">
+              <input type="text" class="form-control tag-rename-input" maxlength="${TAG_MAX_LENGTH}" value="${escapeHtml(tag)}" data-tag="${escapeHtml(tag)}">
+              <span class="text-muted">${count}件</span>
+              <button class="btn btn-small btn-outline tag-rename-btn" data-tag="${escapeHtml(tag)}">変更</button>
+            </li>
+          `).join('')}
+        </ul>
+      ` : `
+        <p class="empty-message">タグが登録されていません</p>
+      `}
+    </div>
+    <div class="modal-footer">
+      <button id="tag-manager-close-btn" class="btn btn-primary">閉じる</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+
+  document.getElementById('tag-manager-close-btn').onclick = () => closeModal();
+  document.querySelectorAll('.tag-rename-btn').forEach(btn => {
+    btn.onclick = () => {
+      const input = [...document.querySelectorAll('.tag-rename-input')].find(i => i.dataset.tag === btn.dataset.tag);
+      handleRenameTag(btn.dataset.tag, input.value);
+    };
+  });
+}
+
+/**
+ * タグ名の変更・統合（対象のタグが付いたすべての問題を更新）
+ */
+function handleRenameTag(oldTag, newTagInput) {
+  const newTag = normalizeTag(newTagInput);
+
+  if (!newTag) {
+    showError('E007');
+    return;
+  }
+  if (newTag.length > TAG_MAX_LENGTH) {
+    showError('E018');
+    return;
+  }
+  if (newTag === oldTag) return;
+
+  // 既存のタグに統合する場合は、タグの管理のモーダルの下部で確認する
+  const isMerge = getAllTags().some(({ tag }) => tag === newTag);
+  if (isMerge) {
+    confirmInModal(`タグ「${oldTag}」を「${newTag}」に統合しますか？`, '統合する', () => renameTag(oldTag, newTag));
+    return;
+  }
+  renameTag(oldTag, newTag);
+}
+
+/**
+ * 対象のタグが付いたすべての問題のタグを置き換えて保存
+ */
+async function renameTag(oldTag, newTag) {
+  showLoading('タグを更新中...');
+
+  const mutations = notesData
+    .filter(note => getNoteTags(note).includes(oldTag))
+    .map(note => {
+      const tags = [...new Set(getNoteTags(note).map(tag => tag === oldTag ? newTag : tag))];
+      return createMutation('update', note.id, { Tags: tags });
+    });
+
+  try {
+    const queued = await submitMutations(mutations);
+    mutations.forEach(applyLocalMutation);
+
+    activeTagFilter = [...new Set(activeTagFilter.map(tag => tag === oldTag ? newTag : tag))];
+    if (queued) showError('E014');
+
+    hideLoading();
+    closeModal(true);
+    renderListContent();
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    (error.committed || []).forEach(applyLocalMutation);
+    showError('E005');
+    hideLoading();
+    refreshListIfVisible();
+  }
+}
+
+// ========================================
+// 検索
+// ========================================
+
+/**
+ * 検索用に1文字分を正規化（全角/半角・大文字/小文字・カタカナ/ひらがなを同一視）
+ */
+function foldSearchChars(unit) {
+  return unit.normalize('NFKC').toLowerCase()
+    .replace(/[\u30a1-\u30f6]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+}
+
+/**
+ * 正規化した文字列と、その各文字が元の文字列のどこに当たるかの対応表を作成
+ */
+function buildSearchIndex(text) {
+  const source = String(text || '');
+  if (searchIndexCache.has(source)) return searchIndexCache.get(source);
+
+  const chars = Array.from(source);
+  const positions = [];
+  let normalized = '';
+  let offset = 0;
+
+  for (let i = 0; i < chars.length; i++) {
+    let unit = chars[i];
+    // 半角カナの濁点・半濁点は直前の文字と合わせて正規化
+    while (i + 1 < chars.length && /[\uff9e\uff9f]/.test(chars[i + 1])) {
+      unit += chars[++i];
+    }
+    const folded = foldSearchChars(unit);
+    for (let k = 0; k < folded.length; k++) {
+      positions.push([offset, offset + unit.length]);
+    }
+    normalized += folded;
+    offset += unit.length;
+  }
+
+  if (searchIndexCache.size >= SEARCH_CACHE_LIMIT) searchIndexCache.clear();
+  const index = { normalized, positions };
+  searchIndexCache.set(source, index);
+  return index;
+}
+
+/**
+ * 検索語を正規化して空白区切りで分割
+ */
+function parseSearchQuery(queryText) {
+  return buildSearchIndex(queryText).normalized.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * すべての検索語がいずれかの項目に含まれるか判定
+ */
+function noteMatchesSearch(note, terms) {
+  if (terms.length === 0) return true;
+  const fields = CONTENT_FIELDS.map(field => buildSearchIndex(note[field]).normalized);
+  return terms.every(term => fields.some(field => field.includes(term)));
+}
+
+/**
+ * 元の文字列上で検索語に一致する範囲を取得（重なる範囲は結合）
+ */
+function findMatchRanges(text, terms) {
+  const { normalized, positions } = buildSearchIndex(text);
+  const ranges = [];
+
+  terms.forEach(term => {
+    let index = normalized.indexOf(term);
+    while (index !== -1) {
+      ranges.push([positions[index][0], positions[index + term.length - 1][1]]);
+      index = normalized.indexOf(term, index + term.length);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * 一致箇所を<mark>で囲んだHTMLを生成（一致箇所以外も含めすべてエスケープする）
+ */
+function highlightText(text, terms) {
+  const source = String(text || '');
+  const ranges = terms.length > 0 ? findMatchRanges(source, terms) : [];
+
+  let html = '';
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    html += escapeHtml(source.slice(last, start));
+    html += `<mark>${escapeHtml(source.slice(start, end))}</mark>`;
+    last = end;
+  });
+  return html + escapeHtml(source.slice(last));
+}
+
+/**
+ * タイトル以外の項目で一致した箇所の前後を抜粋して表示
+ */
+function buildSearchSnippet(note, terms) {
+  if (terms.length === 0) return '';
+
+  for (const field of CONTENT_FIELDS.filter(f => f !== 'Title')) {
+    const text = String(note[field] || '');
+    const ranges = findMatchRanges(text, terms);
+    if (ranges.length === 0) continue;
+
+    const start = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT_LENGTH);
+    const end = Math.min(text.length, ranges[0][1] + SNIPPET_CONTEXT_LENGTH * 2);
+    return `
+      <div class="search-snippet">
+        <span class="search-snippet-label">${escapeHtml(FIELD_LABELS[field])}:</span>
+        ${start > 0 ? '…' : ''}${highlightText(text.slice(start, end), terms)}${end < text.length ? '…' : ''}
+      </div>
+    `;
+  }
+  return '';
+}
+
+// ========================================
+// Markdown・数式・ルビの表示
+// ========================================
+// 生のHTMLは一切通さず、すべての文字列をescapeHtmlしてから
+// このアプリで生成するタグだけを組み立てる
+
+/**
+ * Markdown形式で表示する問題か判定
+ */
+function isMarkdownNote(note) {
+  return Boolean(note) && note.Format === 'markdown';
+}
+
+/**
+ * 数式の表示用HTMLを生成（TeXは文字列のまま埋め込み、後からKaTeXで描画）
+ */
+function buildMathHtml(tex, isBlock) {
+  const tag = isBlock ? 'div' : 'span';
+  return `<${tag} class="math ${isBlock ? 'math-block' : 'math-inline'}">${escapeHtml(tex.trim())}</${tag}>`;
+}
+
+/**
+ * 行内の書式（コード・数式・ルビ・リンク・強調）をHTMLに変換
+ */
+function renderMarkdownInline(text) {
+  const held = [];
+  // 変換済みのHTMLは後続の置換の対象にならないよう退避しておく
+  const hold = html => `\uE000${held.push(html) - 1}\uE001`;
+
+  let result = text
+    .replace(/`([^`\n]+)`/g, (_, code) => hold(`<code>${escapeHtml(code)}</code>`))
+    .replace(/\\\$/g, () => hold('$'))
+    .replace(/\$([^$\n]+?)\$/g, (_, tex) => hold(buildMathHtml(tex, false)))
+    .replace(/\\([\\`*_~|《》[\]])/g, (_, ch) => hold(escapeHtml(ch)));
+
+  const restore = html => html.replace(/\uE000(\d+)\uE001/g, (_, index) => held[Number(index)]);
+  const toRuby = (_, base, reading) => `<ruby>${base}<rp>(</rp><rt>${reading}</rt><rp>)</rp></ruby>`;
+  const decorate = html => html
+    .replace(/[|｜]([^|｜《》\n]+)《([^《》\n]+)》/g, toRuby)
+    .replace(/([\u3005\u3006\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+)《([^《》\n]+)》/g, toRuby)
+    .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/__([^_\n]+)__/g, '<strong>$1</strong>')
+    .replace(/~~([^~\n]+)~~/g, '<del>$1</del>')
+    .replace(/\*([^*\n]+)\*/g, '<em>$1</em>');
+
+  // リンクは表示名を先に変換して退避し、URLに強調・ルビの置換が入らないようにする
+  // 退避した数式・コードがURLに入ると属性の中にHTMLを戻してしまうため、URLには退避の印を含めない
+  result = escapeHtml(result)
+    .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s()\uE000\uE001]+)\)/g, (_, label, url) =>
+      hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${restore(decorate(label))}</a>`));
+
+  return restore(decorate(result));
+}
+
+/**
+ * 表の1行をセルに分割
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Markdownのサブセットを安全なHTMLに変換
+ * 対応：見出し・段落・改行・箇条書き・番号付きリスト・引用・コードブロック・表・区切り線・
+ *       強調・打ち消し線・行内コード・リンク（http/httpsのみ）・数式（$...$ / $$...$$）・ルビ
+ */
+function renderMarkdown(text) {
+  const lines = String(text || '').replace(/[\uE000\uE001]/g, '').replace(/\r\n?/g, '\n').split('\n');
+  const blockStart = /^(```|\s*\$\$|#{1,6}\s|\s*>|\s*([-*+]|\d+[.)])\s+)/;
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // コードブロック
+    if (/^```/.test(line)) {
+      const body = [];
+      i++;
+      while (i < lines.length && !/^```/.test(lines[i])) body.push(lines[i++]);
+      i++;
+      blocks.push(`<pre class="md-code"><code>${escapeHtml(body.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    // 数式ブロック
+    if (/^\s*\$\$/.test(line)) {
+      const first = line.trim().slice(2);
+      const body = [];
+      if (first.endsWith('$$')) {
+        body.push(first.slice(0, -2));
+        i++;
+      } else {
+        body.push(first);
+        i++;
+        while (i < lines.length && !lines[i].trim().endsWith('$$')) body.push(lines[i++]);
+        if (i < lines.length) body.push(lines[i++].trim().slice(0, -2));
+      }
+      blocks.push(buildMathHtml(body.join('\n'), true));
+      continue;
+    }
+
+    // 見出し（モーダル内の見出しより小さく表示する）
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = Math.min(6, heading[1].length + 2);
+      blocks.push(`<h${level} class="md-heading">${renderMarkdownInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    // 区切り線
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    // 表
+    if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+      const headers = splitTableRow(line);
+      const aligns = splitTableRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : '';
+      });
+      const cellHtml = (tag, cells) => headers.map((_, index) => {
+        const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+        return `<${tag}${align}>${renderMarkdownInline(cells[index] || '')}</${tag}>`;
+      }).join('');
+
+      i += 2;
+      const rows = [];
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        rows.push(`<tr>${cellHtml('td', splitTableRow(lines[i++]))}</tr>`);
+      }
+      blocks.push(`<table class="md-table"><thead><tr>${cellHtml('th', headers)}</tr></thead><tbody>${rows.join('')}</tbody></table>`);
+      continue;
+    }
+
+    // 引用
+    if (/^\s*>/.test(line)) {
+      const body = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) body.push(lines[i++].replace(/^\s*>\s?/, ''));
+      blocks.push(`<blockquote>${renderMarkdown(body.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    // 箇条書き・番号付きリスト
+    const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+/);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      const pattern = ordered ? /^\s*\d+[.)]\s+/ : /^\s*[-*+]\s+/;
+      const items = [];
+      while (i < lines.length && pattern.test(lines[i])) {
+        items.push(`<li>${renderMarkdownInline(lines[i++].replace(pattern, ''))}</li>`);
+      }
+      blocks.push(ordered ? `<ol>${items.join('')}</ol>` : `<ul>${items.join('')}</ul>`);
+      continue;
+    }
+
+    // 段落（改行はそのまま改行として表示）
+    const body = [];
+    while (i < lines.length && lines[i].trim() && (body.length === 0 || !blockStart.test(lines[i]))) {
+      body.push(renderMarkdownInline(lines[i++]));
+    }
+    blocks.push(`<p>${body.join('<br>')}</p>`);
+  }
+
+  return blocks.join('');
+}
+
+/**
+ * KaTeXを必要になった時点で読み込む
+ */
+function loadKatex() {
+  if (!katexLoader) {
+    katexLoader = import(KATEX_MODULE_URL)
+      .then(module => module.default)
+      .catch(error => {
+        katexLoader = null;
+        throw error;
+      });
+  }
+  return katexLoader;
+}
+
+/**
+ * 要素内の数式をKaTeXで描画（読み込めない場合はTeXのまま表示）
+ */
+async function typesetMath(container) {
+  const elements = [...container.querySelectorAll('.math:not(.math-rendered)')];
+  if (elements.length === 0) return;
+
+  try {
+    const katex = await loadKatex();
+    elements.forEach(element => {
+      if (!element.isConnected) return;
+      katex.render(element.textContent, element, {
+        displayMode: element.classList.contains('math-block'),
+        throwOnError: false,
+        trust: false
+      });
+      element.classList.add('math-rendered');
+    });
+  } catch (error) {
+    console.error('Math render error:', error);
+  }
+}
+
+/**
+ * 問題の形式に応じてテキストを表示（Markdown形式でなければプレーンテキスト）
+ */
+function setRichText(element, text, note) {
+  if (!element) return;
+  if (!isMarkdownNote(note)) {
+    element.classList.remove('markdown-body');
+    setTextContent(element, text);
+    return;
+  }
+  element.classList.add('markdown-body');
+  element.innerHTML = renderMarkdown(text);
+  typesetMath(element);
+}
+
+/**
+ * 採点用にMarkdownの記号を取り除く（ルビは親文字のみ残す）
+ */
+function stripMarkdown(text) {
+  return String(text || '')
+    .replace(/^```.*$/gm, '')
+    .replace(/^\s*(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+    .replace(/[|｜]?([^|｜《》\n]+)《[^《》\n]+》/g, '$1')
+    .replace(/\[([^\]\n]+)\]\([^)\s]+\)/g, '$1')
+    .replace(/\*\*|__|~~|\*|`|\$/g, '');
+}
+
+/**
+ * 登録・編集モーダルの書式切り替えとプレビューのHTMLを生成
+ */
+function buildFormatToggleHtml(prefix, enabled) {
+  return `
+    <div class="form-group">
+      <label class="format-toggle">
+        <input type="checkbox" id="${prefix}-markdown" ${enabled ? 'checked' : ''}>
+        Markdown・数式（$...$）・ルビ（|漢字《かんじ》）を使う
+      </label>
+      <div id="${prefix}-preview" class="markdown-preview ${enabled ? '' : 'hidden'}">
+        ${['Question', 'Answer', 'Explain'].map(field => `
+          <div class="markdown-preview-field">
+            <div class="detail-label">${escapeHtml(FIELD_LABELS[field])}のプレビュー</div>
+            <div class="detail-value" data-preview-field="${field}"></div>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * 入力に合わせてプレビューを更新
+ */
+function setupMarkdownPreview(prefix) {
+  const toggle = document.getElementById(`${prefix}-markdown`);
+  const preview = document.getElementById(`${prefix}-preview`);
+  const inputs = {
+    Question: document.getElementById(`${prefix}-question`),
+    Answer: document.getElementById(`${prefix}-answer`),
+    Explain: document.getElementById(`${prefix}-explain`)
+  };
+
+  const update = () => {
+    preview.classList.toggle('hidden', !toggle.checked);
+    if (!toggle.checked) return;
+    Object.entries(inputs).forEach(([field, input]) => {
+      setRichText(preview.querySelector(`[data-preview-field="${field}"]`), input.value, { Format: 'markdown' });
+    });
+  };
+
+  toggle.addEventListener('change', update);
+  Object.values(inputs).forEach(input => input.addEventListener('input', update));
+  update();
+}
+
+// ========================================
+// 添付ファイル（画像・音声）
+// ========================================
+// ファイルはFirebase Storageの users/{uid}/notes/{noteId}/ 以下に保存し、
+// ノートのAttachmentsフィールドにはパスとダウンロードURLのみを保持する
+
+/**
+ * 問題の添付ファイル一覧を取得
+ */
+function getNoteAttachments(note) {
+  return Array.isArray(note.Attachments) ? note.Attachments : [];
+}
+
+/**
+ * 表示に使ってよいURLか判定（javascript:などを除外）
+ */
+function isSafeUrl(url) {
+  // ゲストモードの添付ファイルは画像・音声のdata URLとして保存している
+  return typeof url === 'string' && (/^https?:\/\//.test(url) || /^data:(image|audio)\//.test(url));
+}
+
+/**
+ * 画像を縮小・圧縮してJPEGに変換
+ */
+function resizeImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const scale = Math.min(1, IMAGE_MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+      const context = canvas.getContext('2d');
+      // 透過部分が黒くならないよう白で塗りつぶしてから描画
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Image encode failed'))), 'image/jpeg', IMAGE_QUALITY);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Image load failed'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * 保存時のファイル拡張子を決定
+ */
+function getAttachmentExtension(item) {
+  if (item.kind === 'image') return 'jpg';
+  const subtype = (item.contentType.split('/')[1] || '').split(';')[0];
+  return { mpeg: 'mp3', mp4: 'm4a', 'x-m4a': 'm4a', webm: 'webm', ogg: 'ogg', wav: 'wav', 'x-wav': 'wav' }[subtype] || 'bin';
+}
+
+/**
+ * 添付ファイルの編集欄のHTMLを生成
+ */
+function buildAttachmentEditorHtml() {
+  return `
+    <div class="form-group">
+      <label>添付ファイル（任意）</label>
+      <div id="attachment-dropzone" class="attachment-dropzone">
+        画像をドロップ・貼り付け、または
+        <label class="btn btn-small btn-outline">
+          ファイルを選択
+          <input type="file" id="attachment-input" accept="image/*,audio/*" multiple class="hidden">
+        </label>
+        <button type="button" id="attachment-record-btn" class="btn btn-small btn-outline">🎙 録音</button>
+      </div>
+      <div id="attachment-list" class="attachment-list"></div>
+    </div>
+  `;
+}
+
+/**
+ * 編集中の添付ファイル一覧を描画
+ */
+function renderAttachmentEditor() {
+  const list = document.getElementById('attachment-list');
+  if (!list || !attachmentDraft) return;
+
+  list.innerHTML = attachmentDraft.items.map((item, index) => {
+    const src = item.blob ? item.previewUrl : item.url;
+    const preview = item.kind === 'audio'
+      ? `<audio controls preload="none" src="${escapeHtml(src)}"></audio>`
+      : `<img src="${escapeHtml(src)}" alt="${escapeHtml(item.name)}">`;
+    return `
+      <div class="attachment-item">
+        ${preview}
+        <span class="attachment-name">${escapeHtml(item.name)}</span>
+        <button type="button" class="btn btn-small btn-secondary attachment-remove" data-index="${index}">削除</button>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * ファイルを添付ファイルの編集欄に追加
+ */
+async function addAttachmentFiles(files) {
+  for (const file of files) {
+    if (attachmentDraft.items.length >= ATTACHMENT_MAX_COUNT) {
+      showError('E028');
+      break;
+    }
+
+    const isImage = file.type.startsWith('image/');
+    if (!isImage && !file.type.startsWith('audio/')) {
+      showError('E027');
+      continue;
+    }
+
+    try {
+      const blob = isImage ? await resizeImage(file) : file;
+      if (blob.size > ATTACHMENT_MAX_SIZE) {
+        showError('E029');
+        continue;
+      }
+      // 追加中にモーダルが閉じられた場合は何もしない
+      if (!attachmentDraft) return;
+      attachmentDraft.items.push({
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        kind: isImage ? 'image' : 'audio',
+        name: file.name || (isImage ? '貼り付けた画像' : '音声'),
+        contentType: isImage ? 'image/jpeg' : file.type,
+        blob,
+        previewUrl: URL.createObjectURL(blob)
+      });
+      hasUnsavedChanges = true;
+    } catch (error) {
+      console.error('Attachment error:', error);
+      showError('E027');
+    }
+  }
+  renderAttachmentEditor();
+}
+
+/**
+ * 録音を開始/停止
+ */
+async function toggleAudioRecording() {
+  const recordBtn = document.getElementById('attachment-record-btn');
+
+  if (audioRecorder) {
+    audioRecorder.stop();
+    return;
+  }
+
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+
+    recorder.ondataavailable = (e) => chunks.push(e.data);
+    recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      audioRecorder = null;
+      if (recordBtn.isConnected) recordBtn.textContent = '🎙 録音';
+      // モーダルを閉じたことで停止した場合は破棄
+      if (!attachmentDraft || recorder.discarded) return;
+
+      const type = (recorder.mimeType || 'audio/webm').split(';')[0];
+      addAttachmentFiles([new File(chunks, `録音 ${formatDate(getCurrentDateTime())}`, { type })]);
+    };
+
+    recorder.start();
+    audioRecorder = recorder;
+    recordBtn.textContent = '■ 録音を停止';
+  } catch (error) {
+    console.error('Recording error:', error);
+    showError('E030');
+  }
+}
+
+/**
+ * 添付ファイルの編集欄を初期化
+ */
+function setupAttachmentEditor(attachments) {
+  attachmentDraft = { items: attachments.map(item => ({ ...item })), removed: [] };
+  renderAttachmentEditor();
+
+  const dropzone = document.getElementById('attachment-dropzone');
+  const fileInput = document.getElementById('attachment-input');
+
+  fileInput.onchange = () => {
+    addAttachmentFiles([...fileInput.files]);
+    fileInput.value = '';
+  };
+
+  dropzone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropzone.classList.add('dragover');
+  });
+  dropzone.addEventListener('dragleave', () => dropzone.classList.remove('dragover'));
+  dropzone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropzone.classList.remove('dragover');
+    addAttachmentFiles([...e.dataTransfer.files]);
+  });
+
+  // 画像の貼り付け（文字の貼り付けは通常どおり）
+  modalContent.addEventListener('paste', (e) => {
+    const files = [...e.clipboardData.files].filter(file => file.type.startsWith('image/'));
+    if (files.length === 0) return;
+    e.preventDefault();
+    addAttachmentFiles(files);
+  });
+
+  document.getElementById('attachment-record-btn').onclick = toggleAudioRecording;
+
+  document.getElementById('attachment-list').addEventListener('click', (e) => {
+    if (!e.target.classList.contains('attachment-remove')) return;
+    const [item] = attachmentDraft.items.splice(Number(e.target.dataset.index), 1);
+    if (item.blob) {
+      URL.revokeObjectURL(item.previewUrl);
+    } else {
+      // 保存済みのファイルは保存が成功した後に削除する
+      attachmentDraft.removed.push(item.path);
+    }
+    hasUnsavedChanges = true;
+    renderAttachmentEditor();
+  });
+}
+
+/**
+ * 添付ファイルの編集を終了（録音の停止とプレビューの解放）
+ */
+function disposeAttachmentEditor() {
+  if (audioRecorder) {
+    audioRecorder.discarded = true;
+    audioRecorder.stop();
+  }
+  if (attachmentDraft) {
+    attachmentDraft.items.filter(item => item.blob).forEach(item => URL.revokeObjectURL(item.previewUrl));
+  }
+  attachmentDraft = null;
+}
+
+/**
+ * 未アップロードの添付ファイルがあるか判定
+ */
+function hasPendingUploads() {
+  return Boolean(attachmentDraft) && attachmentDraft.items.some(item => item.blob);
+}
+
+/**
+ * 未アップロードの添付ファイルをStorageへ保存し、ノートに保存する一覧を返す
+ * 途中で失敗した場合は今回アップロードしたファイルを削除してから例外を投げる
+ */
+async function uploadAttachmentDraft(noteId) {
+  const uploadedPaths = [];
+  try {
+    const attachments = [];
+    for (const item of attachmentDraft.items) {
+      if (!item.blob) {
+        attachments.push(item);
+        continue;
+      }
+      const fileName = `${item.id}.${getAttachmentExtension(item)}`;
+      const { path, url } = await noteBackend.uploadFile(noteId, fileName, item.blob, item.contentType);
+      uploadedPaths.push(path);
+      attachments.push({
+        id: item.id,
+        kind: item.kind,
+        name: item.name,
+        contentType: item.contentType,
+        size: item.blob.size,
+        path,
+        url
+      });
+    }
+    return attachments;
+  } catch (error) {
+    await noteBackend.deleteFiles(uploadedPaths);
+    throw error;
+  }
+}
+
+/**
+ * ファイルをStorageの users/{uid}/notes/{noteId}/ 以下へアップロードし、パスとダウンロードURLを返す
+ */
+function uploadStorageFile(noteId, fileName, blob, contentType) {
+  return uploadStorageFileTo(`users/${currentUser.uid}/notes/${noteId}/${fileName}`, blob, contentType);
+}
+
+/**
+ * ファイルをStorageの指定したパスへアップロードし、パスとダウンロードURLを返す
+ */
+async function uploadStorageFileTo(path, blob, contentType) {
+  const fileRef = storageRef(storage, path);
+  await uploadWithProgress(fileRef, blob, contentType);
+  try {
+    const url = await getDownloadURL(fileRef);
+    return { path, url };
+  } catch (error) {
+    await deleteStorageFiles([path]);
+    throw error;
+  }
+}
+
+/**
+ * ファイルを再開可能なアップロードで送信し、進捗を読み込み中の表示に出す
+ * 全体の時間ではなく進捗が止まった時間で中止するため、遅い回線で大きなファイルを送っても打ち切らない
+ * （withRetryは使わない。タイムアウトで同じファイルを重ねて送り、retryBlockedを立ててしまうため）
+ */
+function uploadWithProgress(fileRef, blob, contentType) {
+  return new Promise((resolve, reject) => {
+    const task = uploadBytesResumable(fileRef, blob, { contentType });
+    const message = loadingMessage.textContent;
+    let stallTimer = null;
+    const watchStall = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => task.cancel(), UPLOAD_STALL_MS);
+    };
+    const finish = () => {
+      clearTimeout(stallTimer);
+      loadingMessage.textContent = message;
+    };
+
+    watchStall();
+    task.on('state_changed', (snapshot) => {
+      watchStall();
+      if (snapshot.totalBytes > 0) {
+        loadingMessage.textContent = `${message}（${Math.floor(snapshot.bytesTransferred / snapshot.totalBytes * 100)}%）`;
+      }
+    }, (error) => {
+      finish();
+      reject(error);
+    }, () => {
+      finish();
+      resolve();
+    });
+  });
+}
+
+/**
+ * Storageのファイルを削除（失敗しても例外は投げない）
+ */
+function deleteStorageFiles(paths) {
+  return Promise.all(paths.map(path => deleteObject(storageRef(storage, path)).catch(error => {
+    if (error.code !== 'storage/object-not-found') {
+      console.error('Storage delete error:', error);
+    }
+  })));
+}
+
+/**
+ * 変更前の問題から外された添付ファイルのパスを取得
+ */
+function getRemovedAttachmentPaths(before, after) {
+  const keptPaths = new Set(getNoteAttachments(after).map(item => item.path));
+  return getNoteAttachments(before).map(item => item.path).filter(path => !keptPaths.has(path));
+}
+
+/**
+ * 問題の添付ファイルを表示するHTMLを生成
+ */
+function buildAttachmentsHtml(note) {
+  const attachments = getNoteAttachments(note).filter(item => isSafeUrl(item.url));
+  if (attachments.length === 0) return '';
+
+  return `
+    <div class="attachments">
+      ${attachments.map(item => (item.kind === 'audio' ? `
+        <div class="attachment-audio">
+          <audio controls preload="none" src="${escapeHtml(item.url)}"></audio>
+          <span class="attachment-name">${escapeHtml(item.name)}</span>
+        </div>
+      ` : `
+        <a class="attachment-image" href="${escapeHtml(item.url)}" target="_blank" rel="noopener noreferrer">
+          <img src="${escapeHtml(item.url)}" alt="${escapeHtml(item.name)}" loading="lazy">
+        </a>
+      `)).join('')}
+    </div>
+  `;
+}
+
+// ========================================
+// 一覧画面
+// ========================================
+
+async function renderListPage() {
+  showLoading('データを読み込み中...');
+  await noteBackend.loadNotes();
+  hideLoading();
+  renderListContent();
+  replayOutbox();
+}
+
+/**
+ * Firestoreからデータを取得（オフライン時は端末のデータを使用）
+ */
+async function loadNotesWithFallback() {
+  try {
+    if (!navigator.onLine) throw new Error('offline');
+    await loadNotesFromFirestore();
+  } catch (error) {
+    console.error('Failed to load notes:', error);
+    // 端末内のキャッシュに未送信の変更を重ねて使用
+    try {
+      setNotes(getOutbox().reduce(applyMutation, await getCachedNotes()));
+    } catch (cacheError) {
+      console.error('Failed to read cache:', cacheError);
+      showError('E003');
+    }
+  }
+}
+
+/**
+ * Firestoreからノートを読み込み
+ * 前回の同期カーソル以降に更新されたドキュメントのみ取得し、キャッシュへ反映する
+ */
+function loadNotesFromFirestore() {
+  // 同時に呼ばれた場合は実行中の読み込みを共有
+  if (!pendingNotesLoad) {
+    pendingNotesLoad = fetchNoteChanges().finally(() => {
+      pendingNotesLoad = null;
+    });
+  }
+  return pendingNotesLoad;
+}
+
+async function fetchNoteChanges() {
+  const uid = currentUser.uid;
+  const syncState = await getSyncState();
+  const cursor = syncState && syncState.uid === uid ? syncState.cursor : null;
+  // 削除済みの印を片付けた期間より前に同期した端末は、削除を取りこぼさないよう全件を取得し直す
+  const isStale = !syncState || !(syncState.syncedAt > Date.now() - TOMBSTONE_RETENTION_DAYS * DAY_MS);
+
+  if (cursor === null || isStale) {
+    await fetchAllNotes(uid);
+  } else {
+    await fetchNotesUpdatedSince(uid, cursor);
+  }
+}
+
+/**
+ * 全件をドキュメントIDの順にページごとに読み込む（初回）
+ * 並び替えに使う項目がないドキュメントもクエリから漏れないようIDで読み込み、並び替えは端末で行う
+ * 読み込んだページから順に表示し、すべて読み込んでからキャッシュを置き換える
+ */
+async function fetchAllNotes(uid) {
+  const docSnapshots = [];
+  let lastDoc = null;
+  let pageSize;
+
+  do {
+    const constraints = [where('uid', '==', uid), orderBy(documentId()), limit(NOTES_PAGE_SIZE)];
+    if (lastDoc) constraints.splice(2, 0, startAfter(lastDoc));
+    const snapshot = await withRetry(() => getDocs(query(collection(db, 'notes'), ...constraints)));
+
+    pageSize = snapshot.docs.length;
+    lastDoc = snapshot.docs[pageSize - 1];
+    docSnapshots.push(...snapshot.docs);
+
+    if (pageSize === NOTES_PAGE_SIZE) {
+      const loadedNotes = docSnapshots
+        .filter(docSnapshot => !docSnapshot.data().deleted)
+        .map(docSnapshot => toLocalNote(docSnapshot.id, docSnapshot.data()));
+      setNotes(getOutbox().reduce(applyMutation, loadedNotes));
+      hideLoading();
+      refreshListIfVisible();
+    }
+  } while (pageSize === NOTES_PAGE_SIZE);
+
+  await mergeServerDocs(docSnapshots, uid, true);
+}
+
+/**
+ * 同期カーソル以降に更新されたドキュメントを更新日時の順にページごとに読み込む
+ * 同じ時刻に更新された別のドキュメントを取りこぼさないようカーソルの時刻も含めて取得し、反映済みのものはmergeServerDocsで除く
+ * ページごとにキャッシュへ反映するため、途中で失敗しても次回は続きから読み込める
+ */
+async function fetchNotesUpdatedSince(uid, cursor) {
+  let lastDoc = null;
+  let pageSize;
+
+  do {
+    const constraints = [
+      where('uid', '==', uid),
+      where('updatedAt', '>=', Timestamp.fromMillis(cursor)),
+      orderBy('updatedAt'),
+      limit(NOTES_PAGE_SIZE)
+    ];
+    if (lastDoc) constraints.splice(3, 0, startAfter(lastDoc));
+    const snapshot = await withRetry(() => getDocs(query(collection(db, 'notes'), ...constraints)));
+
+    pageSize = snapshot.docs.length;
+    lastDoc = snapshot.docs[pageSize - 1];
+    await mergeServerDocs(snapshot.docs, uid, false);
+  } while (pageSize === NOTES_PAGE_SIZE);
+}
+
+/**
+ * 保存期間を過ぎた削除済みの印をFirestoreから削除（同期担当のタブのみ、1回に500件まで）
+ * 保存期間より前に同期した端末は全件を取得し直すため（fetchNoteChanges）、削除を取りこぼさない
+ */
+async function purgeExpiredTombstones(uid) {
+  try {
+    const threshold = Timestamp.fromMillis(Date.now() - TOMBSTONE_RETENTION_DAYS * DAY_MS);
+    const snapshot = await getDocs(query(
+      collection(db, 'notes'),
+      where('uid', '==', uid),
+      where('deleted', '==', true),
+      where('updatedAt', '<', threshold),
+      limit(FIRESTORE_BATCH_LIMIT)
+    ));
+    if (snapshot.empty) return;
+
+    const batch = writeBatch(db);
+    snapshot.docs.forEach(docSnapshot => batch.delete(docSnapshot.ref));
+    await batch.commit();
+  } catch (error) {
+    console.error('Tombstone cleanup error:', error);
+  }
+}
+
+/**
+ * サーバーのドキュメントをキャッシュと表示データへ反映
+ * replaceがtrueの場合はキャッシュを置き換える（全件取得時）
+ * 反映したノートIDの一覧を返す
+ */
+async function mergeServerDocs(docSnapshots, uid, replace) {
+  const syncState = await getSyncState();
+  const previous = !replace && syncState && syncState.uid === uid ? syncState : null;
+  const previousCursor = previous ? previous.cursor : 0;
+  // カーソルの時刻のドキュメントは毎回取得し直すため、前回までに反映したものは除く
+  const seenIds = new Set(previous && previous.cursorIds || []);
+  const getMillis = docSnapshot => (docSnapshot.data().updatedAt ? docSnapshot.data().updatedAt.toMillis() : 0);
+
+  let nextCursor = previousCursor;
+  const changedNotes = [];
+  const removedIds = [];
+  docSnapshots.forEach(docSnapshot => {
+    const millis = getMillis(docSnapshot);
+    if (millis === previousCursor && seenIds.has(docSnapshot.id)) return;
+
+    const data = docSnapshot.data();
+    nextCursor = Math.max(nextCursor, millis);
+    if (data.deleted) {
+      removedIds.push(docSnapshot.id);
+    } else {
+      changedNotes.push(toLocalNote(docSnapshot.id, data));
+    }
+  });
+
+  // 次回の取得で除くため、カーソルの時刻に更新されたドキュメントのIDを記録する
+  const cursorIds = docSnapshots.filter(docSnapshot => getMillis(docSnapshot) === nextCursor).map(docSnapshot => docSnapshot.id);
+  if (nextCursor === previousCursor) cursorIds.push(...seenIds);
+
+  await saveSyncResult({
+    notes: changedNotes,
+    removedIds,
+    replace,
+    syncState: { uid, cursor: nextCursor, cursorIds: [...new Set(cursorIds)], syncedAt: Date.now() }
+  });
+
+  // 未送信の変更はサーバーのデータに重ねて反映
+  setNotes(getOutbox().reduce(applyMutation, await getCachedNotes()));
+  return [...changedNotes.map(note => note.id), ...removedIds];
+}
+
+/**
+ * 一覧コンテンツ描画
+ */
+function renderListContent(sortBy = listSortBy) {
+  listSortBy = sortBy;
+
+  // 存在しなくなったタグ・ノートブック・問題は絞り込みと選択から外す
+  const allTagNames = getAllTags().map(({ tag }) => tag);
+  activeTagFilter = activeTagFilter.filter(tag => allTagNames.includes(tag));
+  if (activeNotebook && !getAllNotebooks().some(({ notebook }) => notebook === activeNotebook)) {
+    activeNotebook = null;
+  }
+  selectedNoteIds = new Set(notesData.filter(n => selectedNoteIds.has(n.id)).map(n => n.id));
+
+  pageContent.innerHTML = `
+    <div class="list-page">
+      <div class="list-header">
+        <div class="list-title">
+          <h1>問題一覧</h1>
+          <span class="due-count">今日の復習 <strong id="due-count">${notesData.filter(n => isDueToday(n)).length}</strong>件</span>
+        </div>
+        <div class="header-actions">
+          <button id="add-btn" class="btn btn-primary">+ 新規登録</button>
+          <select id="sort-select" class="sort-select">
+            <option value="date" ${sortBy === 'date' ? 'selected' : ''}>登録日時順</option>
+            <option value="title" ${sortBy === 'title' ? 'selected' : ''}>タイトル順</option>
+            <option value="miss" ${sortBy === 'miss' ? 'selected' : ''}>ミス回数順</option>
+          </select>
+          <button id="random-btn" class="btn btn-outline">ランダム出題</button>
+          <button id="stats-btn" class="btn btn-outline">学習統計</button>
+          <button id="tag-manager-btn" class="btn btn-outline">タグ管理</button>
+          <button id="trash-btn" class="btn btn-outline">ゴミ箱（${trashedNotes.length}）</button>
+          <button id="backup-btn" class="btn btn-outline">インポート/エクスポート</button>
+          <button id="shortcut-help-btn" class="btn btn-outline" title="ショートカット一覧（?）">ショートカット</button>
+          ${isGuestMode ? `
+            <button id="guest-login-btn" class="btn btn-outline">ログインして保存</button>
+            <button id="logout-btn" class="btn btn-secondary">ゲストモードを終了</button>
+          ` : `
+            <button id="share-manager-btn" class="btn btn-outline">共有リンク</button>
+            <button id="account-link-btn" class="btn btn-outline">ログイン方法</button>
+            <button id="logout-btn" class="btn btn-secondary">ログアウト</button>
+          `}
+        </div>
+      </div>
+
+      <div class="search-bar">
+        <input type="search" id="search-input" class="form-control search-input" placeholder="タイトル・問題文・解答・解説を検索" value="${escapeHtml(listSearchQuery)}">
+        <span id="search-result-count" class="search-result-count"></span>
+        ${buildNotebookFilterHtml()}
+      </div>
+
+      ${buildTagFilterHtml()}
+
+      ${invalidNotes.length > 0 ? `
+        <div class="form-warning repair-notice">
+          内容が正しくないため表示できない問題が${invalidNotes.length}件あります。
+          <button id="repair-btn" class="btn btn-small btn-outline">確認する</button>
+        </div>
+      ` : ''}
+
+      ${buildBulkActionBarHtml()}
+
+      <div class="data-table-container" id="data-table-container"></div>
+
+      <div class="sync-area">
+        <button id="sync-btn" class="btn btn-outline">🔄 サーバーと同期</button>
+      </div>
+    </div>
+  `;
+
+  renderListTable();
+
+  // イベントリスナー設定
+  setupListEventListeners(sortBy);
+}
+
+/**
+ * 一覧の表部分を描画（検索語の入力中は表のみを更新する）
+ */
+function renderListTable() {
+  const pendingIds = getPendingNoteIds();
+  const searchTerms = parseSearchQuery(listSearchQuery);
+
+  // ノートブック・タグ・検索語で絞り込み
+  const filteredData = filterNotesByTags(filterNotesByNotebook(notesData, activeNotebook), activeTagFilter)
+    .filter(note => noteMatchesSearch(note, searchTerms));
+
+  // ソート処理
+  const sortedData = [...filteredData].sort((a, b) => {
+    switch (listSortBy) {
+      case 'date':
+        return new Date(b.Date) - new Date(a.Date);
+      case 'title':
+        return a.Title.localeCompare(b.Title, 'ja');
+      case 'miss':
+        return b.MissCount - a.MissCount;
+      default:
+        return 0;
+    }
+  });
+
+  listVisibleIds = sortedData.map(note => note.id);
+  listRenderState = { notes: sortedData, searchTerms, range: null };
+
+  // 行は画面に見えている範囲のみを描画し、前後は余白の行で高さを確保する
+  const container = document.getElementById('data-table-container');
+  container.innerHTML = sortedData.length > 0 ? `
+    <table class="data-table list-table">
+      <colgroup>
+        <col class="select-col">
+        <col>
+        <col class="tag-col">
+        <col class="date-col">
+        <col class="miss-col">
+        <col class="action-col">
+      </colgroup>
+      <thead>
+        <tr>
+          <th class="select-cell"><input type="checkbox" id="select-all-checkbox" title="表示中の問題をすべて選択"></th>
+          <th>タイトル</th>
+          <th>タグ</th>
+          <th>登録日時</th>
+          <th>ミス回数</th>
+          <th>操作</th>
+        </tr>
+      </thead>
+      <tbody id="list-tbody"></tbody>
+    </table>
+  ` : notesData.length > 0 ? `
+    <div class="empty-message">
+      <p>条件に一致する問題はありません</p>
+    </div>
+  ` : `
+    <div class="empty-message">
+      <p>まだ問題が登録されていません</p>
+      <button id="first-add-btn" class="btn btn-primary">最初の問題を登録する</button>
+    </div>
+  `;
+
+  const resultCount = document.getElementById('search-result-count');
+  setTextContent(resultCount, searchTerms.length > 0 ? `${sortedData.length}件ヒット` : '');
+
+  renderVisibleListRows();
+  setupListTableListeners();
+}
+
+/**
+ * 記述式以外の問題の形式を示すバッジのHTMLを生成（穴埋めは穴の数も表示）
+ */
+function buildNoteTypeBadgeHtml(note) {
+  if (isChoiceNote(note)) return '<span class="note-type-badge">選択式</span>';
+  if (isClozeNote(note)) return `<span class="note-type-badge">穴埋め ${getClozeKeys(note.Question).length}</span>`;
+  return '';
+}
+
+/**
+ * 一覧の1行分のHTMLを生成
+ */
+function buildListRowHtml(note, searchTerms, pendingIds) {
+  return `
+    <tr class="list-row ${selectedNoteIds.has(note.id) ? 'selected' : ''}">
+      <td class="select-cell"><input type="checkbox" class="row-checkbox" data-id="${escapeHtml(note.id)}" ${selectedNoteIds.has(note.id) ? 'checked' : ''}></td>
+      <td class="title-cell" data-id="${escapeHtml(note.id)}">
+        ${highlightText(note.Title, searchTerms)}
+        ${buildNoteTypeBadgeHtml(note)}
+        <span class="sync-badge ${pendingIds.has(note.id) ? '' : 'hidden'}" data-id="${escapeHtml(note.id)}" title="サーバーに未送信の変更があります">未同期</span>
+        ${buildSearchSnippet(note, searchTerms)}
+      </td>
+      <td class="tag-cell">${buildTagChipsHtml(getNoteTags(note))}</td>
+      <td>${escapeHtml(formatDate(note.Date))}</td>
+      <td>${escapeHtml(String(note.MissCount))}</td>
+      <td class="action-cell">
+        <button class="btn btn-small btn-outline edit-btn" data-id="${escapeHtml(note.id)}">編集/削除</button>
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * 一覧の表のうち、画面に見えている範囲の行を描画
+ * force: 描画範囲が変わっていなくても描画し直す
+ */
+function renderVisibleListRows(force = false) {
+  const tbody = document.getElementById('list-tbody');
+  if (!tbody || !listRenderState) return;
+
+  const { notes, searchTerms } = listRenderState;
+  const rowHeight = listRenderState.rowHeight || LIST_ROW_HEIGHT;
+  const viewTop = -tbody.getBoundingClientRect().top;
+  const start = Math.max(0, Math.floor(viewTop / rowHeight) - LIST_OVERSCAN_ROWS);
+  const end = Math.min(notes.length, Math.ceil((viewTop + window.innerHeight) / rowHeight) + LIST_OVERSCAN_ROWS);
+
+  const range = listRenderState.range;
+  if (!force && range && range.start === start && range.end === end) return;
+  listRenderState.range = { start, end };
+
+  const pendingIds = getPendingNoteIds();
+  const spacer = rows => (rows > 0 ? `<tr class="list-spacer" style="height: ${rows * rowHeight}px"><td colspan="6"></td></tr>` : '');
+  tbody.innerHTML = spacer(start)
+    + notes.slice(start, end).map(note => buildListRowHtml(note, searchTerms, pendingIds)).join('')
+    + spacer(notes.length - end);
+
+  // 枠線などで実際の行の高さがずれる場合は、測った高さで描画し直す
+  const firstRow = tbody.querySelector('.list-row');
+  if (firstRow && !listRenderState.rowHeight) {
+    listRenderState.rowHeight = firstRow.getBoundingClientRect().height || LIST_ROW_HEIGHT;
+    if (listRenderState.rowHeight !== LIST_ROW_HEIGHT) {
+      renderVisibleListRows(true);
+      return;
+    }
+  }
+
+  updateSelectionView();
+}
+
+/**
+ * スクロール・画面サイズの変更に合わせて一覧の描画範囲を更新（1フレームに1回）
+ */
+function scheduleListRowsRender() {
+  if (listRowsFrame || currentPage !== 'list') return;
+  listRowsFrame = requestAnimationFrame(() => {
+    listRowsFrame = null;
+    renderVisibleListRows();
+  });
+}
+
+/**
+ * 一覧画面のイベントリスナー設定
+ */
+function setupListEventListeners(currentSort) {
+  // 新規登録ボタン
+  const addBtn = document.getElementById('add-btn');
+  if (addBtn) addBtn.onclick = () => openRegisterModal();
+
+  // ソート変更
+  const sortSelect = document.getElementById('sort-select');
+  if (sortSelect) {
+    sortSelect.onchange = (e) => renderListContent(e.target.value);
+  }
+
+  // 検索
+  const searchInput = document.getElementById('search-input');
+  if (searchInput) {
+    searchInput.addEventListener('input', () => {
+      listSearchQuery = searchInput.value;
+      renderListTable();
+    });
+  }
+
+  // ランダム出題（すべての問題から）
+  const randomBtn = document.getElementById('random-btn');
+  if (randomBtn) {
+    randomBtn.onclick = () => {
+      randomSessionIds = null;
+      navigateTo('random');
+    };
+  }
+
+  // ノートブック絞り込み
+  const notebookFilter = document.getElementById('notebook-filter');
+  if (notebookFilter) {
+    notebookFilter.onchange = () => {
+      activeNotebook = notebookFilter.value === '*' ? null : notebookFilter.value;
+      renderListTable();
+    };
+  }
+
+  // 一括操作
+  setupBulkActionListeners();
+
+  // 学習統計
+  const statsBtn = document.getElementById('stats-btn');
+  if (statsBtn) statsBtn.onclick = () => navigateTo('stats');
+
+  // ゴミ箱
+  const trashBtn = document.getElementById('trash-btn');
+  if (trashBtn) trashBtn.onclick = () => navigateTo('trash');
+
+  // 修復が必要な問題
+  const repairBtn = document.getElementById('repair-btn');
+  if (repairBtn) repairBtn.onclick = () => openRepairListModal();
+
+  // 共有リンクの管理
+  const shareManagerBtn = document.getElementById('share-manager-btn');
+  if (shareManagerBtn) shareManagerBtn.onclick = () => openShareManagerModal();
+
+  // ログイン方法の連携
+  const accountLinkBtn = document.getElementById('account-link-btn');
+  if (accountLinkBtn) accountLinkBtn.onclick = () => openAccountLinkModal();
+
+  // ゲストモードからログイン
+  const guestLoginBtn = document.getElementById('guest-login-btn');
+  if (guestLoginBtn) guestLoginBtn.onclick = () => navigateTo('login');
+
+  // タグ管理
+  const tagManagerBtn = document.getElementById('tag-manager-btn');
+  if (tagManagerBtn) tagManagerBtn.onclick = () => openTagManagerModal();
+
+  // インポート/エクスポート
+  const backupBtn = document.getElementById('backup-btn');
+  if (backupBtn) backupBtn.onclick = () => openBackupModal();
+
+  // キーボードショートカット
+  const shortcutHelpBtn = document.getElementById('shortcut-help-btn');
+  if (shortcutHelpBtn) shortcutHelpBtn.onclick = () => openShortcutHelpModal();
+
+  // タグ絞り込み
+  setupTagFilterListeners(() => renderListContent());
+
+  // ログアウト
+  const logoutBtn = document.getElementById('logout-btn');
+  if (logoutBtn) logoutBtn.onclick = handleLogout;
+
+  // 同期ボタン
+  const syncBtn = document.getElementById('sync-btn');
+  if (syncBtn) syncBtn.onclick = () => renderListPage();
+}
+
+/**
+ * 一覧の表のイベントリスナー設定
+ * 行はスクロールに合わせて描画し直すため、表全体でまとめて受け取る
+ */
+function setupListTableListeners() {
+  const firstAddBtn = document.getElementById('first-add-btn');
+  if (firstAddBtn) firstAddBtn.onclick = () => openRegisterModal();
+
+  const container = document.getElementById('data-table-container');
+  container.onclick = (e) => {
+    // 行のチェックボックス
+    const checkbox = e.target.closest('.row-checkbox');
+    if (checkbox) {
+      handleRowCheckboxClick(checkbox, e.shiftKey);
+      return;
+    }
+
+    // 全選択（表示中の問題が対象）
+    if (e.target.id === 'select-all-checkbox') {
+      listVisibleIds.forEach(id => {
+        if (e.target.checked) {
+          selectedNoteIds.add(id);
+        } else {
+          selectedNoteIds.delete(id);
+        }
+      });
+      updateSelectionView();
+      return;
+    }
+
+    // タイトルクリック（詳細表示）・編集/削除ボタン
+    const target = e.target.closest('.title-cell, .edit-btn');
+    if (!target) return;
+    const note = notesData.find(n => n.id === target.dataset.id);
+    if (!note) return;
+    if (target.classList.contains('edit-btn')) {
+      openEditModal(note);
+    } else {
+      openDetailModal(note);
+    }
+  };
+}
+
+// ========================================
+// ノートブック
+// ========================================
+
+/**
+ * ノートの所属するノートブック名を取得（未分類は空文字）
+ */
+function getNoteNotebook(note) {
+  return typeof note.Notebook === 'string' ? note.Notebook : '';
+}
+
+/**
+ * 登録済みのノートブックと件数を取得（名前順）
+ */
+function getAllNotebooks() {
+  const counts = new Map();
+  notesData.forEach(note => {
+    const notebook = getNoteNotebook(note);
+    if (notebook) counts.set(notebook, (counts.get(notebook) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0], 'ja'))
+    .map(([notebook, count]) => ({ notebook, count }));
+}
+
+/**
+ * ノートブックで絞り込む（nullはすべて、空文字は未分類）
+ */
+function filterNotesByNotebook(notes, notebook) {
+  if (notebook === null) return notes;
+  return notes.filter(note => getNoteNotebook(note) === notebook);
+}
+
+/**
+ * ノートブック絞り込みのHTMLを生成（ノートブックがなければ表示しない）
+ */
+function buildNotebookFilterHtml() {
+  const notebooks = getAllNotebooks();
+  if (notebooks.length === 0) return '';
+
+  return `
+    <select id="notebook-filter" class="sort-select">
+      <option value="*" ${activeNotebook === null ? 'selected' : ''}>すべてのノートブック</option>
+      ${notebooks.map(({ notebook, count }) => `
+        <option value="${escapeHtml(notebook)}" ${activeNotebook === notebook ? 'selected' : ''}>${escapeHtml(notebook)} (${count})</option>
+      `).join('')}
+      <option value="" ${activeNotebook === '' ? 'selected' : ''}>未分類</option>
+    </select>
+  `;
+}
+
+// ========================================
+// 一覧の複数選択・一括操作
+// ========================================
+
+/**
+ * 一括操作バーのHTMLを生成
+ */
+function buildBulkActionBarHtml() {
+  return `
+    <div id="bulk-action-bar" class="bulk-action-bar ${selectedNoteIds.size > 0 ? '' : 'hidden'}">
+      <span class="bulk-count"><strong id="bulk-count">${selectedNoteIds.size}</strong>件を選択中</span>
+      <button class="btn btn-small btn-outline bulk-action-btn" data-action="random">選択した問題で出題</button>
+      <button class="btn btn-small btn-outline bulk-action-btn" data-action="add-tags">タグを追加</button>
+      <button class="btn btn-small btn-outline bulk-action-btn" data-action="remove-tags">タグを外す</button>
+      <button class="btn btn-small btn-outline bulk-action-btn" data-action="notebook">ノートブックに移動</button>
+      <button class="btn btn-small btn-outline bulk-action-btn" data-action="reset-miss">ミス回数をリセット</button>
+      <button class="btn btn-small btn-outline bulk-action-btn" data-action="export">エクスポート</button>
+      ${isGuestMode ? '' : '<button class="btn btn-small btn-outline bulk-action-btn" data-action="share">共有リンクを作成</button>'}
+      <button class="btn btn-small btn-danger bulk-action-btn" data-action="delete">削除</button>
+      <button class="btn btn-small btn-secondary bulk-action-btn" data-action="clear">選択を解除</button>
+    </div>
+  `;
+}
+
+/**
+ * 選択中の問題を取得（一覧の表示順。絞り込みで表示されていない問題は末尾）
+ */
+function getSelectedNotes() {
+  const order = new Map(listVisibleIds.map((id, index) => [id, index]));
+  return notesData
+    .filter(note => selectedNoteIds.has(note.id))
+    .sort((a, b) => (order.get(a.id) ?? order.size) - (order.get(b.id) ?? order.size));
+}
+
+/**
+ * 選択状態をチェックボックスと一括操作バーに反映（表は描画し直さない）
+ */
+function updateSelectionView() {
+  document.querySelectorAll('.row-checkbox').forEach(checkbox => {
+    checkbox.checked = selectedNoteIds.has(checkbox.dataset.id);
+    checkbox.closest('tr').classList.toggle('selected', checkbox.checked);
+  });
+
+  const selectAll = document.getElementById('select-all-checkbox');
+  if (selectAll) {
+    const selectedCount = listVisibleIds.filter(id => selectedNoteIds.has(id)).length;
+    selectAll.checked = selectedCount > 0 && selectedCount === listVisibleIds.length;
+    selectAll.indeterminate = selectedCount > 0 && selectedCount < listVisibleIds.length;
+  }
+
+  const bar = document.getElementById('bulk-action-bar');
+  if (bar) {
+    bar.classList.toggle('hidden', selectedNoteIds.size === 0);
+    setTextContent(document.getElementById('bulk-count'), String(selectedNoteIds.size));
+  }
+}
+
+/**
+ * 行のチェックボックスのクリック
+ * Shift+クリックでは前回クリックした行からの範囲をまとめて選択/解除する
+ */
+function handleRowCheckboxClick(checkbox, isRange) {
+  const id = checkbox.dataset.id;
+  const anchorIndex = listVisibleIds.indexOf(lastSelectedNoteId);
+  const index = listVisibleIds.indexOf(id);
+  const targetIds = isRange && anchorIndex !== -1
+    ? listVisibleIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+    : [id];
+
+  targetIds.forEach(targetId => {
+    if (checkbox.checked) {
+      selectedNoteIds.add(targetId);
+    } else {
+      selectedNoteIds.delete(targetId);
+    }
+  });
+
+  lastSelectedNoteId = id;
+  updateSelectionView();
+}
+
+/**
+ * 一括操作バーのイベントリスナー設定
+ */
+function setupBulkActionListeners() {
+  document.querySelectorAll('.bulk-action-btn').forEach(btn => {
+    btn.onclick = () => {
+      const notes = getSelectedNotes();
+      if (notes.length === 0) return;
+
+      switch (btn.dataset.action) {
+        case 'random':
+          randomSessionIds = notes.map(note => note.id);
+          clearQuizSession();
+          navigateTo('random');
+          break;
+        case 'add-tags':
+        case 'remove-tags':
+          openBulkTagModal(notes, btn.dataset.action === 'add-tags');
+          break;
+        case 'notebook':
+          openBulkNotebookModal(notes);
+          break;
+        case 'reset-miss':
+          openBulkResetMissModal(notes);
+          break;
+        case 'export':
+          handleExportBackup(notes);
+          break;
+        case 'share':
+          openShareCreateModal(notes);
+          break;
+        case 'delete':
+          openBulkDeleteModal(notes);
+          break;
+        case 'clear':
+          selectedNoteIds = new Set();
+          updateSelectionView();
+          break;
+        default:
+          break;
+      }
+    };
+  });
+}
+
+/**
+ * 選択した問題をまとめて更新
+ * buildData: 問題ごとに更新する内容を返す関数（nullを返した問題は更新しない）
+ */
+async function handleBulkUpdate(notes, buildData) {
+  const mutations = notes
+    .map(note => ({ note, data: buildData(note) }))
+    .filter(({ data }) => data)
+    .map(({ note, data }) => createMutation('update', note.id, data, pickFields(note, CONTENT_FIELDS)));
+  if (mutations.length === 0) return true;
+
+  showLoading('更新中...');
+  try {
+    const queued = await submitMutations(mutations);
+    mutations.forEach(applyLocalMutation);
+    if (queued) showError('E014');
+    hideLoading();
+    refreshListIfVisible();
+    return true;
+  } catch (error) {
+    console.error('Bulk update error:', error);
+    (error.committed || []).forEach(applyLocalMutation);
+    showError('E005');
+    hideLoading();
+    refreshListIfVisible();
+    return false;
+  }
+}
+
+/**
+ * 選択した問題にタグを追加/選択した問題からタグを外すモーダル
+ */
+function openBulkTagModal(notes, isAdd) {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>${isAdd ? 'タグを追加' : 'タグを外す'}</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="text-muted mb-2">選択した${notes.length}件の問題${isAdd ? 'に追加する' : 'から外す'}タグを入力してください。</p>
+      ${buildTagInputHtml('bulk-tag-input')}
+    </div>
+    <div class="modal-footer">
+      <button id="bulk-tag-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="bulk-tag-submit-btn" class="btn btn-primary">${isAdd ? '追加' : '外す'}</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  setupTagInput('bulk-tag-input');
+  document.getElementById('bulk-tag-cancel-btn').onclick = () => closeModal();
+  document.getElementById('bulk-tag-submit-btn').onclick = async () => {
+    const tags = getTagInputValue('bulk-tag-input');
+    if (tags.length === 0) {
+      showError('E007');
+      return;
+    }
+
+    const buildData = note => {
+      const current = getNoteTags(note);
+      const next = isAdd
+        ? [...new Set([...current, ...tags])]
+        : current.filter(tag => !tags.includes(tag));
+      return next.length === current.length ? null : { Tags: next };
+    };
+
+    // 追加後のタグが上限を超える問題があれば中止
+    const tagError = isAdd
+      ? notes.map(note => validateTags([...new Set([...getNoteTags(note), ...tags])])).find(Boolean)
+      : null;
+    if (tagError) {
+      showError(tagError);
+      return;
+    }
+
+    if (await handleBulkUpdate(notes, buildData)) closeModal(true);
+  };
+}
+
+/**
+ * 選択した問題をノートブックに移動するモーダル
+ */
+function openBulkNotebookModal(notes) {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>ノートブックに移動</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="text-muted mb-2">選択した${notes.length}件の問題の移動先を入力してください。空欄にすると未分類に戻します。</p>
+      <div class="form-group">
+        <input type="text" id="bulk-notebook-input" class="form-control" list="bulk-notebook-suggestions" maxlength="${NOTEBOOK_MAX_LENGTH}" placeholder="ノートブック名">
+        <datalist id="bulk-notebook-suggestions">
+          ${getAllNotebooks().map(({ notebook }) => `<option value="${escapeHtml(notebook)}"></option>`).join('')}
+        </datalist>
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button id="bulk-notebook-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="bulk-notebook-submit-btn" class="btn btn-primary">移動</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  document.getElementById('bulk-notebook-cancel-btn').onclick = () => closeModal();
+  document.getElementById('bulk-notebook-submit-btn').onclick = async () => {
+    const notebook = document.getElementById('bulk-notebook-input').value.trim();
+    if (notebook.length > NOTEBOOK_MAX_LENGTH) {
+      showError('E033');
+      return;
+    }
+    const moved = await handleBulkUpdate(notes, note => (getNoteNotebook(note) === notebook ? null : { Notebook: notebook }));
+    if (moved) closeModal(true);
+  };
+}
+
+/**
+ * 選択した問題のミス回数を0に戻す確認モーダル
+ */
+function openBulkResetMissModal(notes) {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>ミス回数のリセット</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p>選択した<strong>${notes.length}</strong>件の問題のミス回数を0に戻しますか？</p>
+      <ul class="bulk-delete-list">
+        ${notes.slice(0, 5).map(note => `<li>${escapeHtml(note.Title)}</li>`).join('')}
+        ${notes.length > 5 ? `<li class="text-muted">ほか${notes.length - 5}件</li>` : ''}
+      </ul>
+    </div>
+    <div class="modal-footer">
+      <button id="bulk-reset-miss-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="bulk-reset-miss-submit-btn" class="btn btn-primary">0に戻す</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  document.getElementById('bulk-reset-miss-cancel-btn').onclick = () => closeModal();
+  document.getElementById('bulk-reset-miss-submit-btn').onclick = async () => {
+    const reset = await handleBulkUpdate(notes, () => ({ MissCount: 0, ClozeMissCount: {} }));
+    if (reset) closeModal(true);
+  };
+}
+
+/**
+ * 選択した問題をまとめて削除するモーダル（件数の入力で確定）
+ */
+function openBulkDeleteModal(notes) {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>選択した問題を削除</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <div class="delete-warning">
+        <p>選択した<strong>${notes.length}</strong>件の問題をゴミ箱に移動しますか？</p>
+        <ul class="bulk-delete-list">
+          ${notes.slice(0, 5).map(note => `<li>${escapeHtml(note.Title)}</li>`).join('')}
+          ${notes.length > 5 ? `<li class="text-muted">ほか${notes.length - 5}件</li>` : ''}
+        </ul>
+        <p class="text-muted">確認のため、削除する件数を半角数字で入力してください</p>
+      </div>
+      <div class="form-group">
+        <input type="text" id="bulk-delete-count" class="form-control" inputmode="numeric" placeholder="件数を入力">
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button id="bulk-delete-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="bulk-delete-submit-btn" class="btn btn-danger">削除を確定</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  document.getElementById('bulk-delete-cancel-btn').onclick = () => closeModal();
+  document.getElementById('bulk-delete-submit-btn').onclick = () => handleBulkDelete(notes);
+}
+
+async function handleBulkDelete(notes) {
+  if (document.getElementById('bulk-delete-count').value.trim() !== String(notes.length)) {
+    showError('E032');
+    return;
+  }
+
+  showLoading('削除中...');
+
+  // ゴミ箱に移動し、まとめて元に戻せるようにする
+  const trashedAt = getCurrentDateTime();
+  const mutations = notes.map(note => createMutation('update', note.id, { TrashedAt: trashedAt }, pickFields(note, CONTENT_FIELDS)));
+
+  try {
+    const queued = await submitMutations(mutations);
+    mutations.forEach(applyLocalMutation);
+    if (queued) showError('E014');
+
+    selectedNoteIds = new Set();
+    hideLoading();
+    closeModal(true);
+    renderListContent();
+    showUndoToast(`${notes.length}件の問題をゴミ箱に移動しました`, () => handleRestoreFromTrash(notes.map(note => note.id)));
+  } catch (error) {
+    console.error('Bulk delete error:', error);
+    (error.committed || []).forEach(applyLocalMutation);
+    showError('E006');
+    hideLoading();
+    refreshListIfVisible();
+  }
+}
+
+// ========================================
+// 共有リンク
+// ========================================
+// 選択した問題の内容を shares/{shareId} に複製して公開する。
+// リンクを知っていれば誰でも閲覧でき、取り込み可の場合はログインしたユーザーが自分の問題として取り込める
+
+/**
+ * 共有する問題の内容（解答履歴・ミス回数・復習の状態は含めない）
+ */
+function toSharedNote(note) {
+  return {
+    ...pickFields(note, CONTENT_FIELDS),
+    AltAnswers: getNoteAltAnswers(note),
+    Format: isMarkdownNote(note) ? 'markdown' : 'plain',
+    Tags: getNoteTags(note),
+    Attachments: getNoteAttachments(note),
+    Type: Object.hasOwn(NOTE_TYPE_LABELS, note.Type) ? note.Type : 'text',
+    Choices: getNoteChoices(note),
+    ShuffleChoices: note.ShuffleChoices === true
+  };
+}
+
+/**
+ * 共有リンクのURL
+ */
+function getShareUrl(shareId) {
+  return `${location.origin}${location.pathname}${location.search}#share/${shareId}`;
+}
+
+/**
+ * 共有リンクの作成モーダル
+ */
+function openShareCreateModal(notes) {
+  if (notes.length > SHARE_MAX_NOTES) {
+    showError('E042');
+    return;
+  }
+  const notebooks = [...new Set(notes.map(getNoteNotebook))];
+
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>共有リンクを作成</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="text-muted mb-2">選択した${notes.length}件の問題を、リンクを知っている人が閲覧できるよう公開します。解答履歴とミス回数は公開されません。</p>
+      <div class="form-group">
+        <label for="share-title-input">共有名</label>
+        <input type="text" id="share-title-input" class="form-control" maxlength="${TITLE_MAX_LENGTH}" value="${escapeHtml(notebooks.length === 1 ? notebooks[0] : '')}">
+      </div>
+      <div class="form-group">
+        ${Object.entries(SHARE_MODE_LABELS).map(([mode, label], index) => `
+          <label class="import-mode">
+            <input type="radio" name="share-mode" value="${mode}" ${index === 0 ? 'checked' : ''}>
+            ${label}
+          </label>
+        `).join('')}
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button id="share-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="share-create-btn" class="btn btn-primary">作成</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  document.getElementById('share-cancel-btn').onclick = () => closeModal();
+  document.getElementById('share-create-btn').onclick = () => {
+    const title = document.getElementById('share-title-input').value.trim();
+    const mode = document.querySelector('input[name="share-mode"]:checked').value;
+    handleCreateShare(notes, title, mode);
+  };
+}
+
+/**
+ * 共有リンクを作成し、リンクを表示
+ */
+async function handleCreateShare(notes, title, mode) {
+  if (!title) {
+    showError('E007');
+    return;
+  }
+  if (title.length > TITLE_MAX_LENGTH) {
+    showError('E012');
+    return;
+  }
+
+  showLoading('共有リンクを作成中...');
+  const shareRef = doc(collection(db, 'shares'));
+  let copied = null;
+  try {
+    copied = await copyShareAttachments(shareRef.id, notes.map(toSharedNote));
+    await withRetry(() => setDoc(shareRef, {
+      ownerUid: currentUser.uid,
+      ownerName: currentUser.displayName || '',
+      title,
+      mode,
+      notes: copied.notes,
+      noteCount: notes.length,
+      attachmentPaths: copied.paths,
+      createdAt: serverTimestamp()
+    }));
+  } catch (error) {
+    console.error('Share error:', error);
+    if (copied) deleteStorageFiles(copied.paths);
+    showError('E040');
+    hideLoading();
+    return;
+  }
+  hideLoading();
+  closeModal(true);
+  openShareLinkModal(shareRef.id);
+}
+
+/**
+ * 共有する問題の添付ファイルを共有専用の保存先（users/{uid}/shares/{shareId}/）へ複製
+ * 元の問題のダウンロードURLは公開せず、公開を停止したときに複製を削除してURLを使えなくする
+ */
+async function copyShareAttachments(shareId, sharedNotes) {
+  const paths = [];
+  try {
+    const copiedNotes = [];
+    for (const [index, note] of sharedNotes.entries()) {
+      const attachments = [];
+      for (const item of note.Attachments) {
+        const response = await fetch(item.url);
+        if (!response.ok) throw new Error(`Attachment fetch failed: ${response.status}`);
+        const fileName = `${index}-${item.id}.${getAttachmentExtension(item)}`;
+        const { path, url } = await uploadStorageFileTo(`users/${currentUser.uid}/shares/${shareId}/${fileName}`, await response.blob(), item.contentType);
+        paths.push(path);
+        attachments.push({ ...item, path, url });
+      }
+      copiedNotes.push({ ...note, Attachments: attachments });
+    }
+    return { notes: copiedNotes, paths };
+  } catch (error) {
+    await deleteStorageFiles(paths);
+    throw error;
+  }
+}
+
+/**
+ * 作成した共有リンクを表示するモーダル
+ */
+function openShareLinkModal(shareId) {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>共有リンク</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="text-muted mb-2">このリンクを共有してください。公開は一覧画面の「共有リンク」から停止できます。</p>
+      <div class="share-link-row">
+        <input type="text" id="share-link-input" class="form-control" readonly value="${escapeHtml(getShareUrl(shareId))}">
+        <button id="share-copy-btn" class="btn btn-outline">コピー</button>
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button id="share-link-close-btn" class="btn btn-primary">閉じる</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  const input = document.getElementById('share-link-input');
+  input.select();
+  document.getElementById('share-copy-btn').onclick = (e) => copyShareUrl(shareId, e.target);
+  document.getElementById('share-link-close-btn').onclick = () => closeModal(true);
+}
+
+/**
+ * 共有リンクをクリップボードにコピー
+ */
+async function copyShareUrl(shareId, button) {
+  try {
+    await navigator.clipboard.writeText(getShareUrl(shareId));
+    setTextContent(button, 'コピーしました');
+  } catch (error) {
+    console.error('Clipboard error:', error);
+  }
+}
+
+/**
+ * 自分が作成した共有リンクの一覧モーダル
+ */
+async function openShareManagerModal() {
+  showLoading('読み込み中...');
+  let shares;
+  try {
+    const snapshot = await withRetry(() => getDocs(query(collection(db, 'shares'), where('ownerUid', '==', currentUser.uid))));
+    shares = snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (b.createdAt ? b.createdAt.toMillis() : 0) - (a.createdAt ? a.createdAt.toMillis() : 0));
+  } catch (error) {
+    console.error('Failed to load shares:', error);
+    showError('E003');
+    hideLoading();
+    return;
+  }
+  hideLoading();
+
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>共有リンク</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      ${shares.length > 0 ? `
+        <p class="text-muted mb-2">共有リンクを作成するには、一覧で問題を選択して「共有リンクを作成」を押してください。</p>
+        <table class="data-table share-table">
+          <thead>
+            <tr>
+              <th>共有名</th>
+              <th>公開方法</th>
+              <th>問題数</th>
+              <th>作成日時</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${shares.map(share => `
+              <tr>
+                <td><a href="${escapeHtml(getShareUrl(share.id))}" target="_blank" rel="noopener noreferrer">${escapeHtml(share.title)}</a></td>
+                <td>${escapeHtml(SHARE_MODE_LABELS[share.mode] || '')}</td>
+                <td>${share.noteCount}件</td>
+                <td>${share.createdAt ? escapeHtml(formatDate(share.createdAt.toDate().toISOString())) : ''}</td>
+                <td class="share-actions">
+                  <button class="btn btn-small btn-outline share-copy-btn" data-id="${escapeHtml(share.id)}">リンクをコピー</button>
+                  <button class="btn btn-small btn-danger share-revoke-btn" data-id="${escapeHtml(share.id)}">公開を停止</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : '<p class="text-muted">共有中のリンクはありません。一覧で問題を選択して「共有リンクを作成」を押すと作成できます。</p>'}
+    </div>
+    <div class="modal-footer">
+      <button id="share-manager-close-btn" class="btn btn-primary">閉じる</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  document.getElementById('share-manager-close-btn').onclick = () => closeModal(true);
+  document.querySelectorAll('.share-copy-btn').forEach(btn => {
+    btn.onclick = () => copyShareUrl(btn.dataset.id, btn);
+  });
+  document.querySelectorAll('.share-revoke-btn').forEach(btn => {
+    btn.onclick = () => {
+      const share = shares.find(s => s.id === btn.dataset.id);
+      if (!share) return;
+      confirmInModal(`「${share.title}」の公開を停止します。このリンクは開けなくなります。よろしいですか？`, '公開を停止', () => handleRevokeShare(share));
+    };
+  });
+}
+
+/**
+ * 共有リンクの公開を停止（共有用に複製した内容と添付ファイルを削除する）
+ * 添付ファイルを先に削除し、削除できなかった場合は共有を残して再度停止できるようにする
+ */
+async function handleRevokeShare(share) {
+  showLoading('公開を停止中...');
+  try {
+    const paths = Array.isArray(share.attachmentPaths) ? share.attachmentPaths : [];
+    await Promise.all(paths.map(path => withRetry(() => deleteObject(storageRef(storage, path))).catch(error => {
+      if (error.code !== 'storage/object-not-found') throw error;
+    })));
+    await withRetry(() => deleteDoc(doc(db, 'shares', share.id)));
+  } catch (error) {
+    console.error('Revoke error:', error);
+    showError('E045');
+    hideLoading();
+    return;
+  }
+  hideLoading();
+  closeModal(true);
+  openShareManagerModal();
+}
+
+// ========================================
+// 共有された問題の画面
+// ========================================
+
+async function renderSharePage() {
+  showLoading('読み込み中...');
+  let share = null;
+  try {
+    const snapshot = await withRetry(() => getDoc(doc(db, 'shares', viewingShareId)));
+    if (snapshot.exists()) share = normalizeShare(snapshot.id, snapshot.data());
+  } catch (error) {
+    console.error('Failed to load share:', error);
+  }
+  hideLoading();
+  // 読み込み中に別の画面へ移動した場合は何もしない
+  if (currentPage !== 'share') return;
+
+  if (!share) {
+    pageContent.innerHTML = `
+      <div class="share-page">
+        <div class="empty-message">
+          <p>${escapeHtml(ERROR_CODES.E041)}</p>
+        </div>
+        <div class="share-page-actions">
+          <button id="share-back-btn" class="btn btn-outline">${noteBackend ? '一覧に戻る' : 'ログイン画面へ'}</button>
+        </div>
+      </div>
+    `;
+    document.getElementById('share-back-btn').onclick = () => navigateTo(noteBackend ? 'list' : 'login');
+    return;
+  }
+
+  renderShareContent(share);
+}
+
+/**
+ * 共有リンクの内容を検証し、表示・取り込みできる問題のみにする
+ * 形式が正しくない問題は除き、行番号・理由をskippedRowsに入れる（インポート結果と同じ形式）
+ */
+function normalizeShare(id, data) {
+  const rawNotes = Array.isArray(data.notes) ? data.notes : [];
+  const notes = [];
+  const skippedRows = [];
+  rawNotes.forEach((raw, index) => {
+    const { note, error } = sanitizeImportedNote(raw);
+    if (note) {
+      notes.push(note);
+    } else {
+      skippedRows.push({ row: index + 1, title: raw && typeof raw.Title === 'string' ? raw.Title : '', error });
+    }
+  });
+
+  return {
+    id,
+    ownerName: typeof data.ownerName === 'string' ? data.ownerName : '',
+    title: typeof data.title === 'string' ? data.title : '',
+    mode: Object.hasOwn(SHARE_MODE_LABELS, data.mode) ? data.mode : 'readonly',
+    notes,
+    skippedRows
+  };
+}
+
+function renderShareContent(share) {
+  const { notes, skippedRows } = share;
+  const canImport = share.mode === 'copyable';
+
+  pageContent.innerHTML = `
+    <div class="share-page">
+      <div class="list-header">
+        <div class="list-title">
+          <h1 id="share-title"></h1>
+          <span class="due-count">${notes.length}問・${escapeHtml(SHARE_MODE_LABELS[share.mode])}${share.ownerName ? `・${escapeHtml(share.ownerName)}さんが共有` : ''}</span>
+        </div>
+        <div class="header-actions">
+          ${canImport ? `<button id="share-import-btn" class="btn btn-primary">${noteBackend ? '自分の問題に取り込む' : 'ログインして取り込む'}</button>` : ''}
+          <button id="share-back-btn" class="btn btn-outline">${noteBackend ? '一覧に戻る' : 'ログイン画面へ'}</button>
+        </div>
+      </div>
+      ${skippedRows.length > 0 ? `
+        <div class="form-warning">内容が正しくないため表示できない問題が${skippedRows.length}件あります（取り込みの対象にもなりません）。</div>
+      ` : ''}
+      <div class="share-notes">
+        ${notes.map((note, index) => `
+          <div class="share-note">
+            <h2 class="share-note-title" id="share-note-title-${index}"></h2>
+            <div class="problem-question" id="share-note-question-${index}"></div>
+            ${buildAttachmentsHtml(note)}
+            ${buildTagChipsHtml(getNoteTags(note))}
+            <details class="share-note-answer">
+              <summary>回答を表示</summary>
+              <div class="detail-label">解答</div>
+              <div class="detail-value" id="share-note-answer-${index}"></div>
+              ${note.Explain ? `
+                <div class="detail-label">解説</div>
+                <div class="detail-value" id="share-note-explain-${index}"></div>
+              ` : ''}
+            </details>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+
+  // textContentで安全にテキストを設定
+  setTextContent(document.getElementById('share-title'), share.title);
+  notes.forEach((note, index) => {
+    setTextContent(document.getElementById(`share-note-title-${index}`), note.Title);
+    setRichText(document.getElementById(`share-note-question-${index}`), note.Question, note);
+    setRichText(document.getElementById(`share-note-answer-${index}`), note.Answer, note);
+    if (note.Explain) setRichText(document.getElementById(`share-note-explain-${index}`), note.Explain, note);
+  });
+
+  document.getElementById('share-back-btn').onclick = () => navigateTo(noteBackend ? 'list' : 'login');
+  const importBtn = document.getElementById('share-import-btn');
+  if (importBtn) {
+    importBtn.onclick = () => {
+      if (noteBackend) {
+        openShareImportModal(share);
+      } else {
+        // ログイン後にこの画面へ戻る
+        sessionStorage.setItem(SHARE_RETURN_KEY, share.id);
+        navigateTo('login');
+      }
+    };
+  }
+}
+
+/**
+ * 共有された問題の取り込みモーダル（取り込み先のノートブックを指定）
+ */
+function openShareImportModal(share) {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>自分の問題に取り込む</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="text-muted mb-2">「${escapeHtml(share.title)}」の${share.notes.length}件の問題を、新しい問題として登録します。同じタイトルの問題がある場合は末尾に連番を付けます。</p>
+      ${share.skippedRows.length > 0 ? `<p class="form-warning">内容が正しくない${share.skippedRows.length}件は取り込みません。</p>` : ''}
+      <div class="form-group">
+        <label for="share-notebook-input">取り込み先のノートブック</label>
+        <input type="text" id="share-notebook-input" class="form-control" list="share-notebook-suggestions" maxlength="${NOTEBOOK_MAX_LENGTH}" value="${escapeHtml(share.title.slice(0, NOTEBOOK_MAX_LENGTH))}">
+        <datalist id="share-notebook-suggestions">
+          ${getAllNotebooks().map(({ notebook }) => `<option value="${escapeHtml(notebook)}"></option>`).join('')}
+        </datalist>
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button id="share-import-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="share-import-submit-btn" class="btn btn-primary">取り込む</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  document.getElementById('share-import-cancel-btn').onclick = () => closeModal();
+  document.getElementById('share-import-submit-btn').onclick = () => {
+    const notebook = document.getElementById('share-notebook-input').value.trim();
+    if (notebook.length > NOTEBOOK_MAX_LENGTH) {
+      showError('E033');
+      return;
+    }
+    handleImportShare(share, notebook);
+  };
+}
+
+/**
+ * 共有された問題を自分の問題として登録
+ * ミス回数・解答履歴・復習の状態は引き継がず、添付ファイルは自分の保存先へ複製する
+ */
+async function handleImportShare(share, notebook) {
+  showLoading('取り込み中...');
+  if (notesData.length === 0) await noteBackend.loadNotes();
+
+  const takenTitles = getAllLocalNotes().map(note => note.Title);
+  const mutations = [];
+  const uploadedPaths = [];
+  let failedAttachments = 0;
+
+  // 形式が正しくない問題は共有リンクを開いたときに除いている（share.skippedRows）
+  for (const note of share.notes) {
+    const noteId = noteBackend.createId();
+    const attachments = [];
+    for (const item of getNoteAttachments(note)) {
+      try {
+        const blob = await (await fetch(item.url)).blob();
+        const { path, url } = await noteBackend.uploadFile(noteId, `${item.id}.${getAttachmentExtension(item)}`, blob, item.contentType);
+        uploadedPaths.push(path);
+        attachments.push({ ...item, path, url });
+      } catch (error) {
+        console.error('Attachment copy error:', error);
+        failedAttachments++;
+      }
+    }
+
+    const title = makeUniqueTitle(note.Title, takenTitles);
+    takenTitles.push(title);
+    const data = {
+      ...toSharedNote(note),
+      Title: title,
+      Attachments: attachments,
+      Notebook: notebook,
+      Date: getCurrentDateTime(),
+      MissCount: 0,
+      ...createInitialReviewState(),
+      uid: getSessionUid()
+    };
+    mutations.push(createRevisionedMutation('create', noteId, null, data));
+  }
+
+  try {
+    const queued = await submitMutations(mutations);
+    mutations.forEach(applyLocalMutation);
+    if (queued) showError('E014');
+  } catch (error) {
+    console.error('Share import error:', error);
+    const committed = error.committed || [];
+    committed.forEach(applyLocalMutation);
+    noteBackend.deleteFiles(uploadedPaths.filter(path => !committed.some(m => getNoteAttachments(m.data).some(item => item.path === path))));
+    showError('E043');
+    hideLoading();
+    return;
+  }
+  if (failedAttachments > 0) showError('E044');
+
+  hideLoading();
+  closeModal(true);
+  activeNotebook = notebook;
+  navigateTo('list');
+  // 取り込めなかった問題があれば件数と理由を表示
+  if (share.skippedRows.length > 0) openImportResultModal(mutations.length, share.skippedRows);
+}
+
+// ========================================
+// 登録モーダル
+// ========================================
+
+function openRegisterModal() {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>問題を登録</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <div class="mode-tabs">
+        <button class="mode-tab active" data-mode="single">1件ずつ登録</button>
+        <button class="mode-tab" data-mode="bulk">まとめて貼り付け</button>
+      </div>
+      <div id="reg-bulk-form" class="hidden">
+        <div class="form-group">
+          <label>区切り文字</label>
+          <select id="bulk-separator" class="sort-select">
+            ${Object.entries(BULK_SEPARATORS).map(([key, separator]) => `
+              <option value="${key}">${escapeHtml(separator.label)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>貼り付けるテキスト<span class="required">*</span></label>
+          <textarea id="bulk-text" class="form-control bulk-textarea" placeholder="1行に1問ずつ入力&#10;2列: 問題 / 解答&#10;3列以上: タイトル / 問題 / 解答 / 解説"></textarea>
+          <div id="bulk-preview" class="char-count"></div>
+        </div>
+        ${buildTagInputHtml('bulk-tags')}
+      </div>
+      <div id="reg-single-form">
+      <div class="form-group">
+        <label>タイトル<span class="required">*</span></label>
+        <input type="text" id="reg-title" class="form-control" maxlength="${TITLE_MAX_LENGTH}" placeholder="問題のタイトル">
+        <div class="char-count"><span id="title-count">0</span>/${TITLE_MAX_LENGTH}</div>
+        <div id="title-error" class="form-error hidden"></div>
+      </div>
+      <div class="form-group">
+        <label>問題文<span class="required">*</span></label>
+        <textarea id="reg-question" class="form-control" maxlength="${CONTENT_MAX_LENGTH}" placeholder="問題の内容"></textarea>
+        <div class="char-count"><span id="question-count">0</span>/${CONTENT_MAX_LENGTH}</div>
+      </div>
+      ${buildNoteTypeEditorHtml('reg')}
+      <div class="form-group" id="reg-answer-group">
+        <label>解答<span class="required">*</span></label>
+        <textarea id="reg-answer" class="form-control" maxlength="${CONTENT_MAX_LENGTH}" placeholder="正しい解答"></textarea>
+        <div class="char-count"><span id="answer-count">0</span>/${CONTENT_MAX_LENGTH}</div>
+      </div>
+      <div class="form-group" id="reg-alt-answers-group">
+        <label>別解（任意）</label>
+        <textarea id="reg-alt-answers" class="form-control alt-answers-input" placeholder="正解とみなす別の解答を1行に1つ"></textarea>
+      </div>
+      <div class="form-group">
+        <label>解説（任意）</label>
+        <textarea id="reg-explain" class="form-control" maxlength="${CONTENT_MAX_LENGTH}" placeholder="解説やポイントなど"></textarea>
+        <div class="char-count"><span id="explain-count">0</span>/${CONTENT_MAX_LENGTH}</div>
+      </div>
+      ${buildFormatToggleHtml('reg', false)}
+      ${buildAttachmentEditorHtml()}
+      ${buildTagInputHtml('reg-tags')}
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button id="reg-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="reg-submit-btn" class="btn btn-primary">登録</button>
+    </div>
+  `;
+
+  openModal(modalHtml, disposeAttachmentEditor);
+  setupRegisterModalListeners();
+}
+
+function setupRegisterModalListeners() {
+  const titleInput = document.getElementById('reg-title');
+  const questionInput = document.getElementById('reg-question');
+  const answerInput = document.getElementById('reg-answer');
+  const explainInput = document.getElementById('reg-explain');
+
+  // 文字数カウント
+  const setupCounter = (input, counterId) => {
+    const counter = document.getElementById(counterId);
+    input.addEventListener('input', () => {
+      counter.textContent = input.value.length;
+    });
+  };
+
+  setupCounter(titleInput, 'title-count');
+  setupCounter(questionInput, 'question-count');
+  setupCounter(answerInput, 'answer-count');
+  setupCounter(explainInput, 'explain-count');
+  setupTagInput('reg-tags');
+  setupTagInput('bulk-tags');
+  setupMarkdownPreview('reg');
+  setupNoteTypeEditor('reg', []);
+  setupAttachmentEditor([]);
+
+  // 登録方法の切り替え
+  let registerMode = 'single';
+  document.querySelectorAll('.mode-tab').forEach(tab => {
+    tab.onclick = () => {
+      registerMode = tab.dataset.mode;
+      document.querySelectorAll('.mode-tab').forEach(t => t.classList.toggle('active', t === tab));
+      document.getElementById('reg-single-form').classList.toggle('hidden', registerMode !== 'single');
+      document.getElementById('reg-bulk-form').classList.toggle('hidden', registerMode !== 'bulk');
+    };
+  });
+
+  // まとめて貼り付けのプレビュー
+  const bulkText = document.getElementById('bulk-text');
+  const bulkSeparator = document.getElementById('bulk-separator');
+  const updateBulkPreview = () => {
+    const rows = getBulkRows();
+    const errorCount = rows.filter(r => r.error).length;
+    setTextContent(
+      document.getElementById('bulk-preview'),
+      rows.length > 0 ? `${rows.length - errorCount}件を登録できます${errorCount > 0 ? `（${errorCount}件は入力に不備があります）` : ''}` : ''
+    );
+  };
+  bulkText.addEventListener('input', updateBulkPreview);
+  bulkSeparator.addEventListener('change', updateBulkPreview);
+
+  // キャンセル
+  document.getElementById('reg-cancel-btn').onclick = () => closeModal();
+
+  // 登録（Enterキーでも登録する）
+  const submit = () => {
+    if (registerMode === 'bulk') {
+      handleBulkRegister();
+    } else {
+      handleRegister();
+    }
+  };
+  document.getElementById('reg-submit-btn').onclick = submit;
+  setModalSubmitHandler(submit);
+}
+
+/**
+ * まとめて貼り付けの入力内容を検証済みの行に変換
+ */
+function getBulkRows() {
+  const separator = BULK_SEPARATORS[document.getElementById('bulk-separator').value];
+  const tags = getTagInputValue('bulk-tags');
+  const rawNotes = parseBulkPaste(document.getElementById('bulk-text').value, separator)
+    .map(raw => ({ ...raw, Tags: tags }));
+  return validateImportRows(rawNotes).map(r => (
+    r.note && notesData.some(n => n.Title === r.note.Title)
+      ? { ...r, note: null, error: ERROR_CODES.E008 }
+      : r
+  ));
+}
+
+/**
+ * まとめて貼り付けた問題を一括登録
+ */
+function handleBulkRegister() {
+  const rows = getBulkRows();
+  if (!rows.some(r => r.note)) {
+    showError(rows.length === 0 ? 'E007' : 'E023');
+    return;
+  }
+  handleImportNotes(rows, 'append');
+}
+
+async function handleRegister() {
+  const title = document.getElementById('reg-title').value.trim();
+  const question = document.getElementById('reg-question').value.trim();
+  const typeFields = getNoteTypeEditorValue('reg');
+  const isTextNote = typeFields.Type === 'text';
+  // 選択式・穴埋めでは選択肢・穴から解答を作り、別解は使わない
+  const answer = isTextNote
+    ? document.getElementById('reg-answer').value.trim()
+    : buildTypedAnswerText({ ...typeFields, Question: question });
+  const explain = document.getElementById('reg-explain').value.trim();
+  const altAnswers = isTextNote ? parseAltAnswers(document.getElementById('reg-alt-answers').value) : [];
+  const format = document.getElementById('reg-markdown').checked ? 'markdown' : 'plain';
+  const tags = getTagInputValue('reg-tags');
+  const titleError = document.getElementById('title-error');
+
+  // バリデーション
+  titleError.classList.add('hidden');
+
+  const noteError = validateNote(upgradeNote({
+    Title: title,
+    Question: question,
+    Answer: answer,
+    Explain: explain,
+    AltAnswers: altAnswers,
+    Format: format,
+    Tags: tags,
+    ...typeFields
+  }));
+  if (noteError) {
+    showError(noteError);
+    return;
+  }
+
+  // タイトル重複チェック
+  if (notesData.some(n => n.Title === title)) {
+    titleError.textContent = 'このタイトルは既に存在します';
+    titleError.classList.remove('hidden');
+    showError('E008');
+    return;
+  }
+
+  if (hasPendingUploads() && !navigator.onLine) {
+    showError('E025');
+    return;
+  }
+
+  showLoading('登録中...');
+
+  // IDは端末側で採番し、オフライン時もそのまま送信できるようにする
+  const noteId = noteBackend.createId();
+
+  let attachments;
+  try {
+    attachments = await uploadAttachmentDraft(noteId);
+  } catch (error) {
+    console.error('Upload error:', error);
+    showError('E026');
+    hideLoading();
+    return;
+  }
+
+  const newNote = {
+    Title: title,
+    Question: question,
+    Answer: answer,
+    Explain: explain,
+    AltAnswers: altAnswers,
+    Format: format,
+    Tags: tags,
+    ...typeFields,
+    Attachments: attachments,
+    Date: getCurrentDateTime(),
+    MissCount: 0,
+    ...createInitialReviewState(),
+    uid: getSessionUid()
+  };
+
+  const mutation = createRevisionedMutation('create', noteId, null, newNote);
+
+  try {
+    const queued = await submitMutation(mutation);
+    applyLocalMutation(mutation);
+    if (queued) showError('E014');
+    
+    hideLoading();
+    closeModal(true);
+    renderListContent();
+  } catch (error) {
+    console.error('Register error:', error);
+    showError('E004');
+    // 登録できなかった問題の添付ファイルは残さない
+    noteBackend.deleteFiles(attachments.map(item => item.path));
+    hideLoading();
+  }
+}
+
+// ========================================
+// 編集モーダル
+// ========================================
+
+function openEditModal(note) {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>問題を編集</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <div id="edit-conflict-warning" class="form-warning hidden">
+        <p id="edit-conflict-message"></p>
+        <button id="edit-reload-btn" class="btn btn-small btn-outline">最新の内容を読み込む</button>
+      </div>
+      <div class="form-group">
+        <label>タイトル<span class="required">*</span></label>
+        <input type="text" id="edit-title" class="form-control" maxlength="${TITLE_MAX_LENGTH}" value="${escapeHtml(note.Title)}">
+        <div class="char-count"><span id="title-count">${note.Title.length}</span>/${TITLE_MAX_LENGTH}</div>
+        <div id="title-error" class="form-error hidden"></div>
+      </div>
+      <div class="form-group">
+        <label>問題文<span class="required">*</span></label>
+        <textarea id="edit-question" class="form-control" maxlength="${CONTENT_MAX_LENGTH}">${escapeHtml(note.Question)}</textarea>
+        <div class="char-count"><span id="question-count">${note.Question.length}</span>/${CONTENT_MAX_LENGTH}</div>
+      </div>
+      ${buildNoteTypeEditorHtml('edit', note)}
+      <div class="form-group" id="edit-answer-group">
+        <label>解答<span class="required">*</span></label>
+        <textarea id="edit-answer" class="form-control" maxlength="${CONTENT_MAX_LENGTH}">${escapeHtml(note.Answer)}</textarea>
+        <div class="char-count"><span id="answer-count">${note.Answer.length}</span>/${CONTENT_MAX_LENGTH}</div>
+      </div>
+      <div class="form-group" id="edit-alt-answers-group">
+        <label>別解（任意）</label>
+        <textarea id="edit-alt-answers" class="form-control alt-answers-input" placeholder="正解とみなす別の解答を1行に1つ">${escapeHtml(getNoteAltAnswers(note).join('\n'))}</textarea>
+      </div>
+      <div class="form-group">
+        <label>解説（任意）</label>
+        <textarea id="edit-explain" class="form-control" maxlength="${CONTENT_MAX_LENGTH}">${escapeHtml(note.Explain || '')}</textarea>
+        <div class="char-count"><span id="explain-count">${(note.Explain || '').length}</span>/${CONTENT_MAX_LENGTH}</div>
+      </div>
+      ${buildFormatToggleHtml('edit', isMarkdownNote(note))}
+      ${buildAttachmentEditorHtml()}
+      ${buildTagInputHtml('edit-tags', getNoteTags(note))}
+    </div>
+    <div class="modal-footer">
+      <button id="delete-mode-btn" class="btn btn-danger">データを削除...</button>
+      <button id="history-btn" class="btn btn-outline">変更履歴...</button>
+      <button id="edit-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="edit-submit-btn" class="btn btn-primary">保存</button>
+    </div>
+  `;
+
+  openModal(modalHtml, disposeAttachmentEditor);
+  modalContext = { type: 'edit', noteId: note.id, note };
+  setupEditModalListeners(note);
+}
+
+/**
+ * 編集中の問題が別の端末で変更・削除されたことを警告
+ */
+function showEditConflictWarning(latestNote) {
+  const warning = document.getElementById('edit-conflict-warning');
+  if (!warning) return;
+
+  setTextContent(
+    document.getElementById('edit-conflict-message'),
+    latestNote
+      ? 'この問題は別の端末で更新されました。保存すると別の端末での変更は上書きされます。'
+      : 'この問題は別の端末で削除されました。保存できません。'
+  );
+  document.getElementById('edit-reload-btn').classList.toggle('hidden', !latestNote);
+  document.getElementById('edit-submit-btn').disabled = !latestNote;
+  warning.classList.remove('hidden');
+  showError('E017');
+}
+
+function setupEditModalListeners(note) {
+  const titleInput = document.getElementById('edit-title');
+  const questionInput = document.getElementById('edit-question');
+  const answerInput = document.getElementById('edit-answer');
+  const explainInput = document.getElementById('edit-explain');
+
+  // 文字数カウント
+  const setupCounter = (input, counterId) => {
+    const counter = document.getElementById(counterId);
+    input.addEventListener('input', () => {
+      counter.textContent = input.value.length;
+    });
+  };
+
+  setupCounter(titleInput, 'title-count');
+  setupCounter(questionInput, 'question-count');
+  setupCounter(answerInput, 'answer-count');
+  setupCounter(explainInput, 'explain-count');
+  setupTagInput('edit-tags');
+  setupMarkdownPreview('edit');
+  setupNoteTypeEditor('edit', getNoteChoices(note));
+  setupAttachmentEditor(getNoteAttachments(note));
+
+  // キャンセル
+  document.getElementById('edit-cancel-btn').onclick = () => closeModal();
+
+  // 最新の内容を読み込み直す（変更を破棄する場合は確認）
+  document.getElementById('edit-reload-btn').onclick = () => {
+    const latestNote = notesData.find(n => n.id === note.id);
+    if (!latestNote) return;
+    closeModal();
+    if (!isModalOpen) openEditModal(latestNote);
+  };
+
+  // 削除モードへ
+  document.getElementById('delete-mode-btn').onclick = () => {
+    closeModal(true);
+    openDeleteModal(note);
+  };
+
+  // 変更履歴へ（変更を破棄する場合は確認）
+  document.getElementById('history-btn').onclick = () => {
+    const latestNote = notesData.find(n => n.id === note.id);
+    if (!latestNote) return;
+    closeModal();
+    if (!isModalOpen) openRevisionHistoryModal(latestNote);
+  };
+
+  // 保存（Enterキーでも保存する）
+  document.getElementById('edit-submit-btn').onclick = () => handleEdit(note);
+  setModalSubmitHandler(() => handleEdit(note));
+}
+
+async function handleEdit(note) {
+  const title = document.getElementById('edit-title').value.trim();
+  const question = document.getElementById('edit-question').value.trim();
+  const typeFields = getNoteTypeEditorValue('edit');
+  const isTextNote = typeFields.Type === 'text';
+  // 選択式・穴埋めでは選択肢・穴から解答を作り、別解は使わない
+  const answer = isTextNote
+    ? document.getElementById('edit-answer').value.trim()
+    : buildTypedAnswerText({ ...typeFields, Question: question });
+  const explain = document.getElementById('edit-explain').value.trim();
+  const altAnswers = isTextNote ? parseAltAnswers(document.getElementById('edit-alt-answers').value) : [];
+  const format = document.getElementById('edit-markdown').checked ? 'markdown' : 'plain';
+  const tags = getTagInputValue('edit-tags');
+  const titleError = document.getElementById('title-error');
+
+  // 別の端末で削除済みの場合は保存しない
+  if (!notesData.some(n => n.id === note.id)) {
+    showError('E005');
+    return;
+  }
+
+  // バリデーション
+  titleError.classList.add('hidden');
+
+  const noteError = validateNote(upgradeNote({
+    Title: title,
+    Question: question,
+    Answer: answer,
+    Explain: explain,
+    AltAnswers: altAnswers,
+    Format: format,
+    Tags: tags,
+    ...typeFields
+  }));
+  if (noteError) {
+    showError(noteError);
+    return;
+  }
+
+  // タイトル重複チェック（自分以外）
+  if (notesData.some(n => n.Title === title && n.id !== note.id)) {
+    titleError.textContent = 'このタイトルは既に存在します';
+    titleError.classList.remove('hidden');
+    showError('E008');
+    return;
+  }
+
+  if (hasPendingUploads() && !navigator.onLine) {
+    showError('E025');
+    return;
+  }
+
+  showLoading('更新中...');
+
+  let attachments;
+  try {
+    attachments = await uploadAttachmentDraft(note.id);
+  } catch (error) {
+    console.error('Upload error:', error);
+    showError('E026');
+    hideLoading();
+    return;
+  }
+  const uploadedPaths = getRemovedAttachmentPaths({ Attachments: attachments }, note);
+
+  const updatedData = {
+    Title: title,
+    Question: question,
+    Answer: answer,
+    Explain: explain,
+    AltAnswers: altAnswers,
+    Format: format,
+    Tags: tags,
+    ...typeFields,
+    Attachments: attachments
+  };
+
+  // 版番号は他の画面での保存も反映された最新の状態から採番する
+  const previous = notesData.find(n => n.id === note.id) || note;
+  updatedData.ClozeMissCount = pruneClozeMissCount(previous, updatedData);
+
+  // 外した添付ファイルは変更の送信後にStorageから削除する
+  const mutation = {
+    ...createRevisionedMutation('update', note.id, previous, updatedData, pickFields(note, CONTENT_FIELDS)),
+    cleanupPaths: attachmentDraft.removed
+  };
+
+  try {
+    const queued = await submitMutation(mutation);
+
+    // ローカルデータ更新
+    applyLocalMutation(mutation);
+    if (queued) showError('E014');
+
+    hideLoading();
+    closeModal(true);
+    renderListContent();
+  } catch (error) {
+    console.error('Edit error:', error);
+    showError('E005');
+    // 保存できなかった場合は今回アップロードした添付ファイルを残さない
+    noteBackend.deleteFiles(uploadedPaths);
+    hideLoading();
+  }
+}
+
+// ========================================
+// 変更履歴
+// ========================================
+// 保存のたびに、保存後の内容を notes/{noteId}/revisions に1件ずつ記録する。
+// ノートのRevisionには最新の版番号を保持する
+
+/**
+ * 版の記録を作成
+ */
+function createRevision(noteId, note, number, savedBy, savedAt) {
+  return {
+    id: noteBackend.createId(),
+    uid: getSessionUid(),
+    number,
+    ...pickFields(note, REVISION_FIELDS),
+    savedAt,
+    savedBy
+  };
+}
+
+/**
+ * 版の記録を付けた登録・更新の変更操作を生成
+ * 履歴機能の導入前に登録された問題は、変更前の内容も最初の版として記録する
+ */
+function createRevisionedMutation(type, noteId, previous, data, base = {}) {
+  const revisions = [];
+  let number = previous ? previous.Revision || 0 : 0;
+
+  if (previous && !previous.Revision) {
+    revisions.push(createRevision(noteId, previous, ++number, null, previous.updatedAt || previous.Date));
+  }
+
+  const savedBy = {
+    uid: getSessionUid(),
+    name: getSessionUserName()
+  };
+  revisions.push(createRevision(noteId, { ...previous, ...data }, ++number, savedBy, getCurrentDateTime()));
+
+  return {
+    ...createMutation(type, noteId, { ...data, Revision: number }, base),
+    revisions
+  };
+}
+
+/**
+ * 問題の版の一覧を新しい順に取得
+ */
+async function fetchRevisions(noteId) {
+  const revisions = await noteBackend.fetchRevisions(noteId);
+  return revisions.sort((a, b) => b.number - a.number || new Date(b.savedAt) - new Date(a.savedAt));
+}
+
+/**
+ * Firestoreから問題の版の一覧を取得（未送信の版も含める）
+ */
+async function fetchFirestoreRevisions(noteId) {
+  const revisionsQuery = query(collection(db, 'notes', noteId, 'revisions'), where('uid', '==', currentUser.uid));
+  const snapshot = await withRetry(() => getDocs(revisionsQuery));
+  const revisions = snapshot.docs.map(d => ({ ...d.data(), id: d.id }));
+
+  getOutbox()
+    .filter(mutation => mutation.noteId === noteId && mutation.revisions)
+    .forEach(mutation => {
+      mutation.revisions.forEach(revision => {
+        if (!revisions.some(r => r.id === revision.id)) revisions.push({ ...revision, pending: true });
+      });
+    });
+
+  return revisions;
+}
+
+/**
+ * 版の表示名を生成
+ */
+function getRevisionLabel(revision) {
+  const savedBy = revision.savedBy ? revision.savedBy.name || '名前なし' : '履歴機能の導入前';
+  return `第${revision.number}版・${formatDate(revision.savedAt)}・${savedBy}${revision.pending ? '（未送信）' : ''}`;
+}
+
+/**
+ * 2つの文字列の差分を左右に並べて表示するHTMLを生成
+ */
+function buildSideBySideDiff(before, after) {
+  const left = Array.from(before);
+  const right = Array.from(after);
+  const { ops } = diffChars(before, after);
+  let leftHtml = '';
+  let rightHtml = '';
+
+  ops.forEach(({ type, index }) => {
+    if (type === 'equal') {
+      leftHtml += escapeHtml(left[index]);
+      rightHtml += escapeHtml(left[index]);
+    } else if (type === 'delete') {
+      leftHtml += `<del class="diff-delete">${escapeHtml(left[index])}</del>`;
+    } else {
+      rightHtml += `<ins class="diff-insert">${escapeHtml(right[index])}</ins>`;
+    }
+  });
+
+  return { leftHtml, rightHtml };
+}
+
+/**
+ * 版の比較表示用に項目の値を文字列にする
+ */
+function getRevisionFieldText(revision, field) {
+  const value = revision[field];
+  if (field === 'Choices') {
+    return getNoteChoices(revision).map(choice => `${choice.correct ? '⭕' : '・'} ${choice.text}`).join('\n');
+  }
+  if (Array.isArray(value)) return value.join(field === 'Tags' ? ', ' : '\n');
+  if (field === 'Format') return value === 'markdown' ? 'Markdown' : 'プレーンテキスト';
+  if (field === 'Type') return Object.hasOwn(NOTE_TYPE_LABELS, value) ? NOTE_TYPE_LABELS[value] : NOTE_TYPE_LABELS.text;
+  if (field === 'ShuffleChoices') return value ? 'する' : 'しない';
+  return value || '';
+}
+
+/**
+ * 2つの版の比較を描画
+ */
+function renderRevisionCompare(revisions) {
+  const container = document.getElementById('revision-compare');
+  const olderId = document.querySelector('input[name="revision-a"]:checked');
+  const newerId = document.querySelector('input[name="revision-b"]:checked');
+  if (!olderId || !newerId) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const older = revisions.find(r => r.id === olderId.value);
+  const newer = revisions.find(r => r.id === newerId.value);
+  const rows = REVISION_FIELDS.map(field => {
+    const before = getRevisionFieldText(older, field);
+    const after = getRevisionFieldText(newer, field);
+    if (before === after) return '';
+    const { leftHtml, rightHtml } = buildSideBySideDiff(before, after);
+    return `
+      <div class="revision-diff-field">
+        <div class="detail-label">${escapeHtml(REVISION_FIELD_LABELS[field])}</div>
+        <div class="revision-diff-columns">
+          <div class="revision-diff-cell">${leftHtml}</div>
+          <div class="revision-diff-cell">${rightHtml}</div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="revision-diff-columns revision-diff-header">
+      <div>A: ${escapeHtml(getRevisionLabel(older))}</div>
+      <div>B: ${escapeHtml(getRevisionLabel(newer))}</div>
+    </div>
+    ${rows || '<p class="text-muted">2つの版に違いはありません</p>'}
+  `;
+}
+
+/**
+ * 変更履歴モーダルを開く
+ */
+async function openRevisionHistoryModal(note) {
+  showLoading('変更履歴を読み込み中...');
+  let revisions;
+  try {
+    revisions = await fetchRevisions(note.id);
+  } catch (error) {
+    console.error('Failed to load revisions:', error);
+    showError('E003');
+    hideLoading();
+    return;
+  }
+  hideLoading();
+
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>変更履歴</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="mb-2"><strong id="revision-note-title"></strong></p>
+      ${revisions.length > 0 ? `
+        <p class="text-muted mb-2">比較する2つの版をA・Bで選んでください。</p>
+        <table class="data-table revision-table">
+          <thead>
+            <tr><th>A</th><th>B</th><th>版</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${revisions.map((revision, index) => `
+              <tr>
+                <td><input type="radio" name="revision-a" value="${escapeHtml(revision.id)}" ${index === Math.min(1, revisions.length - 1) ? 'checked' : ''}></td>
+                <td><input type="radio" name="revision-b" value="${escapeHtml(revision.id)}" ${index === 0 ? 'checked' : ''}></td>
+                <td>${escapeHtml(getRevisionLabel(revision))}</td>
+                <td>${index > 0 ? `<button class="btn btn-small btn-outline revision-restore-btn" data-id="${escapeHtml(revision.id)}">この版に戻す</button>` : '<span class="text-muted">現在の版</span>'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div id="revision-compare" class="revision-compare"></div>
+      ` : '<p class="text-muted">まだ変更履歴がありません。次に保存したときから記録されます。</p>'}
+    </div>
+    <div class="modal-footer">
+      <button id="revision-back-btn" class="btn btn-secondary">編集に戻る</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  modalContext = { type: 'history', noteId: note.id };
+  setTextContent(document.getElementById('revision-note-title'), note.Title);
+
+  document.getElementById('revision-back-btn').onclick = () => {
+    const latestNote = notesData.find(n => n.id === note.id);
+    closeModal(true);
+    if (latestNote) openEditModal(latestNote);
+  };
+
+  if (revisions.length === 0) return;
+
+  document.querySelectorAll('input[name="revision-a"], input[name="revision-b"]').forEach(input => {
+    input.onchange = () => renderRevisionCompare(revisions);
+  });
+  document.querySelectorAll('.revision-restore-btn').forEach(btn => {
+    btn.onclick = () => handleRestoreRevision(note.id, revisions.find(r => r.id === btn.dataset.id));
+  });
+  renderRevisionCompare(revisions);
+}
+
+/**
+ * 過去の版に戻すか、履歴のモーダルの下部で確認する
+ */
+function handleRestoreRevision(noteId, revision) {
+  confirmInModal(`${getRevisionLabel(revision)}の内容に戻します。よろしいですか？`, 'この版に戻す', () => restoreRevision(noteId, revision));
+}
+
+/**
+ * 過去の版の内容を新しい版として保存
+ */
+async function restoreRevision(noteId, revision) {
+  const note = notesData.find(n => n.id === noteId);
+  if (!note) {
+    showError('E005');
+    return;
+  }
+  if (notesData.some(n => n.Title === revision.Title && n.id !== noteId)) {
+    showError('E008');
+    return;
+  }
+  showLoading('復元中...');
+
+  const restored = {
+    ...pickFields(revision, REVISION_FIELDS),
+    AltAnswers: Array.isArray(revision.AltAnswers) ? revision.AltAnswers : [],
+    Format: revision.Format === 'markdown' ? 'markdown' : 'plain',
+    Tags: Array.isArray(revision.Tags) ? revision.Tags : [],
+    Type: Object.hasOwn(NOTE_TYPE_LABELS, revision.Type) ? revision.Type : 'text',
+    Choices: getNoteChoices(revision),
+    ShuffleChoices: revision.ShuffleChoices === true
+  };
+  restored.ClozeMissCount = pruneClozeMissCount(note, restored);
+  const mutation = createRevisionedMutation('update', noteId, note, restored, pickFields(note, CONTENT_FIELDS));
+
+  try {
+    const queued = await submitMutation(mutation);
+    applyLocalMutation(mutation);
+    if (queued) showError('E014');
+
+    hideLoading();
+    closeModal(true);
+    refreshListIfVisible();
+  } catch (error) {
+    console.error('Restore error:', error);
+    showError('E005');
+    hideLoading();
+  }
+}
+
+// ========================================
+// 削除モーダル
+// ========================================
+
+function openDeleteModal(note) {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>問題を削除</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <div class="delete-warning">
+        <p>データを削除しますか？</p>
+        <p class="delete-title">${escapeHtml(note.Title)}</p>
+        <p class="text-muted">確認のため、上記のタイトルを入力してください</p>
+      </div>
+      <div class="form-group">
+        <input type="text" id="delete-confirm-title" class="form-control" placeholder="タイトルを入力">
+        <div id="delete-error" class="form-error hidden"></div>
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button id="delete-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="delete-submit-btn" class="btn btn-danger">削除を確定</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  setupDeleteModalListeners(note);
+}
+
+function setupDeleteModalListeners(note) {
+  // キャンセル
+  document.getElementById('delete-cancel-btn').onclick = () => closeModal();
+
+  // 削除（Enterキーでも削除する）
+  document.getElementById('delete-submit-btn').onclick = () => handleDelete(note);
+  setModalSubmitHandler(() => handleDelete(note));
+}
+
+async function handleDelete(note) {
+  const confirmTitle = document.getElementById('delete-confirm-title').value.trim();
+  const deleteError = document.getElementById('delete-error');
+
+  deleteError.classList.add('hidden');
+
+  if (confirmTitle !== note.Title) {
+    deleteError.textContent = 'タイトルが一致しません';
+    deleteError.classList.remove('hidden');
+    showError('E009');
+    return;
+  }
+
+  showLoading('削除中...');
+
+  // ゴミ箱に移動し、保存期間を過ぎるまでは元に戻せるようにする
+  const mutation = createMutation('update', note.id, { TrashedAt: getCurrentDateTime() }, pickFields(note, CONTENT_FIELDS));
+
+  try {
+    const queued = await submitMutation(mutation);
+
+    // ローカルデータ更新
+    applyLocalMutation(mutation);
+    if (queued) showError('E014');
+
+    hideLoading();
+    closeModal(true);
+    renderListContent();
+    showUndoToast(`「${note.Title}」をゴミ箱に移動しました`, () => handleRestoreFromTrash([note.id]));
+  } catch (error) {
+    console.error('Delete error:', error);
+    showError('E006');
+    hideLoading();
+  }
+}
+
+// ========================================
+// ゴミ箱
+// ========================================
+// 削除した問題はTrashedAtに削除日時を入れてゴミ箱に移動し、保存期間を過ぎたら完全に削除する
+
+/**
+ * ゴミ箱の保存期間（日数）を取得
+ * 保存期間はアカウントの設定（ゲストモードは端末内）で、同期担当のタブが受け取った値を端末内にキャッシュする
+ */
+function getTrashRetentionDays() {
+  const days = Number(localStorage.getItem(`${TRASH_RETENTION_KEY}/${getSessionUid()}`));
+  return TRASH_RETENTION_OPTIONS.includes(days) ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * ゴミ箱の保存期間をアカウントの設定に保存
+ */
+async function saveTrashRetentionDays(days) {
+  if (!isGuestMode) {
+    await withRetry(() => setDoc(doc(db, 'users', currentUser.uid), { trashRetentionDays: days }, { merge: true }));
+  }
+  cacheTrashRetentionDays(days);
+}
+
+/**
+ * 保存期間を端末内にキャッシュし、他のタブへ通知
+ */
+function cacheTrashRetentionDays(days) {
+  localStorage.setItem(`${TRASH_RETENTION_KEY}/${getSessionUid()}`, String(days));
+  if (syncChannel) {
+    syncChannel.postMessage({ type: 'settings-changed', uid: getSessionUid() });
+  }
+}
+
+/**
+ * 他の端末で変更されたアカウントの設定を反映（同期担当のタブ）
+ */
+function applyAccountSettings(settings) {
+  const days = settings.trashRetentionDays;
+  if (!TRASH_RETENTION_OPTIONS.includes(days) || days === getTrashRetentionDays()) return;
+
+  cacheTrashRetentionDays(days);
+  purgeExpiredTrash();
+  if (currentPage === 'trash') renderTrashContent();
+}
+
+/**
+ * 完全に削除されるまでの残り日数
+ */
+function getTrashRemainingDays(note, now = new Date()) {
+  const expiresAt = new Date(note.TrashedAt).getTime() + getTrashRetentionDays() * DAY_MS;
+  return Math.max(0, Math.ceil((expiresAt - now.getTime()) / DAY_MS));
+}
+
+/**
+ * ゴミ箱画面
+ */
+async function renderTrashPage() {
+  // 直接開いた場合など、まだ問題を読み込んでいなければ読み込む
+  if (notesData.length === 0 && trashedNotes.length === 0) {
+    showLoading('データを読み込み中...');
+    await noteBackend.loadNotes();
+    hideLoading();
+  }
+  renderTrashContent();
+}
+
+function renderTrashContent() {
+  const retentionDays = getTrashRetentionDays();
+  const notes = [...trashedNotes].sort((a, b) => new Date(b.TrashedAt) - new Date(a.TrashedAt));
+
+  pageContent.innerHTML = `
+    <div class="trash-page">
+      <div class="list-header">
+        <h1>ゴミ箱</h1>
+        <div class="header-actions">
+          <label class="trash-retention">
+            保存期間
+            <select id="trash-retention-select" class="sort-select">
+              ${TRASH_RETENTION_OPTIONS.map(days => `
+                <option value="${days}" ${days === retentionDays ? 'selected' : ''}>${days}日</option>
+              `).join('')}
+            </select>
+          </label>
+          <button id="trash-empty-btn" class="btn btn-danger" ${notes.length === 0 ? 'disabled' : ''}>ゴミ箱を空にする</button>
+          <button id="back-to-list-btn" class="btn btn-outline">一覧に戻る</button>
+        </div>
+      </div>
+
+      <p class="text-muted mb-2">ゴミ箱の問題は${retentionDays}日後に自動で完全に削除されます。</p>
+
+      ${notes.length > 0 ? `
+        <div class="data-table-container">
+          <table class="data-table trash-table">
+            <thead>
+              <tr>
+                <th>タイトル</th>
+                <th>削除日時</th>
+                <th>完全に削除されるまで</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${notes.map(note => `
+                <tr>
+                  <td>${escapeHtml(note.Title)}</td>
+                  <td>${escapeHtml(formatDate(note.TrashedAt))}</td>
+                  <td>${getTrashRemainingDays(note)}日</td>
+                  <td class="trash-actions">
+                    <button class="btn btn-small btn-outline trash-restore-btn" data-id="${escapeHtml(note.id)}">元に戻す</button>
+                    <button class="btn btn-small btn-danger trash-purge-btn" data-id="${escapeHtml(note.id)}">完全に削除</button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : '<div class="empty-message"><p>ゴミ箱は空です</p></div>'}
+    </div>
+  `;
+
+  setupTrashPageListeners();
+}
+
+function setupTrashPageListeners() {
+  document.getElementById('back-to-list-btn').onclick = () => navigateTo('list');
+
+  // 保存期間を短くした場合は期限切れの問題をすぐに削除（同期担当でないタブでも行う）
+  document.getElementById('trash-retention-select').onchange = async (e) => {
+    showLoading('保存中...');
+    try {
+      await saveTrashRetentionDays(Number(e.target.value));
+      await purgeExpiredTrash(true);
+    } catch (error) {
+      console.error('Trash retention save error:', error);
+      showError('E056');
+    }
+    hideLoading();
+    renderTrashContent();
+  };
+
+  document.getElementById('trash-empty-btn').onclick = () => {
+    const notes = [...trashedNotes];
+    openConfirmModal('ゴミ箱を空にする', `ゴミ箱の${notes.length}件の問題を完全に削除します。元に戻せません。よろしいですか？`, '完全に削除', () => handlePurgeNotes(notes));
+  };
+
+  document.querySelectorAll('.trash-restore-btn').forEach(btn => {
+    btn.onclick = () => handleRestoreFromTrash([btn.dataset.id]);
+  });
+
+  document.querySelectorAll('.trash-purge-btn').forEach(btn => {
+    btn.onclick = () => {
+      const note = trashedNotes.find(n => n.id === btn.dataset.id);
+      if (!note) return;
+      openConfirmModal('完全に削除', `「${note.Title}」を完全に削除します。元に戻せません。よろしいですか？`, '完全に削除', () => handlePurgeNotes([note]));
+    };
+  });
+}
+
+/**
+ * ゴミ箱の問題を一覧に戻す
+ * 同じタイトルの問題が登録済みの場合は末尾に連番を付ける
+ */
+async function handleRestoreFromTrash(noteIds) {
+  const notes = trashedNotes.filter(n => noteIds.includes(n.id));
+  if (notes.length === 0) {
+    showError('E031');
+    return;
+  }
+
+  const takenTitles = notesData.map(n => n.Title);
+  const mutations = notes.map(note => {
+    const title = makeUniqueTitle(note.Title, takenTitles);
+    takenTitles.push(title);
+    const base = pickFields(note, CONTENT_FIELDS);
+    return title === note.Title
+      ? createMutation('update', note.id, { TrashedAt: null }, base)
+      : createRevisionedMutation('update', note.id, note, { TrashedAt: null, Title: title }, base);
+  });
+
+  showLoading('復元中...');
+  try {
+    const queued = await submitMutations(mutations);
+    mutations.forEach(applyLocalMutation);
+    if (queued) showError('E014');
+  } catch (error) {
+    console.error('Restore error:', error);
+    (error.committed || []).forEach(applyLocalMutation);
+    showError('E005');
+  }
+  hideLoading();
+
+  if (currentPage === 'trash') renderTrashContent();
+  refreshListIfVisible();
+}
+
+/**
+ * 問題を完全に削除（添付ファイルと変更履歴も削除する）
+ */
+async function handlePurgeNotes(notes) {
+  showLoading('削除中...');
+  let queued = false;
+  let failed = false;
+  const keepPaths = getAttachmentPathsInUse(notes);
+  for (const note of notes) {
+    const mutation = createDeleteMutation(note, keepPaths);
+    try {
+      queued = await submitMutation(mutation) || queued;
+      applyLocalMutation(mutation);
+    } catch (error) {
+      console.error('Purge error:', error);
+      failed = true;
+    }
+  }
+  hideLoading();
+
+  if (failed) showError('E006');
+  if (queued) showError('E014');
+  if (currentPage === 'trash') renderTrashContent();
+}
+
+/**
+ * 保存期間を過ぎたゴミ箱の問題を完全に削除
+ * 複数のタブで重複しないよう、同期のたびに同期担当のタブが行う（ゲストモードは端末内の削除のため重複してもよい）
+ * force: 保存期間を変更したタブでは同期担当でなくてもすぐに削除する
+ */
+async function purgeExpiredTrash(force = false) {
+  if (!force && !isSyncLeader && !isGuestMode) return;
+
+  const expired = trashedNotes.filter(note => getTrashRemainingDays(note) === 0);
+  const keepPaths = getAttachmentPathsInUse(expired);
+  for (const note of expired) {
+    const mutation = createDeleteMutation(note, keepPaths);
+    try {
+      await submitMutation(mutation);
+      applyLocalMutation(mutation);
+    } catch (error) {
+      console.error('Purge error:', error);
+    }
+  }
+}
+
+// ========================================
+// 修復が必要な問題
+// ========================================
+// 検証に失敗した問題は一覧・出題などの対象から外し、一覧画面の案内から内容を直して保存するか完全に削除する
+
+/**
+ * 修復が必要な問題の一覧モーダル
+ */
+function openRepairListModal() {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>修復が必要な問題</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="text-muted mb-2">次の問題は内容が正しくないため表示できません。修復して保存するか、完全に削除してください。</p>
+      <table class="data-table repair-table">
+        <thead>
+          <tr>
+            <th>タイトル</th>
+            <th>内容</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${invalidNotes.map(({ note, error }) => `
+            <tr>
+              <td>${escapeHtml(note.Title || '（タイトルなし）')}</td>
+              <td>${escapeHtml(ERROR_CODES[error])}</td>
+              <td class="share-actions">
+                <button class="btn btn-small btn-outline repair-edit-btn" data-id="${escapeHtml(note.id)}">修復</button>
+                <button class="btn btn-small btn-danger repair-purge-btn" data-id="${escapeHtml(note.id)}">完全に削除</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    <div class="modal-footer">
+      <button id="repair-close-btn" class="btn btn-primary">閉じる</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  const findNote = id => (invalidNotes.find(({ note }) => note.id === id) || {}).note;
+  document.getElementById('repair-close-btn').onclick = () => closeModal(true);
+  document.querySelectorAll('.repair-edit-btn').forEach(btn => {
+    btn.onclick = () => {
+      const note = findNote(btn.dataset.id);
+      if (!note) return;
+      closeModal(true);
+      openRepairNoteModal(note);
+    };
+  });
+  document.querySelectorAll('.repair-purge-btn').forEach(btn => {
+    btn.onclick = () => {
+      const note = findNote(btn.dataset.id);
+      if (!note) return;
+      confirmInModal(`「${note.Title || '（タイトルなし）'}」を完全に削除します。元に戻せません。よろしいですか？`, '完全に削除', async () => {
+        await handlePurgeNotes([note]);
+        closeModal(true);
+        renderListContent();
+        if (invalidNotes.length > 0) openRepairListModal();
+      });
+    };
+  });
+}
+
+/**
+ * 問題の修復モーダル
+ * 入力できない項目（登録日時・添付ファイルなど）は保存時に正しい値に直す
+ */
+function openRepairNoteModal(note) {
+  const error = (invalidNotes.find(item => item.note.id === note.id) || {}).error;
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>問題を修復</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <div class="form-warning mb-2">${escapeHtml(ERROR_CODES[error] || '')}</div>
+      <div class="form-group">
+        <label>タイトル<span class="required">*</span></label>
+        <input type="text" id="repair-title" class="form-control" maxlength="${TITLE_MAX_LENGTH}">
+      </div>
+      <div class="form-group">
+        <label>問題文<span class="required">*</span></label>
+        <textarea id="repair-question" class="form-control" maxlength="${CONTENT_MAX_LENGTH}"></textarea>
+      </div>
+      <div class="form-group">
+        <label>解答<span class="required">*</span></label>
+        <textarea id="repair-answer" class="form-control" maxlength="${CONTENT_MAX_LENGTH}"></textarea>
+      </div>
+      <div class="form-group">
+        <label>解説（任意）</label>
+        <textarea id="repair-explain" class="form-control" maxlength="${CONTENT_MAX_LENGTH}"></textarea>
+      </div>
+      ${buildTagInputHtml('repair-tags', getNoteTags(note).filter(tag => typeof tag === 'string'))}
+      <div class="form-group">
+        <label>ノートブック（任意）</label>
+        <input type="text" id="repair-notebook" class="form-control" maxlength="${NOTEBOOK_MAX_LENGTH}">
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button id="repair-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="repair-save-btn" class="btn btn-primary">保存</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  // textContentと同様に、値として安全に設定
+  document.getElementById('repair-title').value = toSchemaText(note.Title);
+  document.getElementById('repair-question').value = toSchemaText(note.Question);
+  document.getElementById('repair-answer').value = toSchemaText(note.Answer);
+  document.getElementById('repair-explain').value = toSchemaText(note.Explain);
+  document.getElementById('repair-notebook').value = getNoteNotebook(note).slice(0, NOTEBOOK_MAX_LENGTH);
+  setupTagInput('repair-tags');
+
+  document.getElementById('repair-cancel-btn').onclick = () => closeModal();
+  document.getElementById('repair-save-btn').onclick = () => handleRepairNote(note);
+}
+
+/**
+ * 修復した内容を保存
+ */
+async function handleRepairNote(note) {
+  const validDate = typeof note.Date === 'string' && !Number.isNaN(Date.parse(note.Date));
+  const data = {
+    Title: document.getElementById('repair-title').value.trim(),
+    Question: document.getElementById('repair-question').value.trim(),
+    Answer: isClozeNote(note)
+      ? buildClozeAnswerText(document.getElementById('repair-question').value.trim())
+      : document.getElementById('repair-answer').value.trim(),
+    Explain: document.getElementById('repair-explain').value.trim(),
+    AltAnswers: getNoteAltAnswers(note)
+      .filter(answer => typeof answer === 'string' && answer.length <= CONTENT_MAX_LENGTH)
+      .slice(0, ALT_ANSWERS_MAX_COUNT),
+    Format: note.Format === 'markdown' ? 'markdown' : 'plain',
+    Tags: getTagInputValue('repair-tags'),
+    Attachments: getNoteAttachments(note).filter(item => item && ['image', 'audio'].includes(item.kind)
+      && typeof item.path === 'string' && isSafeUrl(item.url)),
+    Notebook: document.getElementById('repair-notebook').value.trim(),
+    Date: validDate ? note.Date : note.updatedAt || getCurrentDateTime(),
+    MissCount: Math.max(0, Math.floor(Number(note.MissCount)) || 0),
+    // 選択肢が正しくない選択式の問題は、入力した解答で記述式の問題として保存する
+    ...(isChoiceNote(note) && validateChoices(getNoteChoices(note)) ? { Type: 'text', Choices: [] } : {})
+  };
+
+  const error = validateNote({ ...note, ...data });
+  if (error) {
+    showError(error);
+    return;
+  }
+  if (notesData.some(n => n.Title === data.Title)) {
+    showError('E008');
+    return;
+  }
+
+  showLoading('保存中...');
+  const mutation = createRevisionedMutation('update', note.id, note, data, pickFields(note, CONTENT_FIELDS));
+  try {
+    const queued = await submitMutation(mutation);
+    applyLocalMutation(mutation);
+    if (queued) showError('E014');
+  } catch (saveError) {
+    console.error('Repair error:', saveError);
+    showError('E005');
+    hideLoading();
+    return;
+  }
+  hideLoading();
+  closeModal(true);
+  renderListContent();
+  if (invalidNotes.length > 0) openRepairListModal();
+}
+
+// ========================================
+// 詳細表示モーダル
+// ========================================
+
+function openDetailModal(note) {
+  openModal(buildDetailModalHtml(note));
+  modalContext = { type: 'detail', noteId: note.id };
+  fillDetailModal(note);
+}
+
+/**
+ * 詳細表示モーダルのHTMLを生成
+ */
+function buildDetailModalHtml(note) {
+  return `
+    <div class="modal-header">
+      <h2>問題詳細</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <div class="detail-field">
+        <div class="detail-label">タイトル</div>
+        <div class="detail-value" id="detail-title"></div>
+      </div>
+      <div class="detail-field">
+        <div class="detail-label">問題文</div>
+        <div class="detail-value" id="detail-question"></div>
+      </div>
+      ${getNoteAttachments(note).length > 0 ? `
+        <div class="detail-field">
+          <div class="detail-label">添付ファイル</div>
+          ${buildAttachmentsHtml(note)}
+        </div>
+      ` : ''}
+      ${isChoiceNote(note) ? `
+        <div class="detail-field">
+          <div class="detail-label">選択肢${note.ShuffleChoices ? '（出題時に順番を入れ替え）' : ''}</div>
+          ${buildChoiceDetailHtml(note)}
+        </div>
+      ` : isClozeNote(note) ? `
+        <div class="detail-field">
+          <div class="detail-label">穴埋め</div>
+          ${buildClozeDetailHtml(note)}
+        </div>
+      ` : `
+        <div class="detail-field">
+          <div class="detail-label">解答</div>
+          <div class="detail-value" id="detail-answer"></div>
+        </div>
+      `}
+      ${getNoteAltAnswers(note).length > 0 ? `
+        <div class="detail-field">
+          <div class="detail-label">別解</div>
+          <div class="detail-value" id="detail-alt-answers"></div>
+        </div>
+      ` : ''}
+      ${note.Explain ? `
+        <div class="detail-field">
+          <div class="detail-label">解説</div>
+          <div class="detail-value" id="detail-explain"></div>
+        </div>
+      ` : ''}
+      ${getNoteTags(note).length > 0 ? `
+        <div class="detail-field">
+          <div class="detail-label">タグ</div>
+          <div class="detail-value">${buildTagChipsHtml(getNoteTags(note))}</div>
+        </div>
+      ` : ''}
+      ${getNoteNotebook(note) ? `
+        <div class="detail-field">
+          <div class="detail-label">ノートブック</div>
+          <div class="detail-value">${escapeHtml(getNoteNotebook(note))}</div>
+        </div>
+      ` : ''}
+      <div class="detail-field">
+        <div class="detail-label">登録日時</div>
+        <div class="detail-value" id="detail-date"></div>
+      </div>
+      <div class="detail-field">
+        <div class="detail-label">更新日時</div>
+        <div class="detail-value" id="detail-updated"></div>
+      </div>
+      <div class="detail-field">
+        <div class="detail-label">間違い回数</div>
+        <div class="detail-value" id="detail-miss"></div>
+      </div>
+      <div class="detail-field">
+        <div class="detail-label">解答履歴</div>
+        <div class="attempt-history">${buildAttemptHistoryHtml(note)}</div>
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button id="detail-close-btn" class="btn btn-primary">閉じる</button>
+    </div>
+  `;
+}
+
+/**
+ * 詳細表示モーダルに値を設定
+ */
+function fillDetailModal(note) {
+  // textContentで安全にテキストを設定
+  setTextContent(document.getElementById('detail-title'), note.Title);
+  // 穴埋めの問題は穴を埋めた問題文を表示し、穴ごとの答えは穴埋めの欄に表示する
+  setRichText(document.getElementById('detail-question'), isClozeNote(note) ? buildClozeText(note.Question) : note.Question, note);
+  if (isChoiceNote(note)) {
+    document.querySelectorAll('.choice-detail-text').forEach(item => {
+      setRichText(item, getNoteChoices(note)[Number(item.dataset.choiceIndex)].text, note);
+    });
+  } else if (!isClozeNote(note)) {
+    setRichText(document.getElementById('detail-answer'), note.Answer, note);
+  }
+  if (getNoteAltAnswers(note).length > 0) {
+    setTextContent(document.getElementById('detail-alt-answers'), getNoteAltAnswers(note).join('\n'));
+  }
+  if (note.Explain) {
+    setRichText(document.getElementById('detail-explain'), note.Explain, note);
+  }
+  setTextContent(document.getElementById('detail-date'), formatDate(note.Date));
+  setTextContent(document.getElementById('detail-updated'), formatDate(note.updatedAt || note.Date));
+  setTextContent(document.getElementById('detail-miss'), `${note.MissCount}回`);
+
+  document.getElementById('detail-close-btn').onclick = () => closeModal(true);
+}
+
+/**
+ * 開いている詳細表示モーダルを最新の内容で描き直す
+ */
+function refreshDetailModal(note) {
+  modalContent.innerHTML = buildDetailModalHtml(note);
+  modalContent.querySelector('.modal-close').onclick = () => closeModal();
+  fillDetailModal(note);
+}
+
+// ========================================
+// バックアップ（JSONエクスポート/インポート）
+// ========================================
+
+/**
+ * インポート/エクスポートモーダルを開く
+ */
+function openBackupModal() {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>インポート/エクスポート</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <div class="backup-section">
+        <h3>バックアップ（JSON）</h3>
+        <p class="text-muted">すべての問題を登録日時・ミス回数などを含めて1つのファイルに保存します。</p>
+        <div class="backup-actions">
+          <button id="backup-export-btn" class="btn btn-outline">エクスポート</button>
+          <label class="btn btn-outline">
+            インポート...
+            <input type="file" id="backup-import-input" accept=".json,application/json" class="hidden">
+          </label>
+        </div>
+      </div>
+      <div class="backup-section">
+        <h3>CSV/TSV・Anki形式</h3>
+        <p class="text-muted">表計算ソフトやAnkiとタイトル・問題文・解答・解説・タグをやり取りします。取り込み時は列の割り当てを指定できます。</p>
+        <div class="backup-actions">
+          <button id="export-csv-btn" class="btn btn-outline">CSVでエクスポート</button>
+          <button id="export-tsv-btn" class="btn btn-outline">TSVでエクスポート</button>
+          <button id="export-anki-btn" class="btn btn-outline">Anki形式でエクスポート</button>
+          <select id="text-import-format" class="sort-select" title="取り込むファイルの形式">
+            <option value="">形式を自動で判定</option>
+            ${Object.entries(TEXT_FORMAT_LABELS).map(([key, label]) => `<option value="${key}">${escapeHtml(label)}</option>`).join('')}
+          </select>
+          <label class="btn btn-outline">
+            テキストファイルをインポート...
+            <input type="file" id="text-import-input" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain" class="hidden">
+          </label>
+        </div>
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button id="backup-close-btn" class="btn btn-primary">閉じる</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+
+  document.getElementById('backup-close-btn').onclick = () => closeModal();
+  document.getElementById('backup-export-btn').onclick = () => handleExportBackup();
+  document.getElementById('backup-import-input').onchange = (e) => {
+    const file = e.target.files[0];
+    if (file) handleBackupFileSelected(file);
+  };
+  document.getElementById('export-csv-btn').onclick = () => handleExportDelimited('csv');
+  document.getElementById('export-tsv-btn').onclick = () => handleExportDelimited('tsv');
+  document.getElementById('export-anki-btn').onclick = handleExportAnki;
+  document.getElementById('text-import-input').onchange = (e) => {
+    const file = e.target.files[0];
+    if (file) handleTextFileSelected(file, document.getElementById('text-import-format').value);
+  };
+}
+
+/**
+ * 問題をバックアップファイルとしてダウンロード（既定はすべての問題）
+ */
+function handleExportBackup(notes = notesData) {
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: getCurrentDateTime(),
+    notes: notes.map(note => {
+      // uidはインポート先のユーザーで付け直すため含めない
+      const { uid, ...fields } = note;
+      return fields;
+    })
+  };
+
+  const date = getCurrentDateTime().slice(0, 10).replace(/-/g, '');
+  downloadFile(`saikyou-note-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+}
+
+/**
+ * バックアップファイルを読み込んでプレビューを表示
+ */
+async function handleBackupFileSelected(file) {
+  let backup;
+  try {
+    backup = JSON.parse(await readFileAsText(file));
+  } catch (error) {
+    console.error('Backup parse error:', error);
+    showError('E020');
+    return;
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT || !Array.isArray(backup.notes)) {
+    showError('E020');
+    return;
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    showError('E021');
+    return;
+  }
+
+  const rows = validateImportRows(backup.notes);
+  closeModal(true);
+  openImportPreviewModal(rows, file.name);
+}
+
+/**
+ * インポートする行を検証し、行ごとの結果を返す
+ * 戻り値: [{ row: 行番号, note: 登録する内容 | null, error: エラー内容 | null }]
+ */
+function validateImportRows(rawNotes) {
+  const seenTitles = new Set();
+
+  return rawNotes.map((raw, index) => {
+    const row = index + 1;
+    const { note, error } = sanitizeImportedNote(raw);
+    if (error) {
+      return { row, title: raw && typeof raw.Title === 'string' ? raw.Title : '', note: null, error };
+    }
+    if (!getNoteAttachments(note).every(item => isImportableAttachmentPath(item.path))) {
+      return { row, title: note.Title, note: null, error: ERROR_CODES.E048 };
+    }
+    if (seenTitles.has(note.Title)) {
+      return { row, title: note.Title, note: null, error: 'ファイル内でタイトルが重複しています' };
+    }
+    seenTitles.add(note.Title);
+    return { row, title: note.Title, note, error: null };
+  });
+}
+
+/**
+ * インポートする添付ファイルのパスが自分の問題の保存先か判定
+ * 他のユーザーや共有リンクのファイルを参照したり、完全な削除のときに削除したりしないようにする
+ */
+function isImportableAttachmentPath(path) {
+  const prefix = isGuestMode ? `${GUEST_FILE_PREFIX}notes/` : `users/${currentUser.uid}/notes/`;
+  return path.startsWith(prefix) && !path.split('/').includes('..');
+}
+
+/**
+ * インポートするファイルの項目の型を検証し、不正な場合はエラーコードを返す
+ * 移行処理は不正な値を既定値に直すため、ファイルの値は変換する前に確認して不正な行として取り込まない
+ * 省略された項目は移行処理で既定値を補う
+ */
+function validateImportedFields(fields) {
+  const isSet = field => fields[field] !== undefined && fields[field] !== null;
+  const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  const isCount = value => Number.isInteger(value) && value >= 0;
+
+  if (['Title', 'Question', 'Answer', 'Explain', 'Notebook'].some(field => isSet(field) && typeof fields[field] !== 'string')) return 'E049';
+  if (['AltAnswers', 'Tags'].some(field => isSet(field) && !isStringArray(fields[field]))) return 'E049';
+  if (isSet('Format') && !['markdown', 'plain'].includes(fields.Format)) return 'E049';
+  if (isSet('Type') && !Object.hasOwn(NOTE_TYPE_LABELS, fields.Type)) return 'E049';
+  if (isSet('ShuffleChoices') && typeof fields.ShuffleChoices !== 'boolean') return 'E049';
+  if (isSet('Choices') && !(Array.isArray(fields.Choices) && fields.Choices.every(choice => (
+    choice && typeof choice.text === 'string' && typeof choice.correct === 'boolean'
+  )))) return 'E049';
+  if (isSet('Attachments') && !Array.isArray(fields.Attachments)) return 'E048';
+  if (isSet('Date') && (typeof fields.Date !== 'string' || Number.isNaN(Date.parse(fields.Date)))) return 'E046';
+  if (isSet('MissCount') && !isCount(fields.MissCount)) return 'E047';
+  if (isSet('ClozeMissCount') && !(
+    typeof fields.ClozeMissCount === 'object' && !Array.isArray(fields.ClozeMissCount)
+    && Object.entries(fields.ClozeMissCount).every(([key, count]) => /^c[1-9]\d*$/.test(key) && isCount(count))
+  )) return 'E047';
+  return null;
+}
+
+/**
+ * インポートする1件を検証して現在の版に変換し、保存できる形に整える
+ * ファイルのschemaVersionは信用せず、第0版からすべての移行処理を適用する（移行処理は繰り返し適用してよい）
+ * 未知のフィールドも将来の項目としてそのまま引き継ぐ
+ */
+function sanitizeImportedNote(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { note: null, error: ERROR_CODES.E049 };
+  }
+
+  // 端末やユーザーに固有の項目と版番号は引き継がない
+  const { id, uid, updatedAt, deleted, schemaVersion, ...fields } = raw;
+  const fieldError = validateImportedFields(fields);
+  if (fieldError) return { note: null, error: ERROR_CODES[fieldError] };
+
+  const upgraded = upgradeNote(fields);
+  const trim = value => (typeof value === 'string' ? value.trim() : value);
+  const note = {
+    ...upgraded,
+    Question: trim(upgraded.Question),
+    Answer: trim(upgraded.Answer),
+    Explain: trim(upgraded.Explain),
+    AltAnswers: Array.isArray(upgraded.AltAnswers)
+      ? [...new Set(upgraded.AltAnswers.map(trim).filter(Boolean))]
+      : upgraded.AltAnswers
+  };
+
+  const error = validateNote(note);
+  return error ? { note: null, error: ERROR_CODES[error] } : { note, error: null };
+}
+
+/**
+ * インポート内容のプレビューを表示し、統合/置き換えを選択させる
+ */
+function openImportPreviewModal(rows, fileName) {
+  const validRows = rows.filter(r => r.note);
+  const invalidRows = rows.filter(r => r.error);
+  const existingTitles = new Set(notesData.map(n => n.Title));
+  const updateCount = validRows.filter(r => existingTitles.has(r.note.Title)).length;
+
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>インポートの確認</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="mb-4">ファイル: <strong id="import-file-name"></strong></p>
+      <div class="form-group">
+        <label class="import-mode">
+          <input type="radio" name="import-mode" value="merge" checked>
+          タイトルで統合（新規 ${validRows.length - updateCount}件を追加、同じタイトルの ${updateCount}件を上書き）
+        </label>
+        <label class="import-mode">
+          <input type="radio" name="import-mode" value="replace">
+          すべて置き換え（現在の ${notesData.length}件をゴミ箱に移動し、${validRows.length}件を登録）
+        </label>
+      </div>
+      ${invalidRows.length > 0 ? `
+        <div class="import-errors">
+          <p class="form-error">取り込めない行が ${invalidRows.length}件あります（この行はスキップされます）</p>
+          ${buildImportErrorListHtml(invalidRows)}
+        </div>
+      ` : ''}
+    </div>
+    <div class="modal-footer">
+      <button id="import-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="import-submit-btn" class="btn btn-primary" ${validRows.length === 0 ? 'disabled' : ''}>インポート実行</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  setTextContent(document.getElementById('import-file-name'), fileName);
+
+  document.getElementById('import-cancel-btn').onclick = () => closeModal();
+  document.getElementById('import-submit-btn').onclick = () => {
+    const mode = modalContent.querySelector('input[name="import-mode"]:checked').value;
+    if (mode === 'replace') {
+      confirmInModal(`現在の${notesData.length}件の問題をすべてゴミ箱に移動して置き換えます。よろしいですか？`, '置き換える', () => handleImportNotes(rows, mode));
+      return;
+    }
+    handleImportNotes(rows, mode);
+  };
+}
+
+/**
+ * 取り込めなかった行の一覧HTMLを生成
+ */
+function buildImportErrorListHtml(failedRows) {
+  return `
+    <ul class="import-error-list">
+      ${failedRows.map(r => `
+        <li>${r.row}行目${r.title ? `「${escapeHtml(r.title)}」` : ''}: ${escapeHtml(r.error)}</li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * インポートを実行（1件ごとに処理し、失敗した行は結果に記録して続行）
+ * mode: merge（タイトルで統合） / replace（すべて置き換え） / append（追加のみ）
+ */
+async function handleImportNotes(rows, mode) {
+  showLoading('インポート中...');
+
+  const failedRows = rows.filter(r => r.error);
+  let importedCount = 0;
+  let queued = false;
+  let trashedIds = [];
+
+  if (mode === 'replace') {
+    // 現在の問題はゴミ箱に移動し、取り込んだ後も元に戻せるようにする
+    const trashedAt = getCurrentDateTime();
+    const trashMutations = notesData.map(note => createMutation('update', note.id, { TrashedAt: trashedAt }, pickFields(note, CONTENT_FIELDS)));
+    try {
+      queued = await submitMutations(trashMutations) || queued;
+      trashMutations.forEach(applyLocalMutation);
+    } catch (error) {
+      console.error('Import trash error:', error);
+      (error.committed || []).forEach(applyLocalMutation);
+    }
+    trashedIds = trashMutations.map(m => m.noteId).filter(id => trashedNotes.some(n => n.id === id));
+  }
+
+  // 登録・上書きはバッチでまとめて送信する（ファイル内のタイトルは重複しない）
+  const importRows = [];
+  const mutations = [];
+  for (const r of rows.filter(row => row.note)) {
+    const existing = mode === 'merge' ? notesData.find(n => n.Title === r.note.Title) : null;
+    if (existing) {
+      mutations.push({
+        ...createRevisionedMutation('update', existing.id, existing, r.note, pickFields(existing, CONTENT_FIELDS)),
+        cleanupPaths: getRemovedAttachmentPaths(existing, r.note)
+      });
+    } else if (notesData.some(n => n.Title === r.note.Title)) {
+      // 置き換え時にゴミ箱に移動できなかった問題とタイトルが重複する場合
+      failedRows.push({ ...r, error: ERROR_CODES.E008 });
+      continue;
+    } else {
+      const data = { ...createInitialReviewState(), ...r.note, uid: getSessionUid() };
+      mutations.push(createRevisionedMutation('create', noteBackend.createId(), null, data));
+    }
+    importRows.push(r);
+  }
+
+  try {
+    queued = await submitMutations(mutations) || queued;
+    mutations.forEach(applyLocalMutation);
+    importedCount = mutations.length;
+  } catch (error) {
+    console.error('Import error:', error);
+    const committed = error.committed || [];
+    committed.forEach(applyLocalMutation);
+    importedCount = committed.length;
+    importRows.slice(committed.length).forEach(r => failedRows.push({ ...r, error: ERROR_CODES.E004 }));
+  }
+
+  hideLoading();
+  closeModal(true);
+  if (queued) showError('E014');
+  refreshListIfVisible();
+  openImportResultModal(importedCount, failedRows.sort((a, b) => a.row - b.row));
+  if (trashedIds.length > 0) {
+    showUndoToast(`置き換える前の${trashedIds.length}件の問題をゴミ箱に移動しました`, () => handleRestoreFromTrash(trashedIds));
+  }
+}
+
+/**
+ * インポート結果を表示
+ */
+function openImportResultModal(importedCount, failedRows) {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>インポート結果</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="mb-4">${importedCount}件を取り込みました。</p>
+      ${failedRows.length > 0 ? `
+        <div class="import-errors">
+          <p class="form-error">${failedRows.length}件は取り込めませんでした</p>
+          ${buildImportErrorListHtml(failedRows)}
+        </div>
+      ` : ''}
+    </div>
+    <div class="modal-footer">
+      <button id="import-result-close-btn" class="btn btn-primary">閉じる</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  document.getElementById('import-result-close-btn').onclick = () => closeModal(true);
+}
+
+// ========================================
+// CSV/TSV・Anki形式のインポート/エクスポート
+// ========================================
+
+/**
+ * 区切り文字形式のテキストを行・列の配列に変換（ダブルクォートによる囲みに対応）
+ */
+function parseDelimitedText(text, delimiter) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * 行・列の配列を区切り文字形式のテキストに変換
+ */
+function toDelimitedText(rows, delimiter) {
+  const quote = (value) => {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(quote).join(delimiter)).join('\r\n');
+}
+
+/**
+ * HTMLを含む文字列をプレーンテキストに変換（スクリプトは実行されない）
+ */
+function htmlToPlainText(html) {
+  const withBreaks = String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|li)>/gi, '\n');
+  const parsed = new DOMParser().parseFromString(withBreaks, 'text/html');
+  return (parsed.body.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * 問題文から自動でタイトルを作成（1行目をタイトルの最大文字数まで）
+ */
+function deriveTitle(question) {
+  const firstLine = String(question || '').split('\n').find(line => line.trim()) || '';
+  return firstLine.trim().slice(0, TITLE_MAX_LENGTH);
+}
+
+/**
+ * CSV/TSV形式でエクスポート
+ */
+function handleExportDelimited(format) {
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  const rows = [
+    TEXT_EXPORT_FIELDS,
+    ...notesData.map(note => TEXT_EXPORT_FIELDS.map(field => (
+      field === 'Tags' ? getNoteTags(note).join(';') : note[field]
+    )))
+  ];
+
+  const date = getCurrentDateTime().slice(0, 10).replace(/-/g, '');
+  // Excelで文字化けしないようBOMを付与
+  downloadFile(`saikyou-note-${date}.${format}`, `\uFEFF${toDelimitedText(rows, delimiter)}`, `text/${format === 'tsv' ? 'tab-separated-values' : 'csv'}`);
+}
+
+/**
+ * Ankiの「プレーンテキストのノート」形式でエクスポート
+ * 表面に問題文、裏面に解答と解説を出力する
+ */
+function handleExportAnki() {
+  const toAnkiHtml = text => escapeHtml(text).replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+  const rows = notesData.map(note => [
+    toAnkiHtml(note.Question),
+    toAnkiHtml(note.Explain ? `${note.Answer}\n\n${note.Explain}` : note.Answer),
+    // Ankiのタグは空白区切りのため、タグ内の空白は_に置き換える
+    getNoteTags(note).map(tag => tag.replace(/\s+/g, '_')).join(' ')
+  ]);
+
+  const header = '#separator:tab\n#html:true\n#tags column:3\n';
+  const date = getCurrentDateTime().slice(0, 10).replace(/-/g, '');
+  downloadFile(`saikyou-note-anki-${date}.txt`, header + toDelimitedText(rows, '\t'), 'text/plain');
+}
+
+/**
+ * Ankiのヘッダー行（#key:value）を読み取り、本文と設定に分ける
+ */
+function parseAnkiHeader(text) {
+  const separators = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+  const options = { delimiter: '\t', html: false, tagsColumn: null, ignoredColumns: [] };
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  let index = 0;
+  for (; index < lines.length && lines[index].startsWith('#'); index++) {
+    const match = lines[index].match(/^#([^:]+):(.*)$/);
+    if (!match) continue;
+    const key = match[1].trim().toLowerCase();
+    const value = match[2].trim();
+
+    if (key === 'separator') {
+      options.delimiter = separators[value.toLowerCase()] || value;
+    } else if (key === 'html') {
+      options.html = value === 'true';
+    } else if (key === 'tags column') {
+      options.tagsColumn = Number(value) - 1;
+    } else if (key.endsWith(' column')) {
+      // notetype/deck/guid列は取り込まない
+      options.ignoredColumns.push(Number(value) - 1);
+    }
+  }
+
+  return { body: lines.slice(index).join('\n'), options };
+}
+
+/**
+ * 取り込むテキストファイルの形式を判定
+ * Anki形式はヘッダー行（#separator:tabなど）がある場合のみとし、ない場合は拡張子と内容からCSV/TSVを判定する
+ */
+function detectTextFormat(text, fileName) {
+  if (/^\uFEFF?#[^:\n]+:/.test(text)) return 'anki';
+  if (/\.tsv$/i.test(fileName) || (!/\.csv$/i.test(fileName) && text.includes('\t'))) return 'tsv';
+  return 'csv';
+}
+
+/**
+ * テキストファイル（CSV/TSV/Anki）を読み込み、列の割り当て画面を表示
+ * format: 指定した形式（空の場合は自動で判定）
+ */
+async function handleTextFileSelected(file, format = '') {
+  let text;
+  try {
+    text = await readFileAsText(file);
+  } catch (error) {
+    console.error('File read error:', error);
+    showError('E020');
+    return;
+  }
+
+  if (!format) format = detectTextFormat(text, file.name);
+  let rows;
+  let ankiOptions = null;
+
+  if (format === 'anki') {
+    const { body, options } = parseAnkiHeader(text);
+    rows = parseDelimitedText(body, options.delimiter);
+    ankiOptions = options;
+  } else {
+    rows = parseDelimitedText(text, format === 'tsv' ? '\t' : ',');
+  }
+
+  if (rows.length === 0) {
+    showError('E023');
+    return;
+  }
+
+  closeModal(true);
+  openColumnMappingModal(rows, file.name, format, ankiOptions);
+}
+
+/**
+ * 見出しの名前から割り当てる項目を推測
+ */
+function guessColumnField(header) {
+  const name = String(header).trim().toLowerCase();
+  const found = Object.entries(COLUMN_NAME_HINTS).find(([, names]) => names.includes(name));
+  return found ? found[0] : null;
+}
+
+/**
+ * 列の初期割り当てを決定
+ */
+function guessColumnMapping(rows, format, ankiOptions) {
+  const columnCount = Math.max(...rows.map(r => r.length));
+  const headerGuess = rows[0].map(guessColumnField);
+  const hasHeader = format !== 'anki' && headerGuess.filter(Boolean).length >= 2;
+
+  if (hasHeader) {
+    return { hasHeader, mapping: Array.from({ length: columnCount }, (_, i) => headerGuess[i] || '') };
+  }
+
+  // 見出しがない場合は列の並び順から割り当てる
+  let order;
+  if (format === 'anki') {
+    order = ['Question', 'Answer'];
+  } else if (columnCount >= 4) {
+    order = ['Title', 'Question', 'Answer', 'Explain'];
+  } else if (columnCount === 3) {
+    order = ['Title', 'Question', 'Answer'];
+  } else {
+    order = ['Question', 'Answer'];
+  }
+
+  const mapping = Array(columnCount).fill('');
+  if (ankiOptions && ankiOptions.tagsColumn !== null) {
+    mapping[ankiOptions.tagsColumn] = 'Tags';
+  }
+  const skipped = new Set([...(ankiOptions ? ankiOptions.ignoredColumns : []), ankiOptions ? ankiOptions.tagsColumn : null]);
+  let next = 0;
+  for (let i = 0; i < columnCount && next < order.length; i++) {
+    if (skipped.has(i)) continue;
+    mapping[i] = order[next++];
+  }
+  return { hasHeader, mapping };
+}
+
+/**
+ * 列の割り当て画面を表示
+ */
+function openColumnMappingModal(rows, fileName, format, ankiOptions) {
+  const { hasHeader, mapping } = guessColumnMapping(rows, format, ankiOptions);
+  const previewRows = rows.slice(0, COLUMN_PREVIEW_ROWS);
+
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>列の割り当て</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="mb-2">ファイル: <strong id="mapping-file-name"></strong>（${escapeHtml(TEXT_FORMAT_LABELS[format])}・${rows.length}行）</p>
+      <p class="text-muted mb-4">各列に取り込む項目を選んでください。タイトルを割り当てない場合は問題文の1行目から作成します。</p>
+      <label class="import-mode">
+        <input type="checkbox" id="mapping-has-header" ${hasHeader ? 'checked' : ''}>
+        1行目を見出しとして扱う（取り込まない）
+      </label>
+      <div class="mapping-table-container">
+        <table class="mapping-table">
+          <thead>
+            <tr>
+              ${mapping.map((field, index) => `
+                <th>
+                  <select class="sort-select mapping-select" data-index="${index}">
+                    <option value="">取り込まない</option>
+                    ${Object.entries(FIELD_LABELS).map(([key, label]) => `
+                      <option value="${key}" ${field === key ? 'selected' : ''}>${escapeHtml(label)}</option>
+                    `).join('')}
+                    <option value="Tags" ${field === 'Tags' ? 'selected' : ''}>タグ</option>
+                  </select>
+                </th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${previewRows.map(row => `
+              <tr>
+                ${mapping.map((_, index) => `<td>${escapeHtml(row[index] || '')}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button id="mapping-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="mapping-submit-btn" class="btn btn-primary">次へ</button>
+    </div>
+  `;
+
+  openModal(modalHtml);
+  setTextContent(document.getElementById('mapping-file-name'), fileName);
+
+  document.getElementById('mapping-cancel-btn').onclick = () => closeModal();
+  document.getElementById('mapping-submit-btn').onclick = () => {
+    const selectedMapping = [...document.querySelectorAll('.mapping-select')].map(select => select.value);
+    if (!selectedMapping.includes('Question') || !selectedMapping.includes('Answer')) {
+      showError('E022');
+      return;
+    }
+
+    const skipHeader = document.getElementById('mapping-has-header').checked;
+    const dataRows = skipHeader ? rows.slice(1) : rows;
+    const rawNotes = mapRowsToNotes(dataRows, selectedMapping, format, Boolean(ankiOptions && ankiOptions.html));
+
+    closeModal(true);
+    openImportPreviewModal(validateImportRows(rawNotes), fileName);
+  };
+}
+
+/**
+ * 割り当てに従って各行を問題データに変換
+ */
+function mapRowsToNotes(rows, mapping, format, isHtml) {
+  const takenTitles = [];
+  return rows.map(row => {
+    const raw = {};
+    mapping.forEach((field, index) => {
+      if (!field || row[index] === undefined) return;
+      const value = isHtml ? htmlToPlainText(row[index]) : row[index];
+      if (field === 'Tags') {
+        // Ankiのタグは空白区切り、それ以外はセミコロン・カンマ区切り
+        raw.Tags = value.split(format === 'anki' ? /\s+/ : /[;,、]/).map(normalizeTag).filter(Boolean);
+      } else {
+        raw[field] = raw[field] ? `${raw[field]}\n${value}` : value;
+      }
+    });
+    // 自動作成したタイトルはファイル内で重複しないよう連番を付ける
+    if (!raw.Title) raw.Title = makeUniqueTitle(deriveTitle(raw.Question), takenTitles);
+    takenTitles.push(raw.Title);
+    return raw;
+  });
+}
+
+/**
+ * まとめて貼り付けたテキストを問題データに変換
+ * 1行を1問とし、2列なら「問題/解答」、3列以上なら「タイトル/問題/解答/解説」として扱う
+ * separator: BULK_SEPARATORSの要素
+ */
+function parseBulkPaste(text, separator) {
+  const takenTitles = notesData.map(n => n.Title);
+  return String(text).split(/\r?\n/).filter(line => line.trim()).map(line => {
+    let cells = line.split(separator.value);
+    if (separator.maxColumns && cells.length > separator.maxColumns) {
+      const last = separator.maxColumns - 1;
+      cells = [...cells.slice(0, last), cells.slice(last).join(separator.value)];
+    }
+    cells = cells.map(cell => cell.trim());
+    if (cells.length <= 2) {
+      // タイトルは既存の問題とも重複しないよう自動で作成する
+      const title = makeUniqueTitle(deriveTitle(cells[0]), takenTitles);
+      takenTitles.push(title);
+      return { Title: title, Question: cells[0], Answer: cells[1] || '' };
+    }
+    return {
+      Title: cells[0],
+      Question: cells[1],
+      Answer: cells[2],
+      Explain: cells.slice(3).join(separator.value)
+    };
+  });
+}
+
+// ========================================
+// 同期競合の解決モーダル
+// ========================================
+
+/**
+ * 競合の種類ごとの説明とボタン文言
+ */
+function getConflictTexts(mutation, conflict) {
+  if (conflict.kind === 'duplicate') {
+    return {
+      message: '同じタイトルの問題が別の端末で登録されています。',
+      local: 'タイトルを変えて登録',
+      server: 'この端末の登録を破棄'
+    };
+  }
+  if (conflict.kind === 'deleted') {
+    return {
+      message: 'この問題は別の端末で削除されています。',
+      local: 'この端末の内容で復元',
+      server: '削除を受け入れる'
+    };
+  }
+  if (mutation.type === 'delete') {
+    return {
+      message: '削除しようとした問題が別の端末で編集されています。',
+      local: '削除する',
+      server: '削除を取り消す'
+    };
+  }
+  return {
+    message: 'この問題は別の端末で編集されています。',
+    local: 'この端末の変更で上書き',
+    server: '別の端末の内容を採用'
+  };
+}
+
+/**
+ * 競合の解決方法をユーザーに選択させる
+ * 'local' / 'server' を返し、選択せずに閉じた場合はnullを返す
+ */
+async function askConflictResolution(mutation, conflict) {
+  // 編集中などほかのモーダルを開いている場合は、閉じてから確認する
+  await waitForModalClose();
+  if (!currentUser) return null;
+
+  const texts = getConflictTexts(mutation, conflict);
+  const title = mutation.data.Title || mutation.base.Title
+    || (notesData.find(n => n.id === mutation.noteId) || {}).Title || '';
+  const changedFields = conflict.changedFields || [];
+
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>同期の競合</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <p class="conflict-message">${escapeHtml(texts.message)}</p>
+      <p class="conflict-title">${escapeHtml(title)}</p>
+      ${changedFields.length > 0 ? `
+        <table class="conflict-table">
+          <thead>
+            <tr>
+              <th>項目</th>
+              <th>別の端末</th>
+              <th>この端末</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${changedFields.map(field => `
+              <tr>
+                <th>${escapeHtml(FIELD_LABELS[field] || field)}</th>
+                <td>${escapeHtml(conflict.server[field])}</td>
+                <td>${mutation.type === 'delete' ? '（削除）' : escapeHtml(field in mutation.data ? mutation.data[field] : mutation.base[field])}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+    </div>
+    <div class="modal-footer">
+      <button id="conflict-server-btn" class="btn btn-secondary">${escapeHtml(texts.server)}</button>
+      <button id="conflict-local-btn" class="btn btn-primary">${escapeHtml(texts.local)}</button>
+    </div>
+  `;
+
+  return new Promise(resolve => {
+    let settled = false;
+    const settle = (choice) => {
+      if (settled) return;
+      settled = true;
+      resolve(choice);
+    };
+
+    openModal(modalHtml, () => settle(null));
+    document.getElementById('conflict-local-btn').onclick = () => {
+      settle('local');
+      closeModal(true);
+    };
+    document.getElementById('conflict-server-btn').onclick = () => {
+      settle('server');
+      closeModal(true);
+    };
+  });
+}
+
+/**
+ * 選択された方法で競合を解決
+ */
+async function applyConflictResolution(mutation, conflict, resolution) {
+  const noteRef = doc(db, 'notes', mutation.noteId);
+  const dropNoteMutations = () => {
+    saveOutbox(getOutbox().filter(m => m.noteId !== mutation.noteId));
+  };
+
+  if (resolution === 'local') {
+    if (conflict.kind === 'duplicate') {
+      const otherTitles = notesData.filter(n => n.id !== mutation.noteId).map(n => n.Title);
+      const title = makeUniqueTitle(mutation.data.Title, [...otherTitles, conflict.server.Title]);
+      await withRetry(() => setDoc(noteRef, withUpdatedAt({ ...mutation.data, Title: title })));
+      notesData = notesData.map(n => n.id === mutation.noteId ? { ...n, Title: title } : n);
+    } else if (conflict.kind === 'deleted') {
+      // 端末側のノートには後続の変更も反映済みのため、まとめて復元する
+      const localNote = getAllLocalNotes().find(n => n.id === mutation.noteId);
+      if (localNote) {
+        const { id, updatedAt, ...data } = localNote;
+        await withRetry(() => setDoc(noteRef, withUpdatedAt(data)));
+      }
+      dropNoteMutations();
+    } else {
+      await sendWrite(() => sendMutation(mutation));
+    }
+    return;
+  }
+
+  // サーバー側を採用する場合、このノートへの未送信の変更はすべて破棄
+  const otherNotes = getAllLocalNotes().filter(n => n.id !== mutation.noteId);
+  setNotes(conflict.kind === 'modified' ? [...otherNotes, conflict.server] : otherNotes);
+  dropNoteMutations();
+}
+
+// ========================================
+// 解答履歴
+// ========================================
+// 解答履歴はノートのAttemptsフィールドに { 記録ID: 記録 } の形で保存する。
+// MissCountは互換性のために残し、不正解の記録と同時に同じ差分だけ更新する
+
+/**
+ * 問題の解答履歴を古い順に取得
+ */
+function getNoteAttempts(note) {
+  const attempts = note.Attempts && typeof note.Attempts === 'object' ? Object.values(note.Attempts) : [];
+  return attempts.sort((a, b) => new Date(a.answeredAt) - new Date(b.answeredAt));
+}
+
+/**
+ * 採点した記録か（回答を入力せずに解答を表示した記録はcorrectがnullで、正答率に含めない）
+ */
+function isGradedAttempt(attempt) {
+  return typeof attempt.correct === 'boolean';
+}
+
+/**
+ * 解答履歴から正答率を計算（採点した記録のみ）
+ */
+function getAccuracy(attempts) {
+  const graded = attempts.filter(isGradedAttempt);
+  const correct = graded.filter(attempt => attempt.correct).length;
+  return {
+    total: graded.length,
+    correct,
+    rate: graded.length > 0 ? correct / graded.length : null
+  };
+}
+
+/**
+ * 解答の記録を作成
+ * correct: 正解ならtrue、不正解ならfalse、回答を入力せずに解答を表示した場合はnull
+ */
+function createAttempt(answer, correct, durationMs, cloze = null) {
+  return {
+    // フィールドパスとして使えるよう英数字のみで採番
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    answeredAt: getCurrentDateTime(),
+    answer,
+    correct,
+    durationMs,
+    // 穴埋めの問題は解答した穴の番号
+    ...(cloze ? { cloze } : {})
+  };
+}
+
+/**
+ * 解答の記録を保存（同じIDの記録があれば上書き）
+ * 上限を超えた古い記録は削除する
+ */
+async function saveAttempt(note, attempt) {
+  const latest = notesData.find(n => n.id === note.id) || note;
+  const attempts = getNoteAttempts(latest);
+  const previous = attempts.find(a => a.id === attempt.id);
+
+  const missDelta = (attempt.correct === false ? 1 : 0) - (previous && previous.correct === false ? 1 : 0);
+  const overflow = previous ? 0 : attempts.length + 1 - ATTEMPT_HISTORY_LIMIT;
+  const removeIds = overflow > 0 ? attempts.slice(0, overflow).map(a => a.id) : [];
+
+  const mutation = createMutation('attempt', note.id, { attempt, missDelta, removeIds });
+  const queued = await submitMutation(mutation);
+  applyLocalMutation(mutation);
+  if (queued) showError('E014');
+}
+
+/**
+ * 解答にかかった時間を表示用に整形
+ */
+function formatDuration(ms) {
+  const seconds = Math.round((Number(ms) || 0) / 1000);
+  return seconds < 60 ? `${seconds}秒` : `${Math.floor(seconds / 60)}分${seconds % 60}秒`;
+}
+
+/**
+ * 詳細表示モーダルの解答履歴のHTMLを生成（新しい順）
+ */
+function buildAttemptHistoryHtml(note) {
+  const attempts = getNoteAttempts(note);
+  if (attempts.length === 0) {
+    return '<p class="text-muted">まだ解答の記録がありません</p>';
+  }
+
+  const { total, correct, rate } = getAccuracy(attempts);
+  return `
+    <p class="attempt-accuracy">正答率 <strong>${formatRate(rate)}</strong>（${correct}/${total}回）</p>
+    <ol class="attempt-timeline">
+      ${attempts.slice().reverse().map(attempt => `
+        <li class="attempt-item ${!isGradedAttempt(attempt) ? 'attempt-ungraded' : attempt.correct ? 'attempt-correct' : 'attempt-incorrect'}">
+          <div class="attempt-meta">
+            <span class="attempt-result">${!isGradedAttempt(attempt) ? '― 未回答' : attempt.correct ? '⭕ 正解' : '❌ 不正解'}</span>
+            <span>${escapeHtml(formatDate(attempt.answeredAt))}</span>
+            <span>${escapeHtml(formatDuration(attempt.durationMs))}</span>
+          </div>
+          <div class="attempt-answer">${attempt.answer ? escapeHtml(attempt.answer) : '<span class="text-muted">（回答の入力なし）</span>'}</div>
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+// ========================================
+// 自動採点
+// ========================================
+
+/**
+ * 保存済みの採点設定を取得
+ */
+function getGradingOptions() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GRADING_OPTIONS_KEY) || '{}');
+    return { ...DEFAULT_GRADING_OPTIONS, ...saved };
+  } catch (error) {
+    console.error('Grading options parse error:', error);
+    return { ...DEFAULT_GRADING_OPTIONS };
+  }
+}
+
+/**
+ * 採点設定を保存
+ */
+function saveGradingOptions(options) {
+  localStorage.setItem(GRADING_OPTIONS_KEY, JSON.stringify(options));
+}
+
+/**
+ * 問題の別解一覧を取得
+ */
+function getNoteAltAnswers(note) {
+  return Array.isArray(note.AltAnswers) ? note.AltAnswers : [];
+}
+
+/**
+ * 入力欄の別解（1行に1つ）を配列に変換
+ */
+function parseAltAnswers(text) {
+  return [...new Set(String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean))];
+}
+
+/**
+ * 別解を検証し、エラーがあればエラーコードを返す
+ */
+function validateAltAnswers(altAnswers) {
+  if (altAnswers.length > ALT_ANSWERS_MAX_COUNT) return 'E024';
+  if (altAnswers.some(answer => answer.length > CONTENT_MAX_LENGTH)) return 'E013';
+  return null;
+}
+
+/**
+ * 採点用に回答を正規化し、各文字が元の文字列のどこに当たるかの対応表を作成
+ * 対応表は差分（diffChars）と同じく正規化後のコードポイント単位、値は元の文字列のUTF-16の位置
+ */
+function normalizeAnswer(text, options) {
+  let source = String(text || '');
+  if (options.trim) source = source.trim();
+
+  const chars = Array.from(source);
+  const positions = [];
+  let normalized = '';
+  let offset = 0;
+
+  for (let i = 0; i < chars.length; i++) {
+    let unit = chars[i];
+    // 半角カナの濁点・半濁点は直前の文字と合わせて正規化
+    while (i + 1 < chars.length && /[\uff9e\uff9f]/.test(chars[i + 1])) {
+      unit += chars[++i];
+    }
+
+    let folded = unit;
+    if (options.width) folded = folded.normalize('NFKC').toLowerCase();
+    if (options.kana) folded = folded.replace(/[\u30a1-\u30f6]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+    if (options.punctuation) folded = folded.replace(/\p{P}/gu, '');
+    // 連続する空白は1つにまとめる
+    if (options.trim && /^\s+$/.test(folded)) folded = /\s$/.test(normalized) ? '' : ' ';
+
+    Array.from(folded).forEach(() => positions.push([offset, offset + unit.length]));
+    normalized += folded;
+    offset += unit.length;
+  }
+
+  return { source, normalized, positions };
+}
+
+/**
+ * 回答を数値として解釈（数値でなければnull）
+ * 小数点を句読点として取り除かないよう、正規化前の文字列から解釈する
+ */
+function parseNumericAnswer(source) {
+  const text = source.normalize('NFKC').replace(/[,\s]/g, '');
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * 2つの文字列の文字単位の差分を計算（最長共通部分列による）
+ * 戻り値は { type: 'equal' | 'delete' | 'insert', index } の配列（indexはコードポイント単位）
+ */
+function diffChars(actual, expected) {
+  const a = Array.from(actual);
+  const b = Array.from(expected);
+  const width = b.length + 1;
+  const lengths = new Uint16Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: 'equal', index: i++ });
+      j++;
+    } else if (j >= b.length || (i < a.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      ops.push({ type: 'delete', index: i++ });
+    } else {
+      ops.push({ type: 'insert', index: j++ });
+    }
+  }
+
+  return { ops, common: lengths[0] };
+}
+
+/**
+ * 回答を採点し、正誤と最も近い正解を返す
+ */
+function gradeAnswer(userAnswer, note, options = getGradingOptions()) {
+  const actual = normalizeAnswer(userAnswer, options);
+  const answer = isMarkdownNote(note) ? stripMarkdown(note.Answer) : note.Answer;
+  const candidates = [answer, ...getNoteAltAnswers(note)].map(answer => normalizeAnswer(answer, options));
+
+  const isMatch = (expected) => {
+    if (actual.normalized === expected.normalized) return true;
+    if (!options.numeric) return false;
+    const actualNumber = parseNumericAnswer(actual.source);
+    const expectedNumber = parseNumericAnswer(expected.source);
+    return actualNumber !== null && expectedNumber !== null
+      && Math.abs(actualNumber - expectedNumber) <= (Number(options.tolerance) || 0);
+  };
+
+  const matchedIndex = candidates.findIndex(isMatch);
+  if (matchedIndex !== -1) {
+    return { correct: true, actual, expected: candidates[matchedIndex], isAltAnswer: matchedIndex > 0 };
+  }
+
+  // 不正解の場合は差分が最も小さい正解と比較する
+  let closest = null;
+  candidates.forEach(expected => {
+    const diff = diffChars(actual.normalized, expected.normalized);
+    // 削除と挿入の文字数（コードポイント単位）
+    const distance = diff.ops.length - diff.common;
+    if (!closest || distance < closest.distance) {
+      closest = { expected, diff, distance };
+    }
+  });
+
+  return { correct: false, actual, expected: closest.expected, diff: closest.diff, isAltAnswer: false };
+}
+
+/**
+ * 正規化前の文字列のうち、正規化後のindex範囲に当たる部分を取得
+ */
+function sliceByPositions(normalizedAnswer, from, to) {
+  return normalizedAnswer.source.slice(normalizedAnswer.positions[from][0], normalizedAnswer.positions[to - 1][1]);
+}
+
+/**
+ * 差分を、自分の回答を基準に誤り（削除）と不足（挿入）を示すHTMLに変換
+ */
+function buildDiffHtml(result) {
+  const { actual, expected, diff } = result;
+  let html = '';
+  let cursor = 0;
+  let k = 0;
+
+  while (k < diff.ops.length) {
+    const type = diff.ops[k].type;
+    let last = k;
+    while (last + 1 < diff.ops.length && diff.ops[last + 1].type === type) last++;
+    const from = diff.ops[k].index;
+    const to = diff.ops[last].index + 1;
+
+    if (type === 'insert') {
+      html += `<ins class="diff-insert">${escapeHtml(sliceByPositions(expected, from, to))}</ins>`;
+    } else {
+      // 正規化で取り除いた文字（句読点など）も元の回答のまま表示する
+      const text = actual.source.slice(cursor, actual.positions[to - 1][1]);
+      cursor = Math.max(cursor, actual.positions[to - 1][1]);
+      html += type === 'delete' ? `<del class="diff-delete">${escapeHtml(text)}</del>` : escapeHtml(text);
+    }
+    k = last + 1;
+  }
+
+  return html + escapeHtml(actual.source.slice(cursor));
+}
+
+/**
+ * 採点設定のHTMLを生成
+ */
+function buildGradingOptionsHtml() {
+  const options = getGradingOptions();
+  return `
+    <details class="grading-options">
+      <summary>採点の設定</summary>
+      <div class="grading-options-body">
+        ${Object.entries(GRADING_OPTION_LABELS).map(([key, label]) => `
+          <label class="grading-option">
+            <input type="checkbox" data-grading-option="${key}" ${options[key] ? 'checked' : ''}>
+            ${escapeHtml(label)}
+          </label>
+        `).join('')}
+        <label class="grading-option">
+          許容する誤差
+          <input type="number" id="grading-tolerance" class="form-control grading-tolerance" min="0" step="any" value="${escapeHtml(String(options.tolerance))}" ${options.numeric ? '' : 'disabled'}>
+        </label>
+      </div>
+    </details>
+  `;
+}
+
+/**
+ * 採点設定の変更を保存
+ */
+function setupGradingOptionsListeners() {
+  const toleranceInput = document.getElementById('grading-tolerance');
+
+  const save = () => {
+    const options = { ...getGradingOptions() };
+    document.querySelectorAll('[data-grading-option]').forEach(input => {
+      options[input.dataset.gradingOption] = input.checked;
+    });
+    options.tolerance = Math.max(0, Number(toleranceInput.value) || 0);
+    toleranceInput.disabled = !options.numeric;
+    saveGradingOptions(options);
+  };
+
+  document.querySelectorAll('[data-grading-option]').forEach(input => {
+    input.addEventListener('change', save);
+  });
+  toleranceInput.addEventListener('change', save);
+}
+
+/**
+ * 採点結果を表示
+ */
+function renderGradingResult(result) {
+  const container = document.getElementById('grading-result');
+  container.className = `grading-result ${result.correct ? 'grading-correct' : 'grading-incorrect'}`;
+  container.innerHTML = `
+    <p class="grading-verdict">${result.correct ? '⭕ 正解' : '❌ 不正解'}</p>
+    ${result.isAltAnswer ? '<p class="text-muted">別解と一致しました: <span id="grading-matched"></span></p>' : ''}
+    ${result.correct ? '' : `
+      <p class="text-muted">あなたの回答との違い（<del class="diff-delete">誤り</del> / <ins class="diff-insert">不足</ins>）</p>
+      <div class="grading-diff">${buildDiffHtml(result)}</div>
+    `}
+  `;
+  if (result.isAltAnswer) {
+    setTextContent(document.getElementById('grading-matched'), result.expected.source);
+  }
+}
+
+// ========================================
+// 選択式の問題
+// ========================================
+// 選択式の問題はChoicesに選択肢 { text, correct } を持ち、正解の選択肢（複数可）を選べたら正解とする。
+// 一覧・検索・エクスポートでそのまま扱えるよう、Answerには正解の選択肢を改行区切りで保存する
+
+/**
+ * 選択式の問題かどうか
+ */
+function isChoiceNote(note) {
+  return note.Type === 'choice';
+}
+
+/**
+ * 問題の選択肢一覧を取得
+ */
+function getNoteChoices(note) {
+  return Array.isArray(note.Choices) ? note.Choices : [];
+}
+
+/**
+ * 選択肢のバリデーション（エラーがあればエラーコードを返す）
+ */
+function validateChoices(choices) {
+  if (choices.length < CHOICES_MIN_COUNT || choices.length > CHOICES_MAX_COUNT) return 'E050';
+  if (choices.some(choice => !choice.text.trim())) return 'E050';
+  if (choices.some(choice => choice.text.length > CONTENT_MAX_LENGTH)) return 'E013';
+  if (!choices.some(choice => choice.correct)) return 'E051';
+  return null;
+}
+
+/**
+ * 正解の選択肢から解答の文字列を作る
+ */
+function buildChoiceAnswerText(choices) {
+  return choices.filter(choice => choice.correct).map(choice => choice.text).join('\n');
+}
+
+/**
+ * 登録・編集モーダルの問題形式の切り替えと選択肢エディタのHTMLを生成
+ */
+function buildNoteTypeEditorHtml(prefix, note = {}) {
+  const type = Object.hasOwn(NOTE_TYPE_LABELS, note.Type) ? note.Type : 'text';
+  return `
+    <div class="form-group">
+      <label>問題形式</label>
+      ${Object.entries(NOTE_TYPE_LABELS).map(([key, label]) => `
+        <label class="import-mode">
+          <input type="radio" name="${prefix}-note-type" value="${key}" ${key === type ? 'checked' : ''}>
+          ${escapeHtml(label)}
+        </label>
+      `).join('')}
+      <p id="${prefix}-cloze-help" class="text-muted ${type === 'cloze' ? '' : 'hidden'}">
+        問題文の穴にする部分を {{c1::答え}} の形で囲んでください。番号ごとに1問として出題します（{{c1::答え::ヒント}} でヒントを表示）
+      </p>
+    </div>
+    <div id="${prefix}-choice-editor" class="form-group ${type === 'choice' ? '' : 'hidden'}">
+      <label>選択肢<span class="required">*</span></label>
+      <p class="text-muted">正解の選択肢にチェックを付けてください（複数可）</p>
+      <div id="${prefix}-choice-list" class="choice-list"></div>
+      <button type="button" id="${prefix}-choice-add-btn" class="btn btn-small btn-outline">＋ 選択肢を追加</button>
+      <label class="format-toggle">
+        <input type="checkbox" id="${prefix}-choice-shuffle" ${note.ShuffleChoices ? 'checked' : ''}>
+        出題時に選択肢の順番を入れ替える
+      </label>
+    </div>
+  `;
+}
+
+/**
+ * 問題形式の切り替えと選択肢エディタの設定（選択肢の追加・削除・並べ替え）
+ */
+function setupNoteTypeEditor(prefix, initialChoices) {
+  const list = document.getElementById(`${prefix}-choice-list`);
+  const addBtn = document.getElementById(`${prefix}-choice-add-btn`);
+  let choices = initialChoices.length > 0
+    ? initialChoices.map(choice => ({ ...choice }))
+    : Array.from({ length: CHOICES_MIN_COUNT }, () => ({ text: '', correct: false }));
+
+  // 入力中の内容を反映してから描き直す
+  const syncChoices = () => {
+    choices = [...list.querySelectorAll('.choice-row')].map(row => ({
+      text: row.querySelector('.choice-text').value,
+      correct: row.querySelector('.choice-correct').checked
+    }));
+  };
+
+  const render = () => {
+    list.innerHTML = choices.map((choice, index) => `
+      <div class="choice-row">
+        <input type="checkbox" class="choice-correct" title="正解" ${choice.correct ? 'checked' : ''}>
+        <input type="text" class="form-control choice-text" maxlength="${CONTENT_MAX_LENGTH}" placeholder="選択肢${index + 1}" value="${escapeHtml(choice.text)}">
+        <button type="button" class="btn btn-small btn-outline choice-move-btn" data-index="${index}" data-move="-1" title="上へ" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button type="button" class="btn btn-small btn-outline choice-move-btn" data-index="${index}" data-move="1" title="下へ" ${index === choices.length - 1 ? 'disabled' : ''}>↓</button>
+        <button type="button" class="btn btn-small btn-outline choice-remove-btn" data-index="${index}" title="削除" ${choices.length <= CHOICES_MIN_COUNT ? 'disabled' : ''}>×</button>
+      </div>
+    `).join('');
+    addBtn.disabled = choices.length >= CHOICES_MAX_COUNT;
+
+    list.querySelectorAll('input').forEach(input => {
+      input.addEventListener('input', () => { hasUnsavedChanges = true; });
+      input.addEventListener('change', () => { hasUnsavedChanges = true; });
+    });
+    list.querySelectorAll('.choice-move-btn').forEach(btn => {
+      btn.onclick = () => {
+        syncChoices();
+        const from = Number(btn.dataset.index);
+        const to = from + Number(btn.dataset.move);
+        [choices[from], choices[to]] = [choices[to], choices[from]];
+        hasUnsavedChanges = true;
+        render();
+      };
+    });
+    list.querySelectorAll('.choice-remove-btn').forEach(btn => {
+      btn.onclick = () => {
+        syncChoices();
+        choices.splice(Number(btn.dataset.index), 1);
+        hasUnsavedChanges = true;
+        render();
+      };
+    });
+  };
+
+  addBtn.onclick = () => {
+    syncChoices();
+    choices.push({ text: '', correct: false });
+    hasUnsavedChanges = true;
+    render();
+    const inputs = list.querySelectorAll('.choice-text');
+    inputs[inputs.length - 1].focus();
+  };
+
+  // 選択式では解答・別解の入力欄の代わりに選択肢を、穴埋めでは問題文に穴を入力する
+  const updateType = () => {
+    const { Type: type } = getNoteTypeEditorValue(prefix);
+    document.getElementById(`${prefix}-choice-editor`).classList.toggle('hidden', type !== 'choice');
+    document.getElementById(`${prefix}-cloze-help`).classList.toggle('hidden', type !== 'cloze');
+    document.getElementById(`${prefix}-answer-group`).classList.toggle('hidden', type !== 'text');
+    document.getElementById(`${prefix}-alt-answers-group`).classList.toggle('hidden', type !== 'text');
+  };
+  document.querySelectorAll(`input[name="${prefix}-note-type"]`).forEach(radio => {
+    radio.onchange = () => {
+      hasUnsavedChanges = true;
+      updateType();
+    };
+  });
+
+  render();
+  updateType();
+}
+
+/**
+ * 問題形式と選択肢エディタの入力内容を取得（空欄の選択肢は除く）
+ */
+function getNoteTypeEditorValue(prefix) {
+  const type = document.querySelector(`input[name="${prefix}-note-type"]:checked`).value;
+  const choices = [...document.querySelectorAll(`#${prefix}-choice-list .choice-row`)]
+    .map(row => ({
+      text: row.querySelector('.choice-text').value.trim(),
+      correct: row.querySelector('.choice-correct').checked
+    }))
+    .filter(choice => choice.text);
+  return {
+    Type: type,
+    Choices: type === 'choice' ? choices : [],
+    ShuffleChoices: type === 'choice' && document.getElementById(`${prefix}-choice-shuffle`).checked
+  };
+}
+
+/**
+ * ランダム出題画面の選択肢のHTMLを生成
+ * 正解が1つの場合はクリックですぐに採点し、複数の場合は選んでから「回答する」で採点する
+ */
+function buildChoiceOptionsHtml(note) {
+  const choices = getNoteChoices(note);
+  const order = choices.map((choice, index) => index);
+  if (note.ShuffleChoices) {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  }
+  const isMultiple = choices.filter(choice => choice.correct).length > 1;
+
+  return `
+    <div class="answer-input-section">
+      <label>${isMultiple ? '正しいものをすべて選んでください:' : '正しいものを選んでください:'}</label>
+      <div class="choice-options" id="choice-options">
+        ${order.map(index => `
+          <button class="choice-option" data-index="${index}"><span class="choice-option-text"></span></button>
+        `).join('')}
+      </div>
+    </div>
+    ${isMultiple ? '<button id="show-answer-btn" class="btn btn-primary btn-large">回答する</button>' : ''}
+  `;
+}
+
+/**
+ * 選択肢の表示と選択・採点の設定
+ */
+function setupChoiceOptions(note, onAnswer) {
+  const choices = getNoteChoices(note);
+  const isMultiple = choices.filter(choice => choice.correct).length > 1;
+  const options = [...document.querySelectorAll('.choice-option')];
+
+  options.forEach(option => {
+    setRichText(option.querySelector('.choice-option-text'), choices[Number(option.dataset.index)].text, note);
+    option.onclick = () => {
+      if (option.disabled) return;
+      option.classList.toggle('selected', isMultiple ? !option.classList.contains('selected') : true);
+      if (!isMultiple) submit();
+    };
+  });
+
+  const submit = () => {
+    const selected = options.filter(option => option.classList.contains('selected')).map(option => Number(option.dataset.index));
+    if (selected.length === 0) return;
+    const correct = choices.every((choice, index) => choice.correct === selected.includes(index));
+    const answer = selected.map(index => choices[index].text).join('\n');
+    showChoiceResult(note, selected, correct);
+    onAnswer(answer, correct);
+  };
+
+  const submitBtn = document.getElementById('show-answer-btn');
+  if (submitBtn) submitBtn.onclick = submit;
+}
+
+/**
+ * 選択肢に正解・不正解を表示
+ * selectedがnullの場合（回答済みの問題を再表示したとき）は正解のみ示す
+ */
+function showChoiceResult(note, selected, correct) {
+  const choices = getNoteChoices(note);
+  document.querySelectorAll('.choice-option').forEach(option => {
+    const index = Number(option.dataset.index);
+    option.disabled = true;
+    option.classList.toggle('selected', Boolean(selected && selected.includes(index)));
+    option.classList.toggle('choice-answer', choices[index].correct);
+    option.classList.toggle('choice-wrong', Boolean(selected && selected.includes(index) && !choices[index].correct));
+  });
+
+  if (selected === null) return;
+  const container = document.getElementById('grading-result');
+  container.className = `grading-result ${correct ? 'grading-correct' : 'grading-incorrect'}`;
+  container.innerHTML = `<p class="grading-verdict">${correct ? '⭕ 正解' : '❌ 不正解'}</p>`;
+}
+
+/**
+ * 詳細表示モーダルの選択肢のHTMLを生成（正解に印を付ける）
+ */
+function buildChoiceDetailHtml(note) {
+  return `
+    <ol class="choice-detail-list">
+      ${getNoteChoices(note).map((choice, index) => `
+        <li class="${choice.correct ? 'choice-answer' : ''}">
+          <span class="choice-detail-mark">${choice.correct ? '⭕ 正解' : ''}</span>
+          <span class="choice-detail-text" data-choice-index="${index}"></span>
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+// ========================================
+// 穴埋めの問題
+// ========================================
+// 穴埋めの問題は問題文の {{c1::答え}}（{{c1::答え::ヒント}}でヒント付き）を穴とし、穴の番号ごとに1問として出題する。
+// 同じ番号の穴は同時に隠す。穴ごとの間違い回数はClozeMissCount（{ c1: 回数 }）に記録し、
+// Answerには一覧・検索で扱えるよう穴の答えを番号順に改行区切りで保存する
+
+// 穴の書式（答え・ヒントに波括弧は使えない）
+const CLOZE_PATTERN = /\{\{c([1-9]\d*)::([^{}]*?)(?:::([^{}]*?))?\}\}/g;
+
+/**
+ * 穴埋めの問題かどうか
+ */
+function isClozeNote(note) {
+  return note.Type === 'cloze';
+}
+
+/**
+ * 問題文の穴を取り出す（書式が正しくない穴があればerrorにエラーコードを入れる）
+ */
+function parseCloze(text) {
+  const clozes = [];
+  let error = null;
+  let lastIndex = 0;
+  for (const match of text.matchAll(CLOZE_PATTERN)) {
+    // 穴の外に「{{」が残っていれば書式の誤り
+    if (text.slice(lastIndex, match.index).includes('{{')) error = 'E052';
+    if (!match[2].trim()) error = 'E052';
+    clozes.push({ key: `c${match[1]}`, number: Number(match[1]), answer: match[2].trim(), hint: (match[3] || '').trim() });
+    lastIndex = match.index + match[0].length;
+  }
+  if (text.slice(lastIndex).includes('{{')) error = 'E052';
+  return { clozes, error };
+}
+
+/**
+ * 問題文の穴の番号を昇順に取得
+ */
+function getClozeKeys(text) {
+  const numbers = [...new Set(parseCloze(text).clozes.map(cloze => cloze.number))];
+  return numbers.sort((a, b) => a - b).map(number => `c${number}`);
+}
+
+/**
+ * 穴埋めのバリデーション（エラーがあればエラーコードを返す）
+ */
+function validateCloze(text) {
+  const { clozes, error } = parseCloze(text);
+  if (error) return error;
+  const count = new Set(clozes.map(cloze => cloze.key)).size;
+  if (count === 0 || count > CLOZE_MAX_COUNT) return 'E053';
+  return null;
+}
+
+/**
+ * 穴ごとの答えを取得（同じ番号の穴が複数ある場合は読点でつなぐ）
+ */
+function getClozeAnswer(text, key) {
+  return parseCloze(text).clozes
+    .filter(cloze => cloze.key === key)
+    .map(cloze => cloze.answer)
+    .join('、');
+}
+
+/**
+ * 穴の答えから解答の文字列を作る
+ */
+function buildClozeAnswerText(text) {
+  return getClozeKeys(text).map(key => getClozeAnswer(text, key)).join('\n');
+}
+
+/**
+ * 選択式・穴埋めの問題の解答を作る
+ */
+function buildTypedAnswerText(note) {
+  return isClozeNote(note) ? buildClozeAnswerText(note.Question) : buildChoiceAnswerText(note.Choices);
+}
+
+/**
+ * 穴を埋めた問題文を作る
+ * hideKey: 隠す穴の番号（ヒントがあれば［ヒント］、なければ［…］と表示）。nullの場合はすべての穴を埋める
+ */
+function buildClozeText(text, hideKey = null) {
+  return text.replace(CLOZE_PATTERN, (marker, number, answer, hint) => {
+    if (`c${number}` !== hideKey) return answer.trim();
+    return `［${(hint || '').trim() || '…'}］`;
+  });
+}
+
+/**
+ * 穴ごとの間違い回数
+ */
+function getClozeMissCount(note, key) {
+  const counts = note.ClozeMissCount && typeof note.ClozeMissCount === 'object' ? note.ClozeMissCount : {};
+  return Number(counts[key]) || 0;
+}
+
+/**
+ * 保存後の内容に残る穴の間違い回数（編集で消えた穴・穴埋め以外の問題形式では記録を残さない）
+ */
+function pruneClozeMissCount(note, data) {
+  if (!isClozeNote(data)) return {};
+  return Object.fromEntries(getClozeKeys(data.Question)
+    .filter(key => getClozeMissCount(note, key) > 0)
+    .map(key => [key, getClozeMissCount(note, key)]));
+}
+
+/**
+ * 詳細表示モーダルの穴ごとの答えと間違い回数のHTMLを生成
+ */
+function buildClozeDetailHtml(note) {
+  return `
+    <ul class="cloze-detail-list">
+      ${getClozeKeys(note.Question).map(key => `
+        <li>
+          <span class="cloze-detail-key">${escapeHtml(key)}</span>
+          <span class="cloze-detail-answer">${escapeHtml(getClozeAnswer(note.Question, key))}</span>
+          <span class="text-muted">間違い${getClozeMissCount(note, key)}回</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+// ========================================
+// ランダム問題画面
+// ========================================
+// 出題はセッション単位で行い、開始時に設定に従って出題する問題と順番を決める。
+// セッションはQUIZ_SESSION_KEYに保存し、再読み込みしても続きから出題する
+
+/**
+ * 前回の出題設定を取得
+ */
+function getQuizSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(QUIZ_SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_QUIZ_SETTINGS, ...saved };
+  } catch (error) {
+    console.error('Quiz settings parse error:', error);
+    return { ...DEFAULT_QUIZ_SETTINGS };
+  }
+}
+
+/**
+ * 出題設定を保存
+ */
+function saveQuizSettings(settings) {
+  localStorage.setItem(QUIZ_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * 出題中のセッションを取得（別のユーザーのセッションは使わない）
+ */
+function getQuizSession() {
+  if (!quizSession) {
+    try {
+      quizSession = JSON.parse(localStorage.getItem(QUIZ_SESSION_KEY) || 'null');
+    } catch (error) {
+      console.error('Quiz session parse error:', error);
+      quizSession = null;
+    }
+  }
+  if (quizSession && (quizSession.uid !== getSessionUid() || !Array.isArray(quizSession.itemIds))) {
+    quizSession = null;
+  }
+  return quizSession;
+}
+
+function saveQuizSession() {
+  localStorage.setItem(QUIZ_SESSION_KEY, JSON.stringify(quizSession));
+}
+
+function clearQuizSession() {
+  clearInterval(quizTimer);
+  quizSession = null;
+  localStorage.removeItem(QUIZ_SESSION_KEY);
+}
+
+/**
+ * 問題を出題する単位（出題項目）に分ける（穴埋めの問題は穴の番号ごと）
+ * 出題項目のIDは問題ID、穴埋めの問題は「問題ID#穴の番号」
+ */
+function getQuizItems(notes) {
+  return notes.flatMap(note => (isClozeNote(note)
+    ? getClozeKeys(note.Question).map(cloze => ({ id: `${note.id}#${cloze}`, note, cloze }))
+    : [{ id: note.id, note, cloze: null }]));
+}
+
+/**
+ * 出題項目のIDから出題項目を取得（出題中に削除・変更されて出題できない場合はnull）
+ */
+function findQuizItem(itemId) {
+  const [noteId, cloze = null] = itemId.split('#');
+  const note = notesData.find(n => n.id === noteId);
+  if (!note || Boolean(cloze) !== isClozeNote(note)) return null;
+  if (cloze && !getClozeKeys(note.Question).includes(cloze)) return null;
+  return { id: itemId, note, cloze };
+}
+
+/**
+ * 出題項目の間違い回数（穴埋めの問題は穴ごと）
+ */
+function getQuizItemMissCount(item) {
+  return item.cloze ? getClozeMissCount(item.note, item.cloze) : Number(item.note.MissCount) || 0;
+}
+
+/**
+ * 出題項目が出題の絞り込み条件に合うか
+ */
+function matchesQuizFilter(item, settings) {
+  const missCount = getQuizItemMissCount(item);
+  if (settings.filter === 'missed') return missCount >= settings.minMissCount;
+  if (settings.filter === 'never-missed') return missCount === 0;
+  return true;
+}
+
+/**
+ * 出題項目を最後に解答した日時（未解答は0）
+ */
+function getLastAnsweredTime(item) {
+  const attempts = getNoteAttempts(item.note).filter(attempt => (attempt.cloze || null) === item.cloze);
+  return attempts.length > 0 ? new Date(attempts[attempts.length - 1].answeredAt).getTime() || 0 : 0;
+}
+
+/**
+ * 選び方に従って出題項目を並べる
+ */
+function orderQuizItems(items, strategy) {
+  let keyOf;
+  if (strategy === 'weighted') {
+    // ミス回数+1を重みとした重み付き抽選（重複なし）
+    keyOf = item => -(Math.random() ** (1 / (getQuizItemMissCount(item) + 1)));
+  } else if (strategy === 'stale') {
+    // 最後に解答した日時が古い順（同じ日時は順不同）
+    keyOf = item => getLastAnsweredTime(item) + Math.random();
+  } else {
+    keyOf = () => Math.random();
+  }
+  return items
+    .map(item => ({ item, key: keyOf(item) }))
+    .sort((a, b) => a.key - b.key)
+    .map(entry => entry.item);
+}
+
+/**
+ * 出題設定に従って出題する項目を選ぶ
+ */
+function selectQuizItems(items, settings) {
+  const filtered = items.filter(item => matchesQuizFilter(item, settings));
+  // 復習期限を迎えた問題を先に出題する
+  const groups = settings.dueFirst
+    ? [filtered.filter(item => isDueToday(item.note)), filtered.filter(item => !isDueToday(item.note))]
+    : [filtered];
+  const ordered = groups.flatMap(group => orderQuizItems(group, settings.strategy));
+  return settings.count > 0 ? ordered.slice(0, settings.count) : ordered;
+}
+
+/**
+ * 出題項目の表示名（穴埋めの問題は穴の番号を付ける）
+ */
+function getQuizItemTitle(item) {
+  return item.cloze ? `${item.note.Title}（${item.cloze}）` : item.note.Title;
+}
+
+/**
+ * 出題セッションを開始
+ */
+function startQuizSession(itemIds, settings) {
+  const now = Date.now();
+  clearInterval(quizTimer);
+  quizSession = {
+    uid: getSessionUid(),
+    settings,
+    itemIds,
+    index: 0,
+    results: {}, // 出題項目IDごとの解答の記録
+    ratedIds: [], // 自己評価済みの出題項目ID
+    noteReviews: {}, // 問題IDごとの評価前の復習状態とまとめた評価 { base, rating }
+    startedAt: now,
+    endsAt: settings.timeLimit > 0 ? now + settings.timeLimit * 60 * 1000 : null,
+    finishedAt: null
+  };
+  saveQuizSession();
+  renderRandomPage();
+}
+
+/**
+ * 出題セッションを終了（結果画面を表示する）
+ */
+function finishQuizSession() {
+  clearInterval(quizTimer);
+  quizSession.finishedAt = Math.min(Date.now(), quizSession.endsAt || Infinity);
+  saveQuizSession();
+}
+
+/**
+ * 残り時間を表示用に整形
+ */
+function formatTimer(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 制限時間のカウントダウン（画面を離れたら止める）
+ */
+function startQuizTimer() {
+  clearInterval(quizTimer);
+  if (!quizSession.endsAt) return;
+
+  quizTimer = setInterval(() => {
+    const timer = document.getElementById('quiz-timer');
+    if (!timer || !quizSession || quizSession.finishedAt) {
+      clearInterval(quizTimer);
+      return;
+    }
+    const remaining = quizSession.endsAt - Date.now();
+    if (remaining > 0) {
+      timer.textContent = `残り ${formatTimer(remaining)}`;
+      return;
+    }
+    finishQuizSession();
+    closeModal(true);
+    renderQuizSummary();
+  }, 1000);
+}
+
+async function renderRandomPage() {
+  // 再読み込みした場合など、まだ問題を読み込んでいなければ読み込む
+  if (notesData.length === 0) {
+    showLoading('データを読み込み中...');
+    await noteBackend.loadNotes();
+    hideLoading();
+  }
+
+  const session = getQuizSession();
+  if (!session) {
+    renderQuizSetup();
+    return;
+  }
+  if (!session.finishedAt && session.endsAt && Date.now() >= session.endsAt) {
+    finishQuizSession();
+  }
+  if (session.finishedAt) {
+    renderQuizSummary();
+    return;
+  }
+
+  // 出題中に削除された問題（穴埋めの穴）は飛ばす
+  let item = null;
+  while (session.index < session.itemIds.length) {
+    item = findQuizItem(session.itemIds[session.index]);
+    if (item) break;
+    session.index++;
+  }
+  if (!item) {
+    finishQuizSession();
+    renderQuizSummary();
+    return;
+  }
+
+  saveQuizSession();
+  currentAttempt = session.results[item.id] || null;
+  reviewRated = session.ratedIds.includes(item.id);
+  problemShownAt = Date.now();
+
+  renderProblemContent(item);
+}
+
+/**
+ * 出題設定の画面
+ */
+function renderQuizSetup() {
+  // 一覧で選択した問題から出題する場合はその問題のみ、さらに選択中のタグで絞り込む
+  const sessionNotes = randomSessionIds ? notesData.filter(n => randomSessionIds.includes(n.id)) : notesData;
+  const targetNotes = filterNotesByTags(sessionNotes, activeTagFilter);
+  const settings = getQuizSettings();
+
+  pageContent.innerHTML = `
+    <div class="random-page">
+      <div class="random-header">
+        <h1>ランダム出題</h1>
+        <button id="back-to-list-btn" class="btn btn-outline">一覧に戻る</button>
+      </div>
+      ${buildRandomScopeHtml()}
+      ${buildTagFilterHtml()}
+      <div class="problem-card">
+        ${targetNotes.length === 0 ? `
+          <div class="empty-message">
+            ${notesData.length > 0 ? `
+              <p>選択したタグの問題がありません</p>
+              <p class="text-muted">タグの選択を変更してください</p>
+            ` : `
+              <p>問題が登録されていません</p>
+              <p class="text-muted">まず問題を登録してください</p>
+            `}
+          </div>
+        ` : `
+          <h2 class="problem-title">出題の設定</h2>
+          <div class="quiz-setup">
+            <label class="quiz-setup-item">
+              出題数
+              <select id="quiz-count" class="sort-select">
+                ${QUIZ_COUNT_OPTIONS.map(count => `
+                  <option value="${count}" ${count === settings.count ? 'selected' : ''}>${count > 0 ? `${count}問` : 'すべて'}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label class="quiz-setup-item">
+              制限時間
+              <select id="quiz-time-limit" class="sort-select">
+                ${QUIZ_TIME_LIMIT_OPTIONS.map(minutes => `
+                  <option value="${minutes}" ${minutes === settings.timeLimit ? 'selected' : ''}>${minutes > 0 ? `${minutes}分` : 'なし'}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label class="quiz-setup-item">
+              出題する問題
+              <select id="quiz-filter" class="sort-select">
+                ${Object.entries(QUIZ_FILTER_LABELS).map(([key, label]) => `
+                  <option value="${key}" ${key === settings.filter ? 'selected' : ''}>${escapeHtml(label)}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label class="quiz-setup-item">
+              ミス回数
+              <input type="number" id="quiz-min-miss" class="form-control quiz-min-miss" min="1" step="1" value="${settings.minMissCount}" ${settings.filter === 'missed' ? '' : 'disabled'}>
+              回以上
+            </label>
+            <label class="quiz-setup-item">
+              出題の順番
+              <select id="quiz-strategy" class="sort-select">
+                ${Object.entries(QUIZ_STRATEGY_LABELS).map(([key, label]) => `
+                  <option value="${key}" ${key === settings.strategy ? 'selected' : ''}>${escapeHtml(label)}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label class="quiz-setup-item">
+              <input type="checkbox" id="quiz-due-first" ${settings.dueFirst ? 'checked' : ''}>
+              復習期限を迎えた問題を先に出題する
+            </label>
+          </div>
+          <p id="quiz-target-count" class="text-muted mb-2"></p>
+          <button id="quiz-start-btn" class="btn btn-primary btn-large">出題を開始</button>
+        `}
+      </div>
+    </div>
+  `;
+
+  document.getElementById('back-to-list-btn').onclick = () => navigateTo('list');
+  setupRandomScopeListeners();
+  setupTagFilterListeners(renderQuizSetup);
+  if (targetNotes.length > 0) setupQuizSetupListeners(targetNotes);
+}
+
+/**
+ * 出題設定の画面の入力内容を取得
+ */
+function readQuizSettingsForm() {
+  return {
+    count: Number(document.getElementById('quiz-count').value),
+    timeLimit: Number(document.getElementById('quiz-time-limit').value),
+    filter: document.getElementById('quiz-filter').value,
+    minMissCount: Math.max(1, Math.floor(Number(document.getElementById('quiz-min-miss').value)) || 1),
+    strategy: document.getElementById('quiz-strategy').value,
+    dueFirst: document.getElementById('quiz-due-first').checked
+  };
+}
+
+function setupQuizSetupListeners(targetNotes) {
+  const startBtn = document.getElementById('quiz-start-btn');
+  const items = getQuizItems(targetNotes);
+
+  // 条件に合う問題数を表示し、設定を保存
+  const update = () => {
+    const settings = readQuizSettingsForm();
+    const matched = items.filter(item => matchesQuizFilter(item, settings)).length;
+    const count = settings.count > 0 ? Math.min(settings.count, matched) : matched;
+    document.getElementById('quiz-min-miss').disabled = settings.filter !== 'missed';
+    document.getElementById('quiz-target-count').textContent = matched > 0
+      ? `条件に合う${matched}問から${count}問を出題します`
+      : '条件に合う問題がありません';
+    startBtn.disabled = matched === 0;
+    saveQuizSettings(settings);
+  };
+  document.querySelectorAll('.quiz-setup select, .quiz-setup input').forEach(input => {
+    input.onchange = update;
+  });
+  update();
+
+  startBtn.onclick = () => {
+    const settings = readQuizSettingsForm();
+    const itemIds = selectQuizItems(items, settings).map(item => item.id);
+    if (itemIds.length === 0) return;
+    startQuizSession(itemIds, settings);
+  };
+}
+
+/**
+ * 出題セッションの結果画面
+ */
+function renderQuizSummary() {
+  const session = quizSession;
+  const answered = session.itemIds
+    .filter(id => session.results[id])
+    .map(findQuizItem)
+    .filter(Boolean);
+  const correct = answered.filter(item => session.results[item.id].correct === true);
+  const missed = answered.filter(item => session.results[item.id].correct === false);
+  // 出題されなかった問題と、回答を入力せずに解答を表示した問題
+  const unanswered = session.itemIds.length - correct.length - missed.length;
+
+  const buildResultList = items => `
+    <ul class="quiz-result-list">
+      ${items.map(item => `
+        <li><button class="quiz-result-title" data-id="${escapeHtml(item.note.id)}">${escapeHtml(getQuizItemTitle(item))}</button></li>
+      `).join('')}
+    </ul>
+  `;
+
+  pageContent.innerHTML = `
+    <div class="random-page">
+      <div class="random-header">
+        <h1>出題の結果</h1>
+        <button id="back-to-list-btn" class="btn btn-outline">一覧に戻る</button>
+      </div>
+      <div class="problem-card">
+        <div class="quiz-summary-counts">
+          <div class="quiz-summary-count"><span>正解</span><strong>${correct.length}問</strong></div>
+          <div class="quiz-summary-count"><span>不正解</span><strong>${missed.length}問</strong></div>
+          <div class="quiz-summary-count"><span>未回答</span><strong>${unanswered}問</strong></div>
+          <div class="quiz-summary-count"><span>かかった時間</span><strong>${escapeHtml(formatDuration(session.finishedAt - session.startedAt))}</strong></div>
+        </div>
+        ${missed.length > 0 ? `
+          <h3 class="quiz-result-heading">❌ 間違えた問題</h3>
+          ${buildResultList(missed)}
+        ` : ''}
+        ${correct.length > 0 ? `
+          <h3 class="quiz-result-heading">⭕ 正解した問題</h3>
+          ${buildResultList(correct)}
+        ` : ''}
+      </div>
+      <div class="navigation-buttons">
+        ${missed.length > 0 ? `<button id="quiz-retry-btn" class="btn btn-primary">間違えた問題をもう一度（${missed.length}問）</button>` : ''}
+        <button id="quiz-new-btn" class="btn btn-outline">新しく出題する</button>
+      </div>
+    </div>
+  `;
+
+  document.getElementById('back-to-list-btn').onclick = () => navigateTo('list');
+  document.querySelectorAll('.quiz-result-title').forEach(btn => {
+    btn.onclick = () => {
+      const note = notesData.find(n => n.id === btn.dataset.id);
+      if (note) openDetailModal(note);
+    };
+  });
+
+  const retryBtn = document.getElementById('quiz-retry-btn');
+  if (retryBtn) {
+    retryBtn.onclick = () => {
+      const itemIds = orderQuizItems(missed, 'uniform').map(item => item.id);
+      startQuizSession(itemIds, { ...session.settings, count: 0 });
+    };
+  }
+  document.getElementById('quiz-new-btn').onclick = () => {
+    clearQuizSession();
+    renderRandomPage();
+  };
+}
+
+function renderProblemContent(item) {
+  const { note, cloze } = item;
+  const session = quizSession;
+  const isLast = session.index === session.itemIds.length - 1;
+  pageContent.innerHTML = `
+    <div class="random-page">
+      <div class="random-header">
+        <h1>ランダム出題</h1>
+        <button id="back-to-list-btn" class="btn btn-outline">一覧に戻る</button>
+      </div>
+      <div class="quiz-status">
+        <span>${session.index + 1} / ${session.itemIds.length}問</span>
+        ${session.endsAt ? `<span id="quiz-timer" class="quiz-timer">残り ${formatTimer(session.endsAt - Date.now())}</span>` : ''}
+        <button id="quiz-finish-btn" class="btn btn-small btn-outline">出題を終了</button>
+      </div>
+      <div class="problem-card">
+        <h2 class="problem-title" id="problem-title"></h2>
+        <div class="problem-question" id="problem-question"></div>
+        ${buildAttachmentsHtml(note)}
+        
+        ${isChoiceNote(note) ? buildChoiceOptionsHtml(note) : `
+          <div class="answer-input-section">
+            <label>あなたの回答:</label>
+            <textarea id="user-answer" class="form-control" placeholder="回答を入力してください"></textarea>
+            ${buildGradingOptionsHtml()}
+          </div>
+          
+          <button id="show-answer-btn" class="btn btn-primary btn-large">回答を表示</button>
+        `}
+        
+        <div id="answer-section" class="answer-section hidden">
+          <div id="grading-result" class="hidden"></div>
+          <h3>正解</h3>
+          <div class="answer-content" id="correct-answer"></div>
+          ${getNoteAltAnswers(note).length > 0 ? `
+            <div class="alt-answers-section">
+              <h3>別解</h3>
+              <ul class="alt-answer-list" id="alt-answer-list"></ul>
+            </div>
+          ` : ''}
+          ${cloze ? `
+            <div class="explain-section">
+              <h3>全文</h3>
+              <div class="explain-content" id="cloze-full-text"></div>
+            </div>
+          ` : ''}
+          ${note.Explain ? `
+            <div class="explain-section">
+              <h3>解説</h3>
+              <div class="explain-content" id="explain-content"></div>
+            </div>
+          ` : ''}
+        </div>
+      </div>
+      
+      <div class="review-rating hidden" id="review-rating">
+        <p class="review-rating-label">どのくらい思い出せましたか？</p>
+        <div class="review-rating-buttons">
+          ${Object.entries(REVIEW_RATINGS).map(([key, rating]) => `
+            <button class="btn btn-outline rating-btn rating-${key}" data-rating="${key}">${escapeHtml(rating.label)}</button>
+          `).join('')}
+        </div>
+      </div>
+
+      <div class="problem-actions hidden" id="problem-actions">
+        <button id="miss-mark-btn" class="btn miss-mark-btn">❌ 間違いとしてマーク</button>
+        <div class="navigation-buttons">
+          <button id="next-btn" class="btn btn-primary">${isLast ? '結果を見る →' : '次の問題へ →'}</button>
+          <button id="top-btn" class="btn btn-outline">トップに戻る</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  // textContentで安全にテキストを設定（穴埋めの問題は出題する穴のみを隠す）
+  setTextContent(document.getElementById('problem-title'), getQuizItemTitle(item));
+  setRichText(document.getElementById('problem-question'), cloze ? buildClozeText(note.Question, cloze) : note.Question, note);
+  setRichText(document.getElementById('correct-answer'), cloze ? getClozeAnswer(note.Question, cloze) : note.Answer, note);
+  if (cloze) {
+    setRichText(document.getElementById('cloze-full-text'), buildClozeText(note.Question), note);
+  }
+  if (getNoteAltAnswers(note).length > 0) {
+    const altList = document.getElementById('alt-answer-list');
+    getNoteAltAnswers(note).forEach(answer => {
+      const item = document.createElement('li');
+      item.textContent = answer;
+      altList.appendChild(item);
+    });
+  }
+  if (note.Explain) {
+    setRichText(document.getElementById('explain-content'), note.Explain, note);
+  }
+
+  setupRandomPageListeners(item);
+
+  // 再読み込み前に回答済みだった問題は正解を表示した状態に戻す
+  if (currentAttempt) {
+    if (isChoiceNote(note)) showChoiceResult(note, null, currentAttempt.correct);
+    revealAnswer();
+    updateMissMarkButton();
+  }
+  if (reviewRated) {
+    document.querySelectorAll('.rating-btn').forEach(btn => { btn.disabled = true; });
+  }
+  startQuizTimer();
 }
 
-function setupEditModalListeners(note) {
-  const titleInput = document.getElementById('edit-title');
-  const questionInput = document.getElementById('edit-question');
-  const answerInput = document.getElementById('edit-answer');
-  const explainInput = document.getElementById('edit-explain');
+/**
+ * 正解・自己評価・次の問題へのボタンを表示
+ */
+function revealAnswer() {
+  document.getElementById('answer-section').classList.remove('hidden');
+  document.getElementById('review-rating').classList.remove('hidden');
+  document.getElementById('problem-actions').classList.remove('hidden');
+  const showAnswerBtn = document.getElementById('show-answer-btn');
+  if (showAnswerBtn) showAnswerBtn.classList.add('hidden');
+}
 
-  // 文字数カウント
-  const setupCounter = (input, counterId) => {
-    const counter = document.getElementById(counterId);
-    input.addEventListener('input', () => {
-      counter.textContent = input.value.length;
+function setupRandomPageListeners(item) {
+  const { note } = item;
+
+  // 一覧に戻る
+  document.getElementById('back-to-list-btn').onclick = () => navigateTo('list');
+
+  // 出題を途中で終了して結果を表示
+  document.getElementById('quiz-finish-btn').onclick = () => {
+    openConfirmModal('出題を終了', '出題を終了して結果を表示しますか？', '終了して結果を表示', () => {
+      // 確認している間に制限時間を過ぎて結果画面を表示した場合は何もしない
+      if (currentPage !== 'random' || !quizSession || quizSession.finishedAt) return;
+      finishQuizSession();
+      renderQuizSummary();
     });
   };
 
-  setupCounter(titleInput, 'title-count');
-  setupCounter(questionInput, 'question-count');
-  setupCounter(answerInput, 'answer-count');
-  setupCounter(explainInput, 'explain-count');
+  if (isChoiceNote(note)) {
+    // 選択式は選んだ時点で採点し、不正解なら間違いマークを付けた状態で記録する
+    setupChoiceOptions(note, (answer, correct) => {
+      handleAttemptSave(note, createAttempt(answer, correct, Date.now() - problemShownAt));
+      revealAnswer();
+    });
+  } else {
+    setupTextAnswerListeners(item);
+  }
 
-  // キャンセル
-  document.getElementById('edit-cancel-btn').onclick = () => closeModal();
+  // 自己評価
+  document.querySelectorAll('.rating-btn').forEach(btn => {
+    btn.onclick = () => handleReviewRating(note, btn.dataset.rating, item.id);
+  });
 
-  // 削除モードへ
-  document.getElementById('delete-mode-btn').onclick = () => {
-    closeModal(true);
-    openDeleteModal(note);
+  // 間違いマーク
+  document.getElementById('miss-mark-btn').onclick = () => handleMissMark(item);
+
+  // 次の問題（最後の問題の後は結果を表示）
+  document.getElementById('next-btn').onclick = () => {
+    quizSession.index++;
+    if (quizSession.index >= quizSession.itemIds.length) finishQuizSession();
+    renderRandomPage();
   };
 
-  // Enterキーで保存
-  modalContent.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      handleEdit(note);
+  // トップに戻る
+  document.getElementById('top-btn').onclick = () => navigateTo('list');
+}
+
+/**
+ * 記述式・穴埋めの問題の回答欄の設定
+ */
+function setupTextAnswerListeners(item) {
+  const { note, cloze } = item;
+  // 穴埋めの問題は出題した穴の答えで採点する
+  const gradingNote = cloze ? { ...note, Answer: getClozeAnswer(note.Question, cloze), AltAnswers: [] } : note;
+
+  // 採点の設定
+  setupGradingOptionsListeners();
+
+  // 回答を表示（回答が入力されていれば自動採点し、解答履歴に記録）
+  document.getElementById('show-answer-btn').onclick = () => {
+    const userAnswer = document.getElementById('user-answer').value.trim();
+    const result = userAnswer ? gradeAnswer(userAnswer, gradingNote) : null;
+    if (result) renderGradingResult(result);
+
+    // 不正解なら間違いマークを付けた状態で記録する（ボタンで取り消せる）
+    const attempt = createAttempt(userAnswer, result ? result.correct : null, Date.now() - problemShownAt, cloze);
+    handleAttemptSave(note, attempt);
+    revealAnswer();
+  };
+}
+
+/**
+ * 一覧で選択した問題から出題中であることの表示
+ */
+function buildRandomScopeHtml() {
+  if (!randomSessionIds) return '';
+  return `
+    <div class="random-scope">
+      <span>一覧で選択した${randomSessionIds.length}件の問題から出題しています</span>
+      <button id="random-scope-clear-btn" class="btn btn-small btn-outline">すべての問題から出題</button>
+    </div>
+  `;
+}
+
+function setupRandomScopeListeners() {
+  const clearBtn = document.getElementById('random-scope-clear-btn');
+  if (!clearBtn) return;
+  clearBtn.onclick = () => {
+    randomSessionIds = null;
+    renderQuizSetup();
+  };
+}
+
+/**
+ * 間違いマークを付ける/取り消す（表示中の解答の記録の正誤を切り替える）
+ */
+function handleMissMark(item) {
+  const attempt = currentAttempt
+    // 取り消すと採点の結果（回答を入力していなければ未回答）に戻す
+    ? { ...currentAttempt, correct: currentAttempt.correct === false ? (currentAttempt.answer ? true : null) : false }
+    : createAttempt(getUserAnswerText(), false, Date.now() - problemShownAt, item.cloze);
+  handleAttemptSave(item.note, attempt);
+}
+
+/**
+ * 入力中の回答（選択式の問題は選んだ選択肢）
+ */
+function getUserAnswerText() {
+  const answerInput = document.getElementById('user-answer');
+  if (answerInput) return answerInput.value.trim();
+  return [...document.querySelectorAll('.choice-option.selected .choice-option-text')]
+    .map(option => option.textContent)
+    .join('\n');
+}
+
+/**
+ * 解答の記録を保存し、間違いマークのボタンに反映
+ */
+async function handleAttemptSave(note, attempt) {
+  const missBtn = document.getElementById('miss-mark-btn');
+  if (missBtn.disabled) return;
+  missBtn.disabled = true;
+
+  try {
+    await saveAttempt(note, attempt);
+    // 保存中に次の問題へ進んだ場合は、表示中の問題の記録として扱わない
+    if (missBtn.isConnected) currentAttempt = attempt;
+    // 出題セッションの結果にも反映（穴埋めの問題は穴ごと）
+    const itemId = attempt.cloze ? `${note.id}#${attempt.cloze}` : note.id;
+    if (quizSession && quizSession.itemIds.includes(itemId)) {
+      quizSession.results[itemId] = attempt;
+      saveQuizSession();
     }
-  });
+  } catch (error) {
+    console.error('Attempt save error:', error);
+    showError('E005');
+  }
 
-  // 保存
-  document.getElementById('edit-submit-btn').onclick = () => handleEdit(note);
+  // 画面を離れた後に完了した場合は何もしない
+  if (!missBtn.isConnected) return;
+  missBtn.disabled = false;
+  updateMissMarkButton();
 }
 
-async function handleEdit(note) {
-  const title = document.getElementById('edit-title').value.trim();
-  const question = document.getElementById('edit-question').value.trim();
-  const answer = document.getElementById('edit-answer').value.trim();
-  const explain = document.getElementById('edit-explain').value.trim();
-  const titleError = document.getElementById('title-error');
+/**
+ * 間違いマークのボタンを表示中の解答の記録に合わせる
+ */
+function updateMissMarkButton() {
+  const missBtn = document.getElementById('miss-mark-btn');
+  const marked = Boolean(currentAttempt && currentAttempt.correct === false);
+  missBtn.classList.toggle('marked', marked);
+  missBtn.textContent = marked ? '✔ 間違いとしてマーク済み（取り消す）' : '❌ 間違いとしてマーク';
+}
 
-  // バリデーション
-  titleError.classList.add('hidden');
+/**
+ * 自己評価を保存し、次回の復習日を更新
+ * 復習の予定は問題ごとに持つため、穴埋めの問題の穴ごとの評価は1回のセッションで1回分の復習にまとめる
+ * （評価前の復習状態から、それまでの評価のうち最も低い評価で計算し直す）
+ */
+async function handleReviewRating(note, rating, itemId = note.id) {
+  if (reviewRated || !Object.hasOwn(REVIEW_RATINGS, rating)) return;
 
-  if (!title || !question || !answer) {
-    showError('E007');
-    return;
+  const ratingButtons = document.querySelectorAll('.rating-btn');
+  ratingButtons.forEach(btn => { btn.disabled = true; });
+  reviewRated = true;
+
+  const noteReviews = (quizSession && quizSession.noteReviews) || {};
+  const previous = noteReviews[note.id];
+  const combinedRating = previous && REVIEW_RATINGS[previous.rating].quality < REVIEW_RATINGS[rating].quality
+    ? previous.rating
+    : rating;
+  const base = previous ? previous.base : getReviewState(note);
+  const nextReview = calculateNextReview(base, combinedRating);
+
+  const mutation = createMutation('update', note.id, nextReview);
+
+  try {
+    const queued = await submitMutation(mutation);
+
+    // ローカルデータ更新
+    applyLocalMutation(mutation);
+    if (queued) showError('E014');
+    if (quizSession && !quizSession.ratedIds.includes(itemId)) {
+      quizSession.ratedIds.push(itemId);
+      quizSession.noteReviews = { ...noteReviews, [note.id]: { base, rating: combinedRating } };
+      saveQuizSession();
+    }
+
+    const selected = document.querySelector(`.rating-btn[data-rating="${rating}"]`);
+    if (selected) selected.classList.add('selected');
+  } catch (error) {
+    console.error('Review rating error:', error);
+    showError('E005');
+    ratingButtons.forEach(btn => { btn.disabled = false; });
+    reviewRated = false;
   }
+}
 
-  if (title.length > TITLE_MAX_LENGTH) {
-    showError('E012');
-    return;
+// ========================================
+// 学習統計画面
+// ========================================
+
+async function renderStatsPage() {
+  // 直接開いた場合など、まだ問題を読み込んでいなければ読み込む
+  if (notesData.length === 0) {
+    showLoading('データを読み込み中...');
+    await noteBackend.loadNotes();
+    hideLoading();
   }
+  renderStatsContent();
+}
 
-  if (question.length > CONTENT_MAX_LENGTH || answer.length > CONTENT_MAX_LENGTH || explain.length > CONTENT_MAX_LENGTH) {
-    showError('E013');
-    return;
+/**
+ * 日付を端末の時刻でYYYY-MM-DD形式の文字列に変換
+ */
+function toDateKey(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 正答率を表示用に整形
+ */
+function formatRate(rate) {
+  return rate === null ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * 指定した日数分の日別の解答数・正解数を集計（古い順、今日まで）
+ */
+function buildDailyStats(notes, days) {
+  const counts = new Map();
+  notes.forEach(note => {
+    getNoteAttempts(note).forEach(attempt => {
+      const key = toDateKey(attempt.answeredAt);
+      const entry = counts.get(key) || { total: 0, graded: 0, correct: 0 };
+      entry.total++;
+      if (isGradedAttempt(attempt)) entry.graded++;
+      if (attempt.correct === true) entry.correct++;
+      counts.set(key, entry);
+    });
+  });
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date(today);
+    date.setDate(today.getDate() - (days - 1 - i));
+    const key = toDateKey(date);
+    const { total, graded, correct } = counts.get(key) || { total: 0, graded: 0, correct: 0 };
+    return { date: key, total, correct, rate: graded > 0 ? correct / graded : null };
+  });
+}
+
+/**
+ * 今日（今日が未学習なら昨日）までの連続学習日数を計算
+ */
+function getStudyStreak(dailyStats) {
+  let index = dailyStats.length - 1;
+  if (index >= 0 && dailyStats[index].total === 0) index--;
+  let streak = 0;
+  while (index >= 0 && dailyStats[index].total > 0) {
+    streak++;
+    index--;
   }
+  return streak;
+}
 
-  // タイトル重複チェック（自分以外）
-  if (notesData.some(n => n.Title === title && n.id !== note.id)) {
-    titleError.textContent = 'このタイトルは既に存在します';
-    titleError.classList.remove('hidden');
-    showError('E008');
-    return;
+/**
+ * 正答率の低い問題を取得（解答履歴のある問題のみ）
+ */
+function getWeakestNotes(notes, limit = STATS_WEAK_NOTES_LIMIT) {
+  return notes
+    .map(note => ({ note, ...getAccuracy(getNoteAttempts(note)) }))
+    .filter(entry => entry.total > 0)
+    .sort((a, b) => a.rate - b.rate || (b.total - b.correct) - (a.total - a.correct))
+    .slice(0, limit);
+}
+
+/**
+ * タグごとの問題数・解答数・正答率を集計
+ */
+function buildTagStats(notes) {
+  const groups = new Map();
+  const addTo = (name, note) => {
+    const group = groups.get(name) || { tag: name, noteCount: 0, attempts: [] };
+    group.noteCount++;
+    group.attempts.push(...getNoteAttempts(note));
+    groups.set(name, group);
+  };
+
+  notes.forEach(note => {
+    const tags = getNoteTags(note);
+    if (tags.length === 0) {
+      addTo('', note);
+    } else {
+      tags.forEach(tag => addTo(tag, note));
+    }
+  });
+
+  return [...groups.values()]
+    .map(({ tag, noteCount, attempts }) => ({ tag, noteCount, ...getAccuracy(attempts) }))
+    .sort((a, b) => (a.tag === '') - (b.tag === '') || a.tag.localeCompare(b.tag, 'ja'));
+}
+
+/**
+ * 日別の解答数の棒グラフと正答率の折れ線グラフをSVGで生成
+ */
+function buildDailyChartSvg(dailyStats) {
+  const barWidth = 10;
+  const height = 100;
+  const width = dailyStats.length * barWidth;
+  const maxTotal = Math.max(1, ...dailyStats.map(day => day.total));
+
+  const bars = dailyStats.map((day, i) => {
+    const barHeight = (day.total / maxTotal) * height;
+    return `
+      <rect class="chart-bar" x="${i * barWidth + 1}" y="${height - barHeight}" width="${barWidth - 2}" height="${barHeight}">
+        <title>${day.date}: ${day.total}回</title>
+      </rect>
+    `;
+  }).join('');
+
+  const points = dailyStats
+    .map((day, i) => (day.rate === null ? null : `${i * barWidth + barWidth / 2},${height - day.rate * height}`))
+    .filter(Boolean)
+    .join(' ');
+
+  return `
+    <div class="stats-chart-block">
+      <h3>日別の解答数</h3>
+      <svg class="stats-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${bars}</svg>
+      <div class="stats-chart-axis"><span>${dailyStats[0].date}</span><span>${dailyStats[dailyStats.length - 1].date}</span></div>
+    </div>
+    <div class="stats-chart-block">
+      <h3>正答率の推移</h3>
+      <svg class="stats-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+        <line class="chart-grid" x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}" vector-effect="non-scaling-stroke"></line>
+        ${points ? `<polyline class="chart-line" points="${points}" vector-effect="non-scaling-stroke"></polyline>` : ''}
+      </svg>
+      <div class="stats-chart-axis"><span>${dailyStats[0].date}</span><span>50%</span><span>${dailyStats[dailyStats.length - 1].date}</span></div>
+    </div>
+  `;
+}
+
+/**
+ * 学習した日のヒートマップを生成（直近1年分、列が週・行が曜日）
+ */
+function buildHeatmapHtml(notes) {
+  // 最初の列が日曜日から始まるようにする
+  const days = STATS_HEATMAP_WEEKS * 7 + new Date().getDay() + 1;
+  const dailyStats = buildDailyStats(notes, days);
+  const maxTotal = Math.max(1, ...dailyStats.map(day => day.total));
+
+  return `
+    <div class="heatmap">
+      ${dailyStats.map(day => {
+        const level = day.total === 0 ? 0 : Math.min(4, Math.ceil((day.total / maxTotal) * 4));
+        return `<span class="heatmap-cell heatmap-level-${level}" title="${day.date}: ${day.total}回"></span>`;
+      }).join('')}
+    </div>
+    <div class="heatmap-legend">
+      少ない
+      ${[0, 1, 2, 3, 4].map(level => `<span class="heatmap-cell heatmap-level-${level}"></span>`).join('')}
+      多い
+    </div>
+  `;
+}
+
+function renderStatsContent() {
+  const dailyStats = buildDailyStats(notesData, statsRangeDays);
+  const yearStats = buildDailyStats(notesData, 365);
+  const allAttempts = notesData.flatMap(getNoteAttempts);
+  const overall = getAccuracy(allAttempts);
+  const rangeTotal = dailyStats.reduce((sum, day) => sum + day.total, 0);
+  const weakest = getWeakestNotes(notesData);
+  const tagStats = buildTagStats(notesData);
+
+  pageContent.innerHTML = `
+    <div class="stats-page">
+      <div class="list-header">
+        <h1>学習統計</h1>
+        <div class="header-actions">
+          <select id="stats-range-select" class="sort-select">
+            ${STATS_RANGE_OPTIONS.map(days => `
+              <option value="${days}" ${days === statsRangeDays ? 'selected' : ''}>直近${days}日</option>
+            `).join('')}
+          </select>
+          <button id="stats-daily-csv-btn" class="btn btn-outline">日別データをCSVで保存</button>
+          <button id="stats-tag-csv-btn" class="btn btn-outline">タグ別データをCSVで保存</button>
+          <button id="back-to-list-btn" class="btn btn-outline">一覧に戻る</button>
+        </div>
+      </div>
+
+      <div class="stats-summary">
+        <div class="stats-card"><div class="stats-card-label">問題数</div><div class="stats-card-value">${notesData.length}</div></div>
+        <div class="stats-card"><div class="stats-card-label">期間内の解答数</div><div class="stats-card-value">${rangeTotal}</div></div>
+        <div class="stats-card"><div class="stats-card-label">全体の正答率</div><div class="stats-card-value">${formatRate(overall.rate)}</div></div>
+        <div class="stats-card"><div class="stats-card-label">連続学習日数</div><div class="stats-card-value">${getStudyStreak(yearStats)}日</div></div>
+      </div>
+
+      <div class="stats-section">
+        ${buildDailyChartSvg(dailyStats)}
+      </div>
+
+      <div class="stats-section">
+        <h2>学習した日</h2>
+        ${buildHeatmapHtml(notesData)}
+      </div>
+
+      <div class="stats-section">
+        <h2>苦手な問題</h2>
+        ${weakest.length > 0 ? `
+          <table class="data-table stats-table">
+            <thead>
+              <tr><th>タイトル</th><th>正答率</th><th>解答回数</th><th>ミス回数</th></tr>
+            </thead>
+            <tbody>
+              ${weakest.map(({ note, total, rate }) => `
+                <tr>
+                  <td class="title-cell" data-id="${escapeHtml(note.id)}">${escapeHtml(note.Title)}</td>
+                  <td>${formatRate(rate)}</td>
+                  <td>${total}</td>
+                  <td>${escapeHtml(String(note.MissCount || 0))}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : '<p class="text-muted">まだ解答の記録がありません</p>'}
+      </div>
+
+      <div class="stats-section">
+        <h2>タグ別</h2>
+        ${tagStats.length > 0 ? `
+          <table class="data-table stats-table">
+            <thead>
+              <tr><th>タグ</th><th>問題数</th><th>解答回数</th><th>正答率</th></tr>
+            </thead>
+            <tbody>
+              ${tagStats.map(({ tag, noteCount, total, rate }) => `
+                <tr>
+                  <td>${tag ? buildTagChipsHtml([tag]) : '<span class="text-muted">タグなし</span>'}</td>
+                  <td>${noteCount}</td>
+                  <td>${total}</td>
+                  <td>${formatRate(rate)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : '<p class="text-muted">問題が登録されていません</p>'}
+      </div>
+    </div>
+  `;
+
+  setupStatsPageListeners();
+}
+
+function setupStatsPageListeners() {
+  document.getElementById('back-to-list-btn').onclick = () => navigateTo('list');
+
+  // 集計期間の変更
+  document.getElementById('stats-range-select').onchange = (e) => {
+    statsRangeDays = Number(e.target.value);
+    renderStatsContent();
+  };
+
+  document.getElementById('stats-daily-csv-btn').onclick = () => handleExportStatsCsv('daily');
+  document.getElementById('stats-tag-csv-btn').onclick = () => handleExportStatsCsv('tag');
+
+  // 苦手な問題の詳細表示
+  document.querySelectorAll('.stats-table .title-cell').forEach(cell => {
+    cell.onclick = () => {
+      const note = notesData.find(n => n.id === cell.dataset.id);
+      if (note) openDetailModal(note);
+    };
+  });
+}
+
+/**
+ * 集計したデータをCSVでダウンロード
+ */
+function handleExportStatsCsv(kind) {
+  const toRateText = rate => (rate === null ? '' : rate.toFixed(3));
+  const rows = kind === 'daily'
+    ? [
+      ['date', 'attempts', 'correct', 'accuracy'],
+      ...buildDailyStats(notesData, statsRangeDays).map(day => [day.date, day.total, day.correct, toRateText(day.rate)])
+    ]
+    : [
+      ['tag', 'notes', 'attempts', 'correct', 'accuracy'],
+      ...buildTagStats(notesData).map(group => [group.tag, group.noteCount, group.total, group.correct, toRateText(group.rate)])
+    ];
+
+  const date = toDateKey(new Date()).replace(/-/g, '');
+  downloadFile(`saikyou-note-stats-${kind}-${date}.csv`, `\uFEFF${toDelimitedText(rows, ',')}`, 'text/csv');
+}
+
+// ========================================
+// キーボードショートカット
+// ========================================
+// キーの割り当ては { 操作ID: キー } の形でSHORTCUTS_KEYに保存する。キーは「Ctrl+k」「Shift+ArrowRight」のように
+// 修飾キーとキー名を+でつないだ文字列で、文字のキーは入力される文字（Shift込み）で区別する。
+
+/**
+ * 保存済みのキーの割り当てを取得
+ */
+function getShortcutBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SHORTCUTS_KEY) || '{}');
+    return { ...DEFAULT_SHORTCUTS, ...saved };
+  } catch (error) {
+    console.error('Shortcuts parse error:', error);
+    return { ...DEFAULT_SHORTCUTS };
   }
+}
+
+/**
+ * キーの割り当てを保存
+ */
+function saveShortcutBindings(bindings) {
+  localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(bindings));
+}
+
+/**
+ * キー入力をショートカットのキーに変換（修飾キーのみ・変換中の場合は空文字）
+ */
+function getShortcutKeyFromEvent(e) {
+  if (['Shift', 'Control', 'Alt', 'Meta', 'Process', 'Unidentified', 'Dead'].includes(e.key)) return '';
+
+  const modifiers = [];
+  if (e.ctrlKey || e.metaKey) modifiers.push('Ctrl');
+  if (e.altKey) modifiers.push('Alt');
+  // 文字のキーはShiftを押した結果の文字（?や大文字）で区別する
+  if (e.shiftKey && (e.key.length > 1 || e.key === ' ')) modifiers.push('Shift');
+
+  let key = e.key === ' ' ? 'Space' : e.key;
+  if (key.length === 1 && modifiers.length > 0) key = key.toLowerCase();
+  return [...modifiers, key].join('+');
+}
+
+/**
+ * ショートカットのキーを表示用の文字列に変換
+ */
+function formatShortcutKey(key) {
+  const parts = key.split('+');
+  const name = parts.pop();
+  const label = SHORTCUT_KEY_LABELS[name] || (parts.length > 0 ? name.toUpperCase() : name);
+  return [...parts, label].join('+');
+}
+
+/**
+ * ショートカットのキーの表示
+ */
+function buildShortcutKeyHtml(key) {
+  return key ? `<kbd class="shortcut-key">${escapeHtml(formatShortcutKey(key))}</kbd>` : '';
+}
+
+/**
+ * 画面上のボタンが押せる状態か
+ */
+function isActionButtonVisible(id) {
+  const button = document.getElementById(id);
+  return Boolean(button && !button.disabled && !button.closest('.hidden'));
+}
+
+/**
+ * ショートカット・コマンドパレットから実行できる操作
+ * DEFAULT_SHORTCUTSにある操作はキーを割り当てられ、ほかはコマンドパレットからのみ実行する
+ */
+function getShortcutActions() {
+  const isAppPage = () => Boolean(noteBackend) && currentPage !== 'login' && currentPage !== 'share';
+  const isListPage = () => Boolean(noteBackend) && currentPage === 'list';
+
+  return [
+    { id: 'newNote', label: '新規登録', available: isListPage, run: () => openRegisterModal() },
+    {
+      id: 'search',
+      label: '問題を検索',
+      available: () => isListPage() && Boolean(document.getElementById('search-input')),
+      run: () => document.getElementById('search-input').focus()
+    },
+    {
+      id: 'random',
+      label: 'ランダム出題',
+      available: () => isAppPage() && currentPage !== 'random',
+      run: () => {
+        randomSessionIds = null;
+        navigateTo('random');
+      }
+    },
+    {
+      id: 'reveal',
+      label: '回答を表示',
+      available: () => currentPage === 'random' && isActionButtonVisible('show-answer-btn'),
+      run: () => document.getElementById('show-answer-btn').click()
+    },
+    {
+      id: 'missMark',
+      label: '間違いとしてマーク',
+      available: () => currentPage === 'random' && isActionButtonVisible('miss-mark-btn'),
+      run: () => document.getElementById('miss-mark-btn').click()
+    },
+    {
+      id: 'next',
+      label: '次の問題へ',
+      available: () => currentPage === 'random' && isActionButtonVisible('next-btn'),
+      run: () => document.getElementById('next-btn').click()
+    },
+    { id: 'palette', label: 'コマンドパレット', available: isAppPage, run: () => openCommandPalette() },
+    { id: 'help', label: 'ショートカット一覧', available: () => true, run: () => openShortcutHelpModal() },
+    { id: 'list', label: '問題一覧へ', available: () => isAppPage() && currentPage !== 'list', run: () => navigateTo('list') },
+    { id: 'stats', label: '学習統計', available: () => isAppPage() && currentPage !== 'stats', run: () => navigateTo('stats') },
+    { id: 'trash', label: 'ゴミ箱', available: () => isAppPage() && currentPage !== 'trash', run: () => navigateTo('trash') },
+    { id: 'tagManager', label: 'タグ管理', available: isListPage, run: () => openTagManagerModal() },
+    { id: 'backup', label: 'インポート/エクスポート', available: isListPage, run: () => openBackupModal() }
+  ];
+}
 
-  showLoading('更新中...');
+/**
+ * 画面全体のキー操作（モーダルを開いていないときのみ）
+ * 入力欄では文字の入力を優先し、Ctrl・Altとの組み合わせのみ受け付ける
+ */
+function handleShortcutKeydown(e) {
+  if (isModalOpen || e.isComposing || e.defaultPrevented || e.repeat) return;
 
-  const updatedData = {
-    Title: title,
-    Question: question,
-    Answer: answer,
-    Explain: explain
-  };
+  const key = getShortcutKeyFromEvent(e);
+  if (!key) return;
 
-  try {
-    const noteRef = doc(db, 'notes', note.id);
-    await withRetry(() => updateDoc(noteRef, updatedData));
+  const target = e.target;
+  const isTyping = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+  if (isTyping && !e.ctrlKey && !e.metaKey && !e.altKey) return;
+  // ボタン上のSpaceキーはボタンを押す操作として扱う
+  if (key === 'Space' && target.tagName === 'BUTTON') return;
 
-    // ローカルデータ更新
-    const index = notesData.findIndex(n => n.id === note.id);
-    if (index !== -1) {
-      notesData[index] = { ...notesData[index], ...updatedData };
-      saveToLocalStorage(notesData);
-    }
+  const bindings = getShortcutBindings();
+  const action = getShortcutActions().find(a => bindings[a.id] === key);
+  if (!action || !action.available()) return;
 
-    hideLoading();
-    closeModal(true);
-    renderListContent();
-  } catch (error) {
-    console.error('Edit error:', error);
-    showError('E005');
-    hideLoading();
+  e.preventDefault();
+  action.run();
+}
+
+/**
+ * あいまい検索（入力した文字がこの順番で含まれていれば一致）
+ * 一致しない場合はnull、一致した場合は先頭に近く連続して一致するほど小さいスコアを返す
+ */
+function fuzzyMatchScore(query, text) {
+  const target = foldSearchChars(String(text || ''));
+  let score = 0;
+  let last = -1;
+
+  for (const ch of query) {
+    const index = target.indexOf(ch, last + 1);
+    if (index === -1) return null;
+    score += index - last - 1;
+    last = index;
   }
+  return score;
+}
+
+/**
+ * コマンドパレットの候補（操作・問題のタイトル）を検索
+ */
+function searchPaletteEntries(query) {
+  const folded = foldSearchChars(query).replace(/\s+/g, '');
+  const bindings = getShortcutBindings();
+
+  const actions = getShortcutActions()
+    .filter(action => action.id !== 'palette' && action.available())
+    .map(action => ({ kind: 'action', label: action.label, key: bindings[action.id] || '', run: action.run }));
+  const notes = notesData.map(note => ({ kind: 'note', label: note.Title, key: '', run: () => openDetailModal(note) }));
+
+  // 未入力の場合は操作のみを表示
+  const entries = folded ? [...actions, ...notes] : actions;
+  return entries
+    .map(entry => ({ entry, score: fuzzyMatchScore(folded, entry.label) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => a.score - b.score)
+    .slice(0, PALETTE_RESULTS_LIMIT)
+    .map(({ entry }) => entry);
 }
 
 // ========================================
-// 削除モーダル
+// コマンドパレット（仮想ウインドウ）
 // ========================================
 
-function openDeleteModal(note) {
+function openCommandPalette() {
   const modalHtml = `
     <div class="modal-header">
-      <h2>問題を削除</h2>
+      <h2>コマンドパレット</h2>
       <button class="modal-close">&times;</button>
     </div>
     <div class="modal-body">
-      <div class="delete-warning">
-        <p>データを削除しますか？</p>
-        <p class="delete-title">${escapeHtml(note.Title)}</p>
-        <p class="text-muted">確認のため、上記のタイトルを入力してください</p>
-      </div>
-      <div class="form-group">
-        <input type="text" id="delete-confirm-title" class="form-control" placeholder="タイトルを入力">
-        <div id="delete-error" class="form-error hidden"></div>
-      </div>
-    </div>
-    <div class="modal-footer">
-      <button id="delete-cancel-btn" class="btn btn-secondary">キャンセル</button>
-      <button id="delete-submit-btn" class="btn btn-danger">削除を確定</button>
+      <input type="text" id="palette-input" class="form-control" placeholder="操作・問題のタイトルを検索" autocomplete="off">
+      <ul id="palette-results" class="palette-results"></ul>
+      <p class="text-muted palette-hint">↑↓で選択、Enterで実行</p>
     </div>
   `;
 
   openModal(modalHtml);
-  setupDeleteModalListeners(note);
-}
-
-function setupDeleteModalListeners(note) {
-  // キャンセル
-  document.getElementById('delete-cancel-btn').onclick = () => closeModal();
-
-  // Enterキーで削除
-  modalContent.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      handleDelete(note);
-    }
-  });
-
-  // 削除
-  document.getElementById('delete-submit-btn').onclick = () => handleDelete(note);
+  setupCommandPaletteListeners();
 }
 
-async function handleDelete(note) {
-  const confirmTitle = document.getElementById('delete-confirm-title').value.trim();
-  const deleteError = document.getElementById('delete-error');
+function setupCommandPaletteListeners() {
+  const input = document.getElementById('palette-input');
+  const results = document.getElementById('palette-results');
+  let entries = [];
+  let selectedIndex = 0;
+
+  const renderResults = () => {
+    results.innerHTML = entries.length > 0 ? entries.map((entry, i) => `
+      <li class="palette-item ${i === selectedIndex ? 'active' : ''}" data-index="${i}">
+        <span class="palette-item-kind">${entry.kind === 'action' ? '操作' : '問題'}</span>
+        <span class="palette-item-label">${escapeHtml(entry.label)}</span>
+        ${buildShortcutKeyHtml(entry.key)}
+      </li>
+    `).join('') : '<li class="empty-message">一致する操作・問題がありません</li>';
+
+    const active = results.querySelector('.palette-item.active');
+    if (active) active.scrollIntoView({ block: 'nearest' });
+  };
 
-  deleteError.classList.add('hidden');
+  const runEntry = (entry) => {
+    if (!entry) return;
+    closeModal();
+    if (!isModalOpen) entry.run();
+  };
 
-  if (confirmTitle !== note.Title) {
-    deleteError.textContent = 'タイトルが一致しません';
-    deleteError.classList.remove('hidden');
-    showError('E009');
-    return;
-  }
+  input.addEventListener('input', () => {
+    entries = searchPaletteEntries(input.value);
+    selectedIndex = 0;
+    renderResults();
+  });
 
-  showLoading('削除中...');
+  input.addEventListener('keydown', (e) => {
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+    e.preventDefault();
+    if (entries.length === 0) return;
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    selectedIndex = (selectedIndex + step + entries.length) % entries.length;
+    renderResults();
+  });
 
-  try {
-    const noteRef = doc(db, 'notes', note.id);
-    await withRetry(() => deleteDoc(noteRef));
+  results.onclick = (e) => {
+    const item = e.target.closest('.palette-item');
+    if (item) runEntry(entries[Number(item.dataset.index)]);
+  };
 
-    // ローカルデータ更新
-    notesData = notesData.filter(n => n.id !== note.id);
-    saveToLocalStorage(notesData);
+  setModalSubmitHandler(() => runEntry(entries[selectedIndex]));
 
-    hideLoading();
-    closeModal(true);
-    renderListContent();
-  } catch (error) {
-    console.error('Delete error:', error);
-    showError('E006');
-    hideLoading();
-  }
+  entries = searchPaletteEntries('');
+  renderResults();
+  input.focus();
 }
 
 // ========================================
-// 詳細表示モーダル
+// ショートカット一覧（仮想ウインドウ）
 // ========================================
 
-function openDetailModal(note) {
+function openShortcutHelpModal() {
   const modalHtml = `
     <div class="modal-header">
-      <h2>問題詳細</h2>
+      <h2>キーボードショートカット</h2>
       <button class="modal-close">&times;</button>
     </div>
     <div class="modal-body">
-      <div class="detail-field">
-        <div class="detail-label">タイトル</div>
-        <div class="detail-value" id="detail-title"></div>
-      </div>
-      <div class="detail-field">
-        <div class="detail-label">問題文</div>
-        <div class="detail-value" id="detail-question"></div>
-      </div>
-      <div class="detail-field">
-        <div class="detail-label">解答</div>
-        <div class="detail-value" id="detail-answer"></div>
-      </div>
-      ${note.Explain ? `
-        <div class="detail-field">
-          <div class="detail-label">解説</div>
-          <div class="detail-value" id="detail-explain"></div>
-        </div>
-      ` : ''}
-      <div class="detail-field">
-        <div class="detail-label">登録日時</div>
-        <div class="detail-value" id="detail-date"></div>
-      </div>
-      <div class="detail-field">
-        <div class="detail-label">間違い回数</div>
-        <div class="detail-value" id="detail-miss"></div>
-      </div>
+      <p class="text-muted mb-4">「変更」を押してから割り当てるキーを押してください（Escで取り消し）。入力欄ではCtrl・Altとの組み合わせのみ使えます。</p>
+      <table class="shortcut-table">
+        <tbody id="shortcut-rows"></tbody>
+      </table>
+      <p class="text-muted shortcut-note">仮想ウインドウでは、Escキーで閉じ、Enterキーで確定します（複数行の入力欄ではCtrl+Enter）。</p>
     </div>
     <div class="modal-footer">
-      <button id="detail-close-btn" class="btn btn-primary">閉じる</button>
+      <button id="shortcut-reset-btn" class="btn btn-secondary">既定に戻す</button>
+      <button id="shortcut-close-btn" class="btn btn-primary">閉じる</button>
     </div>
   `;
 
   openModal(modalHtml);
+  setupShortcutHelpListeners();
+}
 
-  // textContentで安全にテキストを設定
-  setTextContent(document.getElementById('detail-title'), note.Title);
-  setTextContent(document.getElementById('detail-question'), note.Question);
-  setTextContent(document.getElementById('detail-answer'), note.Answer);
-  if (note.Explain) {
-    setTextContent(document.getElementById('detail-explain'), note.Explain);
-  }
-  setTextContent(document.getElementById('detail-date'), formatDate(note.Date));
-  setTextContent(document.getElementById('detail-miss'), `${note.MissCount}回`);
+function setupShortcutHelpListeners() {
+  const rows = document.getElementById('shortcut-rows');
+
+  const renderRows = () => {
+    const bindings = getShortcutBindings();
+    rows.innerHTML = getShortcutActions()
+      .filter(action => action.id in DEFAULT_SHORTCUTS)
+      .map(action => `
+        <tr>
+          <td>${escapeHtml(action.label)}</td>
+          <td>${buildShortcutKeyHtml(bindings[action.id])}</td>
+          <td><button class="btn btn-small btn-outline shortcut-rebind-btn" data-action="${action.id}">変更</button></td>
+        </tr>
+      `).join('');
+  };
 
-  document.getElementById('detail-close-btn').onclick = () => closeModal(true);
+  // 変更：次に押したキーを割り当てる
+  rows.onclick = (e) => {
+    const button = e.target.closest('.shortcut-rebind-btn');
+    if (!button) return;
+    const actionId = button.dataset.action;
+    button.textContent = 'キーを押してください';
+    button.classList.add('capturing');
+    button.focus();
+    // ほかの場所をクリックしたら取り消す
+    button.onblur = () => {
+      button.textContent = '変更';
+      button.classList.remove('capturing');
+      button.onkeydown = null;
+    };
+
+    button.onkeydown = (event) => {
+      // 画面全体・モーダルのキー操作として扱わない
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.isComposing) return;
+      if (event.key === 'Escape') {
+        renderRows();
+        return;
+      }
+
+      const key = getShortcutKeyFromEvent(event);
+      if (!key) return;
+      if (SHORTCUT_RESERVED_KEYS.includes(key.split('+').pop())) {
+        showError('E055');
+        return;
+      }
+      const bindings = getShortcutBindings();
+      if (Object.keys(bindings).some(id => id !== actionId && bindings[id] === key)) {
+        showError('E054');
+        return;
+      }
+      saveShortcutBindings({ ...bindings, [actionId]: key });
+      renderRows();
+    };
+  };
+
+  // 既定に戻す
+  document.getElementById('shortcut-reset-btn').onclick = () => {
+    localStorage.removeItem(SHORTCUTS_KEY);
+    renderRows();
+  };
+
+  document.getElementById('shortcut-close-btn').onclick = () => closeModal();
+
+  renderRows();
 }
 
 // ========================================
-// ランダム問題画面
+// ログアウト処理
 // ========================================
 
-function renderRandomPage() {
-  if (notesData.length === 0) {
-    pageContent.innerHTML = `
-      <div class="random-page">
-        <div class="random-header">
-          <h1>ランダム出題</h1>
-          <button id="back-to-list-btn" class="btn btn-outline">一覧に戻る</button>
-        </div>
-        <div class="problem-card">
-          <div class="empty-message">
-            <p>問題が登録されていません</p>
-            <p class="text-muted">まず問題を登録してください</p>
-          </div>
-        </div>
-      </div>
-    `;
-    document.getElementById('back-to-list-btn').onclick = () => navigateTo('list');
+async function handleLogout() {
+  if (isGuestMode) {
+    endGuestMode();
     return;
   }
-
-  // ランダムに問題を選択
-  const availableNotes = notesData.filter(n => !usedProblemIds.includes(n.id));
-  
-  if (availableNotes.length === 0) {
-    // 全問題を出題済み
-    usedProblemIds = [];
-    pageContent.innerHTML = `
-      <div class="random-page">
-        <div class="random-header">
-          <h1>ランダム出題</h1>
-        </div>
-        <div class="problem-card">
-          <div class="empty-message">
-            <p>すべての問題を出題しました！</p>
-            <p class="text-muted">お疲れさまでした</p>
-            <button id="complete-back-btn" class="btn btn-primary mt-4">一覧に戻る</button>
-          </div>
-        </div>
-      </div>
-    `;
-    document.getElementById('complete-back-btn').onclick = () => navigateTo('list');
+  // 未送信の変更は破棄されるため確認する
+  if (getOutbox().length > 0) {
+    openLogoutModal();
     return;
   }
-
-  // 連続で同じ問題が出ないようにする
-  let randomNote;
-  if (availableNotes.length === 1) {
-    randomNote = availableNotes[0];
-  } else {
-    do {
-      randomNote = availableNotes[Math.floor(Math.random() * availableNotes.length)];
-    } while (randomNote.id === currentProblemId);
-  }
-
-  currentProblemId = randomNote.id;
-  usedProblemIds.push(randomNote.id);
-  missMarkUsed = false;
-
-  renderProblemContent(randomNote);
+  await completeLogout();
 }
 
-function renderProblemContent(note) {
-  pageContent.innerHTML = `
-    <div class="random-page">
-      <div class="random-header">
-        <h1>ランダム出題</h1>
-        <button id="back-to-list-btn" class="btn btn-outline">一覧に戻る</button>
-      </div>
-      <div class="problem-card">
-        <h2 class="problem-title" id="problem-title"></h2>
-        <div class="problem-question" id="problem-question"></div>
-        
-        <div class="answer-input-section">
-          <label>あなたの回答:</label>
-          <textarea id="user-answer" class="form-control" placeholder="回答を入力してください"></textarea>
-        </div>
-        
-        <button id="show-answer-btn" class="btn btn-primary btn-large">回答を表示</button>
-        
-        <div id="answer-section" class="answer-section hidden">
-          <h3>正解</h3>
-          <div class="answer-content" id="correct-answer"></div>
-          ${note.Explain ? `
-            <div class="explain-section">
-              <h3>解説</h3>
-              <div class="explain-content" id="explain-content"></div>
-            </div>
-          ` : ''}
-        </div>
-      </div>
-      
-      <div class="problem-actions hidden" id="problem-actions">
-        <button id="miss-mark-btn" class="btn miss-mark-btn">❌ 間違いとしてマーク</button>
-        <div class="navigation-buttons">
-          <button id="next-btn" class="btn btn-primary">次の問題へ →</button>
-          <button id="top-btn" class="btn btn-outline">トップに戻る</button>
-        </div>
+/**
+ * 未送信の変更がある場合のログアウトの確認モーダル
+ */
+function openLogoutModal() {
+  const modalHtml = `
+    <div class="modal-header">
+      <h2>ログアウト</h2>
+      <button class="modal-close">&times;</button>
+    </div>
+    <div class="modal-body">
+      <div class="delete-warning">
+        <p>サーバーに未送信の変更が<strong>${getOutbox().length}</strong>件あります。ログアウトすると破棄されます。よろしいですか？</p>
       </div>
     </div>
+    <div class="modal-footer">
+      <button id="logout-cancel-btn" class="btn btn-secondary">キャンセル</button>
+      <button id="logout-submit-btn" class="btn btn-danger">破棄してログアウト</button>
+    </div>
   `;
 
-  // textContentで安全にテキストを設定
-  setTextContent(document.getElementById('problem-title'), note.Title);
-  setTextContent(document.getElementById('problem-question'), note.Question);
-  setTextContent(document.getElementById('correct-answer'), note.Answer);
-  if (note.Explain) {
-    setTextContent(document.getElementById('explain-content'), note.Explain);
-  }
-
-  setupRandomPageListeners(note);
-}
-
-function setupRandomPageListeners(note) {
-  // 一覧に戻る
-  document.getElementById('back-to-list-btn').onclick = () => navigateTo('list');
-
-  // 回答を表示
-  document.getElementById('show-answer-btn').onclick = () => {
-    document.getElementById('answer-section').classList.remove('hidden');
-    document.getElementById('problem-actions').classList.remove('hidden');
-    document.getElementById('show-answer-btn').classList.add('hidden');
+  openModal(modalHtml);
+  document.getElementById('logout-cancel-btn').onclick = () => closeModal();
+  document.getElementById('logout-submit-btn').onclick = () => {
+    closeModal(true);
+    completeLogout();
   };
-
-  // 間違いマーク
-  document.getElementById('miss-mark-btn').onclick = () => handleMissMark(note);
-
-  // 次の問題
-  document.getElementById('next-btn').onclick = () => renderRandomPage();
-
-  // トップに戻る
-  document.getElementById('top-btn').onclick = () => navigateTo('list');
-}
-
-async function handleMissMark(note) {
-  if (missMarkUsed) return;
-
-  const missBtn = document.getElementById('miss-mark-btn');
-  missBtn.disabled = true;
-  missMarkUsed = true;
-
-  const newMissCount = (note.MissCount || 0) + 1;
-
-  try {
-    const noteRef = doc(db, 'notes', note.id);
-    await withRetry(() => updateDoc(noteRef, { MissCount: newMissCount }));
-
-    // ローカルデータ更新
-    const index = notesData.findIndex(n => n.id === note.id);
-    if (index !== -1) {
-      notesData[index].MissCount = newMissCount;
-      saveToLocalStorage(notesData);
-    }
-  } catch (error) {
-    console.error('Miss mark error:', error);
-    showError('E005');
-    missBtn.disabled = false;
-    missMarkUsed = false;
-  }
 }
 
-// ========================================
-// ログアウト処理
-// ========================================
-
-async function handleLogout() {
+/**
+ * ログアウトし、端末内のキャッシュと画面の状態を削除
+ */
+async function completeLogout() {
   showLoading('ログアウト中...');
   try {
     await withRetry(() => signOut(auth));
-    clearLocalStorage();
+    stopLiveSync();
+    await clearLocalCache();
     currentUser = null;
-    notesData = [];
-    usedProblemIds = [];
-    currentProblemId = null;
+    noteBackend = null;
+    resetSessionState();
     hideLoading();
     navigateTo('login');
   } catch (error) {
@@ -1138,35 +9515,129 @@ async function handleLogout() {
   }
 }
 
+/**
+ * 読み込んだ問題と画面の状態を初期化（ログアウト・ゲストモードの終了時）
+ */
+function resetSessionState() {
+  notesData = [];
+  trashedNotes = [];
+  invalidNotes = [];
+  selectedNoteIds = new Set();
+  randomSessionIds = null;
+  activeNotebook = null;
+  clearQuizSession();
+  activeTagFilter = [];
+  listSearchQuery = '';
+}
+
 // ========================================
-// 認証状態の監視
+// Firebaseの読み込み・認証状態の監視
 // ========================================
+// ゲストモードではFirebaseへ通信しないよう、ログイン画面・共有リンクを開いたときと、
+// ゲストモードでない場合の起動時にのみ読み込む
+
+/**
+ * Firebaseを必要になった時点で読み込み、ログイン状態の監視を開始
+ */
+function loadFirebase() {
+  if (!firebaseLoader) {
+    firebaseLoader = import('./firebase-config.js')
+      .then(module => {
+        ({ auth, db, storage, signInWithPopup, googleProvider, githubProvider, oidcProvider,
+          oidcProviderLabel, signOut, onAuthStateChanged, collection, getDocs, setDoc, getDoc,
+          increment, serverTimestamp, Timestamp, onSnapshot, doc, query, where, deleteField,
+          storageRef, uploadBytesResumable, getDownloadURL, deleteObject, writeBatch, orderBy, limit,
+          startAfter, OAuthProvider, EmailAuthProvider, signInWithRedirect,
+          getRedirectResult, linkWithPopup, linkWithRedirect, linkWithCredential,
+          sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink, deleteDoc, documentId } = module);
+        // リダイレクト・メールのリンクでのログインを完了
+        completeRedirectSignIn();
+        completeEmailLinkSignIn();
+        onAuthStateChanged(auth, handleAuthStateChanged);
+      })
+      .catch(error => {
+        firebaseLoader = null;
+        throw error;
+      });
+  }
+  return firebaseLoader;
+}
+
+/**
+ * ログインを完了するためにFirebaseが必要な状態で開いたか判定（ゲストモードからのログイン）
+ */
+function isSignInPending() {
+  const params = new URLSearchParams(location.search);
+  return Boolean(sessionStorage.getItem(AUTH_REDIRECT_KEY)) || (params.get('mode') === 'signIn' && params.has('oobCode'));
+}
 
-onAuthStateChanged(auth, (user) => {
+/**
+ * ログイン状態の変化を反映
+ */
+function handleAuthStateChanged(user) {
   hideLoading();
   if (user) {
+    // ゲストモードからログインした場合、ゲストモードの問題は同期担当のタブがアカウントへ移行する
+    if (isGuestMode) {
+      isGuestMode = false;
+      localStorage.removeItem(GUEST_MODE_KEY);
+      resetSessionState();
+    }
     currentUser = user;
+    noteBackend = firestoreBackend;
     retryBlocked = false;
     if (currentPage === 'login') {
-      navigateTo('list');
+      navigateAfterSignIn();
     } else {
       renderPage();
     }
+    // 画面の切り替えでモーダルを閉じないよう、表示した後に連携する
+    linkPendingCredential(user);
+    noteBackend.start();
   } else {
     currentUser = null;
-    clearLocalStorage();
-    navigateTo('login');
+    stopLiveSync();
+    clearLocalCache().catch(error => console.error('Cache error:', error));
+    if (localStorage.getItem(GUEST_MODE_KEY)) {
+      // ゲストモード中にログイン画面・共有リンクを開いた場合はそのまま表示する
+      if (!isGuestMode) startGuestMode();
+    } else {
+      noteBackend = null;
+      if (currentPage === 'share') {
+        renderPage();
+      } else {
+        navigateTo('login');
+      }
+    }
   }
-});
+}
 
 // ========================================
 // 初期化
 // ========================================
 
 function init() {
-  showLoading('初期化中...');
   initRouter();
-  renderPage();
+  // 旧バージョンのLocalStorageキャッシュはIndexedDBへ移行したため削除
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  // 接続が回復したら、タイムアウトで止めた再試行を解除して未送信の変更を再送
+  window.addEventListener('online', () => {
+    retryBlocked = false;
+    replayOutbox();
+  });
+  // 一覧の表は見えている範囲の行のみを描画する
+  window.addEventListener('scroll', scheduleListRowsRender, { passive: true });
+  window.addEventListener('resize', scheduleListRowsRender);
+  // モーダルのEsc・Enterキーと画面全体のショートカット
+  document.addEventListener('keydown', handleModalKeydown);
+  document.addEventListener('keydown', handleShortcutKeydown);
+  if (localStorage.getItem(GUEST_MODE_KEY) && !isSignInPending()) {
+    startGuestMode();
+  } else {
+    // ログイン状態が分かるまで表示を待つ（onAuthStateChangedで解除）
+    showLoading('初期化中...');
+    renderPage();
+  }
 }
 
 init();
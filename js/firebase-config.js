@@ -3,8 +3,9 @@
 // 本番環境ではGitHub Secretsからの値が入ります
 
 import { initializeApp } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js';
-import { getAuth, GoogleAuthProvider, signInWithPopup, signOut, onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
-import { getFirestore, collection, getDocs, addDoc, updateDoc, deleteDoc, doc, query, where } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { getAuth, GoogleAuthProvider, signInWithPopup, signOut, onAuthStateChanged, GithubAuthProvider, OAuthProvider, OAuthCredential, EmailAuthProvider, signInWithRedirect, getRedirectResult, linkWithPopup, linkWithRedirect, linkWithCredential, sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink, connectAuthEmulator } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
+import { getFirestore, collection, getDocs, addDoc, updateDoc, deleteDoc, setDoc, getDoc, increment, serverTimestamp, Timestamp, onSnapshot, doc, query, where, deleteField, writeBatch, orderBy, limit, startAfter, connectFirestoreEmulator, documentId } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { getStorage, connectStorageEmulator, ref as storageRef, uploadBytes, uploadBytesResumable, getDownloadURL, deleteObject } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js';
 
 const firebaseConfig = {
   apiKey: "${{ secrets.FIREBASE_API_KEY }}",
@@ -18,14 +19,32 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const db = getFirestore(app);
+const storage = getStorage(app);
 const googleProvider = new GoogleAuthProvider();
+const githubProvider = new GithubAuthProvider();
+
+// 汎用のOIDCプロバイダ（Discordなど）。FirebaseでプロバイダIDが「oidc.」で始まるプロバイダを設定した場合のみ有効
+const oidcProviderId = "${{ secrets.FIREBASE_OIDC_PROVIDER_ID }}";
+const oidcProviderLabel = "${{ secrets.FIREBASE_OIDC_PROVIDER_LABEL }}";
+const oidcProvider = oidcProviderId.startsWith('oidc.') ? new OAuthProvider(oidcProviderId) : null;
+
+// localhostで?emulatorを付けて開いた場合はエミュレータを使用（firebase emulators:start）
+if (['localhost', '127.0.0.1'].includes(location.hostname) && new URLSearchParams(location.search).has('emulator')) {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+  connectStorageEmulator(storage, '127.0.0.1', 9199);
+}
 
 export {
   auth,
   db,
+  storage,
   signInWithPopup,
   GoogleAuthProvider,
   googleProvider,
+  githubProvider,
+  oidcProvider,
+  oidcProviderLabel,
   signOut,
   onAuthStateChanged,
   collection,
@@ -33,7 +52,36 @@ export {
   addDoc,
   updateDoc,
   deleteDoc,
+  setDoc,
+  getDoc,
+  increment,
+  serverTimestamp,
+  Timestamp,
+  onSnapshot,
   doc,
   query,
-  where
+  where,
+  deleteField,
+  storageRef,
+  uploadBytes,
+  uploadBytesResumable,
+  getDownloadURL,
+  deleteObject,
+  writeBatch,
+  orderBy,
+  limit,
+  startAfter,
+  GithubAuthProvider,
+  OAuthProvider,
+  OAuthCredential,
+  EmailAuthProvider,
+  signInWithRedirect,
+  getRedirectResult,
+  linkWithPopup,
+  linkWithRedirect,
+  linkWithCredential,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  documentId
 };